@@ -0,0 +1,19 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * ai-worker.js
+ *
+ * Runs engine searches off the main thread. The page posts
+ * { id, task, board, ...options } and gets back { id, result }, where task
+ * is one of SEARCH_TASKS in engine.js ('move', 'play', 'analyze',
+ * 'review' or 'ultimate').
+ * Loaded as a module worker. The transposition table lives in engine.js
+ * and persists between requests until the page terminates the worker to
+ * cancel a search.
+ */
+
+import { runTask } from './engine.js';
+
+self.addEventListener('message', ({ data }) => {
+  const { id, ...request } = data;
+  self.postMessage({ id, result: runTask(request) });
+});
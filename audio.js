@@ -0,0 +1,281 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * audio.js
+ *
+ * Synthesized sound: effects, an ambient music pad, volumes and sound packs.
+ * Needs only an AudioContext, which createAudioEngine() is handed a factory
+ * for (the tests pass a fake one).
+ *
+ *  - Nothing is built until the first sound, or until unlock() is called
+ *    from a click or key press; browsers keep audio silent before that
+ *  - Routing: voices → effects gain ─┐
+ *             music pad → music gain ─┴→ master gain → speakers
+ *  - Effects play on a small pool of oscillators that run for the life of
+ *    the page; a sound is only a frequency and volume envelope scheduled
+ *    on an idle one
+ *  - A sound pack is data: for each event, the notes it plays, plus the
+ *    waveform and chords of its music
+ */
+
+/** Everything the game makes a sound for */
+export const SOUND_EVENTS = ['click', 'win', 'draw', 'thinking', 'invalid', 'timeout', 'hint'];
+
+/** On, full master and effects volume, music off */
+export const DEFAULT_AUDIO = { enabled: true, master: 0.8, sfx: 1, music: 0, pack: 'classic' };
+
+/** Oscillators in the effects pool — the most notes that can overlap */
+const VOICES = 6;
+
+/** Pad loudness at full music volume; effects peak around 0.1 */
+const MUSIC_LEVEL = 0.05;
+
+/** Seconds each chord of the music holds */
+const CHORD_SECONDS = 8;
+
+/** The quietest an envelope ramps to (exponential ramps can't reach 0) */
+const SILENT = 0.001;
+
+const arpeggio = (wave, freqs, step, dur, vol) => freqs.map((freq, i) => ({ wave, freq, at: i * step, dur, vol }));
+
+/**
+ * Sound packs. A note is { wave, freq, to?, at?, dur, vol }: it starts `at`
+ * seconds in, glides from freq to `to` (Hz) if given, and fades out over
+ * `dur` seconds from a peak of `vol`.
+ */
+export const SOUND_PACKS = {
+  classic: {
+    label: 'Classic',
+    sounds: {
+      click:    [{ wave: 'triangle', freq: 520, to: 380, dur: 0.1, vol: 0.07 }],
+      win:      arpeggio('sine', [440, 554, 659], 0.12, 0.18, 0.1),
+      draw:     [{ wave: 'sawtooth', freq: 220, to: 180, dur: 0.3, vol: 0.06 }],
+      thinking: arpeggio('sine', [660, 880], 0.09, 0.06, 0.03),
+      invalid:  [{ wave: 'square', freq: 150, to: 110, dur: 0.14, vol: 0.05 }],
+      timeout:  [...arpeggio('square', [880, 880], 0.15, 0.1, 0.05), { wave: 'sawtooth', freq: 440, to: 220, at: 0.3, dur: 0.5, vol: 0.06 }],
+      hint:     arpeggio('sine', [988, 1319], 0.08, 0.2, 0.05),
+    },
+    music: { wave: 'sine', chords: [[220, 277.18, 329.63], [196, 246.94, 293.66], [174.61, 220, 261.63], [196, 246.94, 329.63]] },
+  },
+  chiptune: {
+    label: 'Chiptune',
+    sounds: {
+      click:    [{ wave: 'square', freq: 1046, to: 784, dur: 0.06, vol: 0.04 }],
+      win:      arpeggio('square', [523, 659, 784, 1046], 0.08, 0.12, 0.05),
+      draw:     arpeggio('square', [392, 330], 0.12, 0.15, 0.04),
+      thinking: [{ wave: 'square', freq: 1568, dur: 0.03, vol: 0.02 }],
+      invalid:  [{ wave: 'square', freq: 98, dur: 0.12, vol: 0.05 }],
+      timeout:  arpeggio('square', [784, 587, 392, 196], 0.1, 0.14, 0.05),
+      hint:     arpeggio('square', [1318, 1568], 0.05, 0.08, 0.03),
+    },
+    music: { wave: 'square', chords: [[130.81, 196, 261.63], [110, 164.81, 220], [87.31, 130.81, 174.61], [98, 146.83, 196]] },
+  },
+  mellow: {
+    label: 'Mellow',
+    sounds: {
+      click:    [{ wave: 'sine', freq: 330, to: 294, dur: 0.16, vol: 0.08 }],
+      win:      arpeggio('sine', [262, 330, 392, 523], 0.16, 0.4, 0.07),
+      draw:     arpeggio('sine', [294, 262], 0.2, 0.35, 0.06),
+      thinking: [{ wave: 'sine', freq: 440, to: 466, dur: 0.2, vol: 0.02 }],
+      invalid:  [{ wave: 'triangle', freq: 196, to: 165, dur: 0.2, vol: 0.06 }],
+      timeout:  arpeggio('triangle', [392, 330, 262], 0.22, 0.4, 0.07),
+      hint:     [{ wave: 'sine', freq: 659, to: 784, dur: 0.3, vol: 0.05 }],
+    },
+    music: { wave: 'triangle', chords: [[130.81, 164.81, 196], [110, 130.81, 164.81], [146.83, 174.61, 220], [98, 123.47, 146.83]] },
+  },
+};
+
+/**
+ * Saved settings made safe: anything missing or out of range takes its default.
+ * @param {object} [saved]
+ * @returns {{enabled:boolean, master:number, sfx:number, music:number, pack:string}}
+ */
+export function audioSettings(saved = {}) {
+  const level = key => (typeof saved[key] === 'number' && saved[key] >= 0 && saved[key] <= 1 ? saved[key] : DEFAULT_AUDIO[key]);
+  return {
+    enabled: typeof saved.enabled === 'boolean' ? saved.enabled : DEFAULT_AUDIO.enabled,
+    master:  level('master'),
+    sfx:     level('sfx'),
+    music:   level('music'),
+    pack:    Object.hasOwn(SOUND_PACKS, saved.pack) ? saved.pack : DEFAULT_AUDIO.pack,
+  };
+}
+
+const defaultContext = () => new (globalThis.AudioContext || globalThis.webkitAudioContext)();
+
+/**
+ * The game's sound system.
+ * @param {{createContext?:Function, settings?:object}} [options]
+ *        createContext returns an AudioContext; settings as for audioSettings()
+ * @returns {{settings:Function, update:Function, play:Function, unlock:Function, close:Function}}
+ */
+export function createAudioEngine({ createContext = defaultContext, settings: saved } = {}) {
+  let settings = audioSettings(saved);
+  let ctx      = null;
+  let master, sfx, music;
+  const voices = [];
+  let pad      = null; // { oscs, gain, timer, chord } while the music plays
+
+  /** The context and the fixed part of the graph, built on first use */
+  function context() {
+    if (!ctx) {
+      ctx    = createContext();
+      master = ctx.createGain();
+      sfx    = ctx.createGain();
+      music  = ctx.createGain();
+      master.connect(ctx.destination);
+      sfx.connect(master);
+      music.connect(master);
+      applyLevels(0);
+    }
+    if (ctx.state === 'suspended' && settings.enabled) ctx.resume();
+    return ctx;
+  }
+
+  /** Set the three gains; `glide` seconds smooths a slider being dragged */
+  function applyLevels(glide = 0.02) {
+    const now = ctx.currentTime;
+    master.gain.setTargetAtTime(settings.enabled ? settings.master : 0, now, glide);
+    sfx.gain.setTargetAtTime(settings.sfx, now, glide);
+    music.gain.setTargetAtTime(settings.music * MUSIC_LEVEL, now, glide);
+  }
+
+  /** An oscillator that is silent now: an idle one, a new one while the pool has room, else the one nearest done */
+  function idleVoice() {
+    const now  = ctx.currentTime;
+    const idle = voices.find(v => v.until <= now);
+    if (idle) return idle;
+    if (voices.length < VOICES) {
+      const voice = { osc: ctx.createOscillator(), gain: ctx.createGain(), until: 0 };
+      voice.gain.gain.value = 0;
+      voice.osc.connect(voice.gain);
+      voice.gain.connect(sfx);
+      voice.osc.start();
+      voices.push(voice);
+      return voice;
+    }
+    return voices.reduce((a, b) => (b.until < a.until ? b : a));
+  }
+
+  function playNote({ wave, freq, to, at = 0, dur, vol }) {
+    const voice = idleVoice();
+    const start = ctx.currentTime + at;
+    const end   = start + dur;
+    const { frequency } = voice.osc;
+    const { gain }      = voice.gain;
+
+    voice.osc.type = wave;
+    frequency.cancelScheduledValues(ctx.currentTime);
+    frequency.setValueAtTime(freq, start);
+    if (to) frequency.exponentialRampToValueAtTime(to, start + dur * 0.8);
+
+    gain.cancelScheduledValues(ctx.currentTime);
+    gain.setValueAtTime(0, ctx.currentTime);
+    gain.setValueAtTime(vol, start);
+    gain.exponentialRampToValueAtTime(SILENT, end);
+    gain.setValueAtTime(0, end);
+    voice.until = end;
+  }
+
+  /* ── Music ── */
+
+  const wantsMusic = () => Boolean(ctx) && settings.enabled && settings.music > 0;
+
+  function startMusic() {
+    const { wave, chords } = SOUND_PACKS[settings.pack].music;
+    const now  = ctx.currentTime;
+    const gain = ctx.createGain();
+    const tone = ctx.createBiquadFilter();
+    tone.type = 'lowpass';
+    tone.frequency.value = 900;
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.setTargetAtTime(1, now, 1.5); // fade in
+    gain.connect(tone);
+    tone.connect(music);
+
+    const oscs = chords[0].map((freq) => {
+      const osc = ctx.createOscillator();
+      osc.type = wave;
+      osc.frequency.setValueAtTime(freq, now);
+      osc.connect(gain);
+      osc.start(now);
+      return osc;
+    });
+    pad = { oscs, gain, chord: 0, timer: setInterval(nextChord, CHORD_SECONDS * 1000) };
+  }
+
+  /** Glide the pad to the pack's next chord */
+  function nextChord() {
+    const { chords } = SOUND_PACKS[settings.pack].music;
+    pad.chord = (pad.chord + 1) % chords.length;
+    pad.oscs.forEach((osc, i) => osc.frequency.setTargetAtTime(chords[pad.chord][i], ctx.currentTime, 0.8));
+  }
+
+  function stopMusic() {
+    const now = ctx.currentTime;
+    clearInterval(pad.timer);
+    pad.gain.gain.setTargetAtTime(0, now, 0.2); // fade out
+    pad.oscs.forEach(osc => osc.stop(now + 1));
+    pad = null;
+  }
+
+  /** Start or stop the pad to match the settings; a new pack restarts it in its own sound */
+  function syncMusic(packChanged = false) {
+    if (pad && (packChanged || !wantsMusic())) stopMusic();
+    if (!pad && wantsMusic()) startMusic();
+  }
+
+  return {
+    /** A copy of the current settings */
+    settings: () => ({ ...settings }),
+
+    /**
+     * Change some settings; invalid values fall back to their defaults.
+     * Turning sound off suspends the context, so an idle page costs nothing.
+     * @param {object} changes - any of enabled, master, sfx, music, pack
+     * @returns {object} the new settings
+     */
+    update(changes) {
+      const packChanged = changes.pack !== undefined && changes.pack !== settings.pack;
+      settings = audioSettings({ ...settings, ...changes });
+      if (ctx) {
+        if (!settings.enabled) ctx.suspend();
+        else if (ctx.state === 'suspended') ctx.resume();
+        applyLevels();
+        syncMusic(packChanged);
+      }
+      return { ...settings };
+    },
+
+    /**
+     * Play the current pack's sound for an event. Unknown events are silent.
+     * @param {string} event - one of SOUND_EVENTS
+     */
+    play(event) {
+      if (!settings.enabled || !settings.master || !settings.sfx) return;
+      const notes = SOUND_PACKS[settings.pack].sounds[event];
+      if (!notes) return;
+      try {
+        context();
+        notes.forEach(playNote);
+      } catch (_) { /* Silent fail — audio is optional */ }
+    },
+
+    /** Call from a click or key press: lets audio start, and the music with it */
+    unlock() {
+      if (!settings.enabled) return;
+      try {
+        context();
+        syncMusic();
+      } catch (_) { /* Silent fail — audio is optional */ }
+    },
+
+    /** Stop the music and release the context */
+    close() {
+      if (!ctx) return;
+      if (pad) stopMusic();
+      ctx.close();
+      ctx = null;
+      voices.length = 0;
+    },
+  };
+}
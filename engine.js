@@ -0,0 +1,1353 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * engine.js
+ *
+ * The game engine as a pure ES module — no DOM, no audio — shared by the
+ * game component (game.js), the search worker (ai-worker.js), the relay
+ * server (server/relay.mjs) and the test suite (test/engine.test.js).
+ *
+ *  - Board creation, legal moves and move application
+ *  - Win-line generation for N×N boards with K-in-a-row, result detection
+ *  - Rule sets: standard, misère, wild, numerical and three-piece rolling
+ *  - Alpha-beta minimax with a heuristic horizon
+ *  - Per-move analysis (win / draw / loss and distance) and move grading
+ *  - Ultimate tic-tac-toe: rules and a heuristic alpha-beta search
+ *  - 3D tic-tac-toe on a 3×3×3 or 4×4×4 cube: its lines and a heuristic search
+ *  - Gravity (Connect-style) boards: where a dropped mark lands, and a
+ *    column-by-column heuristic search
+ *  - Optional deadlines: iterative deepening that answers in time
+ *  - Transposition table keyed on a symmetry-reduced position, so the
+ *    8 rotations / reflections of a position are only searched once
+ */
+
+/* ═══════════════════════════════════════════════════════════
+   CONSTANTS
+   ═══════════════════════════════════════════════════════════ */
+
+/** Line directions as [rowStep, colStep]: row, column, diagonal, anti-diagonal */
+const DIRECTIONS = [[0, 1], [1, 0], [1, 1], [1, -1]];
+
+/** Score of a won position before the ply adjustment — dwarfs any heuristic */
+export const WIN_SCORE = 1e6;
+
+/** Transposition table entry bounds */
+const EXACT = 0;
+const LOWER = 1;
+const UPPER = 2;
+
+/** Drop the table once it holds this many positions */
+const TABLE_LIMIT = 1e6;
+
+/** Search nodes between reads of the clock when a deadline is set */
+const DEADLINE_CHECK = 1024;
+
+/** Heuristic gap (about one open pair) below which a move still counts as best */
+const HEURISTIC_SLACK = 16;
+
+/** Marks each player keeps under the rolling rules */
+export const ROLLING_MARKS = 3;
+
+/** Line total that wins numerical tic-tac-toe */
+const NUMERICAL_TARGET = 15;
+
+/** What each side may put down when it can only play its own letter, and under wild rules */
+const OWN_MARK   = { X: ['X'], O: ['O'] };
+const WILD_MARKS = ['X', 'O'];
+
+/* ═══════════════════════════════════════════════════════════
+   BOARD RULES
+   ═══════════════════════════════════════════════════════════ */
+
+/**
+ * An empty size×size board.
+ * @param {number} size
+ * @returns {Array<null>}
+ */
+export function createBoard(size) {
+  return Array(size * size).fill(null);
+}
+
+/**
+ * Indices of every empty cell.
+ * @param {Array} board
+ * @returns {number[]}
+ */
+export function legalMoves(board) {
+  const moves = [];
+  for (let i = 0; i < board.length; i++) if (board[i] === null) moves.push(i);
+  return moves;
+}
+
+/**
+ * The board after `player` marks `index`. The input board is not modified.
+ * @param {Array} board
+ * @param {number} index
+ * @param {'X'|'O'} player
+ * @returns {Array}
+ * @throws {RangeError} if the cell is off the board or already taken
+ */
+export function applyMove(board, index, player) {
+  if (!Number.isInteger(index) || index < 0 || index >= board.length || board[index] !== null) {
+    throw new RangeError(`Illegal move: cell ${index}`);
+  }
+  const next = board.slice();
+  next[index] = player;
+  return next;
+}
+
+/**
+ * Generate every winning index combination for a size×size board
+ * where `winLength` marks in a row win.
+ * @param {number} size
+ * @param {number} winLength
+ * @param {number} [rows] - for a board `size` wide but not as tall
+ * @returns {number[][]}
+ */
+export function generateWinCombos(size, winLength, rows = size) {
+  const combos = [];
+  for (const [dr, dc] of DIRECTIONS) {
+    for (let r = 0; r < rows; r++) {
+      for (let c = 0; c < size; c++) {
+        const endR = r + dr * (winLength - 1);
+        const endC = c + dc * (winLength - 1);
+        if (endR < 0 || endR >= rows || endC < 0 || endC >= size) continue;
+
+        const combo = [];
+        for (let k = 0; k < winLength; k++) combo.push((r + dr * k) * size + (c + dc * k));
+        combos.push(combo);
+      }
+    }
+  }
+  return combos;
+}
+
+/**
+ * Check a board for a win or draw against the given win lines.
+ * The winner follows the rule set: under misère a line loses, and under
+ * wild and numerical rules it wins for whoever completed it.
+ * @param {Array} board
+ * @param {number[][]} combos
+ * @param {string} [rules] - one of RULE_SETS
+ * @param {'X'|'O'} [starter] - who moved first; wild and numerical rules need it to tell who moved last
+ * @returns {null | {winner:'X'|'O'|'draw', combo?: number[]}}
+ */
+export function checkResult(board, combos, rules = 'standard', starter = 'X') {
+  if (rules === 'numerical') return numericalResult(board, combos, starter);
+
+  for (const combo of combos) {
+    const first = board[combo[0]];
+    if (first && combo.every(i => board[i] === first)) {
+      if (rules === 'misere') return { winner: first === 'X' ? 'O' : 'X', combo };
+      if (rules === 'wild') return { winner: lastMover(board, starter), combo };
+      return { winner: first, combo };
+    }
+  }
+  if (board.every(cell => cell !== null)) {
+    return { winner: 'draw' };
+  }
+  return null;
+}
+
+/** checkResult() for numbers: a full line summing to NUMERICAL_TARGET wins */
+function numericalResult(board, combos, starter) {
+  for (const combo of combos) {
+    let sum = 0;
+    for (const i of combo) sum += board[i] === null ? Infinity : board[i];
+    if (sum === NUMERICAL_TARGET) return { winner: lastMover(board, starter), combo };
+  }
+  return board.every(cell => cell !== null) ? { winner: 'draw' } : null;
+}
+
+function countMarks(board) {
+  let marks = 0;
+  for (const cell of board) if (cell !== null) marks++;
+  return marks;
+}
+
+/** Who made the last move on a board that never loses marks */
+function lastMover(board, starter) {
+  if (countMarks(board) % 2) return starter;
+  return starter === 'X' ? 'O' : 'X';
+}
+
+/** Who moved first, when `player` is to move on a board that never loses marks */
+function firstMover(board, player) {
+  if (countMarks(board) % 2 === 0) return player;
+  return player === 'X' ? 'O' : 'X';
+}
+
+/**
+ * Empty cells worth searching. Up to 4×4 that is every empty cell; on
+ * larger boards only cells touching an existing mark (or the center on
+ * an empty board) are considered.
+ * @param {Array} board
+ * @param {number} size
+ * @returns {number[]}
+ */
+export function candidateMoves(board, size) {
+  const empty = legalMoves(board);
+  if (size <= 4) return empty;
+
+  if (empty.length === board.length) {
+    const mid = Math.floor(size / 2);
+    return [mid * size + mid];
+  }
+
+  return empty.filter(i => {
+    const row = Math.floor(i / size);
+    const col = i % size;
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        const r = row + dr, c = col + dc;
+        if (r < 0 || r >= size || c < 0 || c >= size) continue;
+        if (board[r * size + c] !== null) return true;
+      }
+    }
+    return false;
+  });
+}
+
+/* ═══════════════════════════════════════════════════════════
+   RULE SETS
+   ═══════════════════════════════════════════════════════════ */
+
+/**
+ * Rule sets for a classic board:
+ *  standard  — K in a row wins
+ *  misere    — K in a row loses
+ *  wild      — either player may place X or O; whoever completes a line wins
+ *  numerical — whoever moves first places the odd numbers 1–9 and the
+ *              other player the even ones; whoever completes a line
+ *              summing to 15 wins
+ *  rolling   — placing a fourth mark removes that player's oldest one
+ */
+export const RULE_SETS = ['standard', 'misere', 'wild', 'numerical', 'rolling'];
+
+/** Rule sets that are only played on a 3×3 board */
+export const SMALL_BOARD_RULES = ['numerical', 'rolling'];
+
+/**
+ * What `player` may put down: their own letter, either letter (wild), or
+ * the numbers of their parity not yet on the board (numerical).
+ * The returned array may be shared — don't modify it.
+ * @param {Array} board
+ * @param {'X'|'O'} player
+ * @param {string} [rules]
+ * @param {'X'|'O'} [starter] - who moved first (numerical: they have the odd numbers)
+ * @returns {Array<string|number>}
+ */
+export function legalMarks(board, player, rules = 'standard', starter = 'X') {
+  if (rules === 'wild') return WILD_MARKS;
+  if (rules !== 'numerical') return OWN_MARK[player];
+
+  const marks = [];
+  for (let n = player === starter ? 1 : 2; n <= 9; n += 2) if (!board.includes(n)) marks.push(n);
+  return marks;
+}
+
+/**
+ * Cells of `player`'s marks still on a rolling board, oldest first.
+ * @param {{index:number, player:'X'|'O'}[]} history - the moves so far
+ * @param {'X'|'O'} player
+ * @returns {number[]}
+ */
+export function rollingQueue(history, player) {
+  return history.filter(m => m.player === player).map(m => m.index).slice(-ROLLING_MARKS);
+}
+
+/**
+ * The board after a move under a rule set. The input board is not modified.
+ * @param {Array} board
+ * @param {{index:number, player:'X'|'O', mark?:string|number}} move - mark defaults to the player's letter
+ * @param {string} [rules]
+ * @param {Array} [history] - the moves before this one; rolling needs them to find the oldest mark
+ * @returns {Array}
+ * @throws {RangeError} if the cell is off the board or taken, or the mark isn't the player's to place
+ */
+export function applyRuleMove(board, { index, player, mark = player }, rules = 'standard', history = []) {
+  if (!legalMarks(board, player, rules, firstMover(board, player)).includes(mark)) {
+    throw new RangeError(`Illegal move: ${player} can't place ${mark}`);
+  }
+  const next = applyMove(board, index, mark);
+  if (rules === 'rolling') {
+    const own = rollingQueue(history, player);
+    if (own.length === ROLLING_MARKS) next[own[0]] = null;
+  }
+  return next;
+}
+
+/**
+ * The board after a whole move log, from an empty size×size board.
+ * @param {{index:number, player:'X'|'O', mark?:string|number}[]} moves
+ * @param {number} size
+ * @param {string} [rules]
+ * @param {Array} [start] - the empty board to play on, if not size×size (a cube)
+ * @returns {Array}
+ * @throws {RangeError} on an illegal move
+ */
+export function boardFromMoves(moves, size, rules = 'standard', start = createBoard(size)) {
+  let board = start;
+  moves.forEach((move, i) => { board = applyRuleMove(board, move, rules, moves.slice(0, i)); });
+  return board;
+}
+
+/* ═══════════════════════════════════════════════════════════
+   SYMMETRY
+   ═══════════════════════════════════════════════════════════ */
+
+/**
+ * The 8 symmetries of a square board (4 rotations × optional mirror),
+ * each as a map from cell index to its image.
+ * @param {number} size
+ * @returns {number[][]}
+ */
+export function boardSymmetries(size) {
+  const last = size - 1;
+  const transforms = [
+    (r, c) => [r, c],
+    (r, c) => [c, last - r],
+    (r, c) => [last - r, last - c],
+    (r, c) => [last - c, r],
+    (r, c) => [r, last - c],
+    (r, c) => [c, r],
+    (r, c) => [last - r, c],
+    (r, c) => [last - c, last - r],
+  ];
+
+  return transforms.map(t => {
+    const map = [];
+    for (let i = 0; i < size * size; i++) {
+      const [r, c] = t(Math.floor(i / size), i % size);
+      map.push(r * size + c);
+    }
+    return map;
+  });
+}
+
+/**
+ * Canonical key for a position: the smallest string over all symmetric
+ * images, so rotated or mirrored copies share one table entry.
+ * @param {Array} board
+ * @param {number[][]} symmetries
+ * @returns {string}
+ */
+export function positionKey(board, symmetries) {
+  let best = null;
+  for (const map of symmetries) {
+    let key = '';
+    for (const i of map) key += board[i] || '.';
+    if (best === null || key < best) best = key;
+  }
+  return best;
+}
+
+/* ═══════════════════════════════════════════════════════════
+   TIME LIMITS
+   ═══════════════════════════════════════════════════════════ */
+
+/** Thrown out of a search whose deadline has passed; caught by deepen() */
+class SearchTimeout extends Error {}
+
+/** Deadline (Date.now() time) of the search in progress, and nodes visited under it */
+let deadline   = Infinity;
+let clockNodes = 0;
+
+/** Abandon the search if its deadline has passed (reads the clock every DEADLINE_CHECK nodes) */
+function checkDeadline() {
+  if (deadline === Infinity || ++clockNodes % DEADLINE_CHECK) return;
+  if (Date.now() > deadline) throw new SearchTimeout();
+}
+
+/**
+ * Iterative deepening: search to 1, 2, … `depth` plies and keep the last
+ * answer that finished before `until`. Depth 1 always finishes, so there
+ * is always an answer.
+ * @param {number} depth - deepest horizon worth searching (finite)
+ * @param {number} until - Date.now() time to stop by
+ * @param {(depth:number) => *} search
+ */
+function deepen(depth, until, search) {
+  let best = search(1);
+  try {
+    deadline = until;
+    for (let d = 2; d <= depth && Date.now() < until; d++) best = search(d);
+  } catch (err) {
+    if (!(err instanceof SearchTimeout)) throw err;
+  } finally {
+    deadline = Infinity;
+  }
+  return best;
+}
+
+/* ═══════════════════════════════════════════════════════════
+   SEARCH
+   ═══════════════════════════════════════════════════════════ */
+
+/** Per-board search context (rules, lines, symmetries, table), reused across moves */
+let searchContext = null;
+
+/**
+ * The search context for a board, with the rolling queues set up from
+ * the move log when the rules need them.
+ * @param {{size:number, winLength:number, rules?:string, history?:Array}} options
+ */
+function getContext({ size, winLength, rules = 'standard', history = [] }) {
+  const ctx = searchContext;
+  if (!ctx || ctx.size !== size || ctx.winLength !== winLength || ctx.rules !== rules) {
+    searchContext = {
+      size,
+      winLength,
+      rules,
+      combos:     generateWinCombos(size, winLength),
+      symmetries: boardSymmetries(size),
+      table:      new Map(),
+      queues:     null, // rolling: each player's marks, oldest first
+      starter:    'X',  // who moved first in the game being searched
+    };
+  }
+  if (searchContext.table.size > TABLE_LIMIT) searchContext.table.clear();
+  if (rules === 'rolling') {
+    searchContext.queues = { X: rollingQueue(history, 'X'), O: rollingQueue(history, 'O') };
+  }
+  return searchContext;
+}
+
+/**
+ * Moves played so far. Rolling boards lose marks, so there it is the
+ * length of the move log.
+ */
+function playedPlies(board, ctx, history = []) {
+  if (ctx.rules === 'rolling') return history.length;
+  return board.filter(cell => cell !== null).length;
+}
+
+/**
+ * Transposition-table key for a position (without the side to move).
+ * A rolling position also depends on the age of each mark, so its key
+ * is the two queues rather than a symmetry-reduced board.
+ */
+function searchKey(board, ctx) {
+  if (ctx.rules === 'rolling') return `${ctx.queues.X.join(',')}/${ctx.queues.O.join(',')}`;
+  return positionKey(board, ctx.symmetries);
+}
+
+/** Put a mark down during search; returns the cell a rolling move cleared, or -1 */
+function play(board, index, mark, player, ctx) {
+  board[index] = mark;
+  if (ctx.rules !== 'rolling') return -1;
+
+  const queue = ctx.queues[player];
+  queue.push(index);
+  if (queue.length <= ROLLING_MARKS) return -1;
+  const removed = queue.shift();
+  board[removed] = null;
+  return removed;
+}
+
+/** Take back a play() */
+function unplay(board, index, removed, player, ctx) {
+  board[index] = null;
+  if (ctx.rules !== 'rolling') return;
+
+  const queue = ctx.queues[player];
+  queue.pop();
+  if (removed >= 0) {
+    queue.unshift(removed);
+    board[removed] = player;
+  }
+}
+
+/**
+ * Heuristic value of an unfinished position from O's point of view.
+ * Every line still open to only one player counts for that player,
+ * weighted steeply by how many marks it already holds. Under misère those
+ * lines are a liability; under wild and numerical rules lines belong to
+ * nobody, so there is no heuristic.
+ * @param {Array} board
+ * @param {number[][]} combos
+ * @param {string} [rules]
+ * @returns {number}
+ */
+export function evaluateBoard(board, combos, rules = 'standard') {
+  if (rules === 'wild' || rules === 'numerical') return 0;
+
+  let score = 0;
+  for (const combo of combos) {
+    let o = 0, x = 0;
+    for (const i of combo) {
+      if (board[i] === 'O') o++;
+      else if (board[i] === 'X') x++;
+    }
+    if (o && !x) score += 4 ** o;
+    else if (x && !o) score -= 4 ** x;
+  }
+  return rules === 'misere' ? -score : score;
+}
+
+/**
+ * Minimax with alpha-beta pruning and a transposition table, under the
+ * context's rule set. Scores are from O's point of view; wins are adjusted
+ * by the number of marks on the board so a score never depends on the
+ * path taken to it (rolling boards lose marks, so there it is moves played).
+ * @param {Array}   board     - current board snapshot (mutated and restored)
+ * @param {'X'|'O'} toMove
+ * @param {number}  plies     - marks on the board (moves played, for rolling)
+ * @param {number}  remaining - plies left before the heuristic horizon
+ * @param {number}  alpha
+ * @param {number}  beta
+ * @param {object}  ctx       - from getContext()
+ * @returns {number}
+ */
+export function minimax(board, toMove, plies, remaining, alpha, beta, ctx) {
+  checkDeadline();
+  const result = checkResult(board, ctx.combos, ctx.rules, ctx.starter);
+
+  // Terminal states
+  if (result) {
+    if (result.winner === 'O') return WIN_SCORE - plies;
+    if (result.winner === 'X') return plies - WIN_SCORE;
+    return 0; // draw
+  }
+
+  if (remaining <= 0) return evaluateBoard(board, ctx.combos, ctx.rules);
+
+  const key = toMove + searchKey(board, ctx);
+  const hit = ctx.table.get(key);
+  if (hit && hit.remaining >= remaining) {
+    if (hit.flag === EXACT) return hit.score;
+    if (hit.flag === LOWER) alpha = Math.max(alpha, hit.score);
+    else beta = Math.min(beta, hit.score);
+    if (beta <= alpha) return hit.score;
+  }
+
+  const alphaIn = alpha;
+  const betaIn  = beta;
+  const isMax   = toMove === 'O';
+  const next    = isMax ? 'X' : 'O';
+  const marks   = legalMarks(board, toMove, ctx.rules, ctx.starter);
+  let best      = isMax ? -Infinity : Infinity;
+
+  search:
+  for (const i of candidateMoves(board, ctx.size)) {
+    for (const mark of marks) {
+      // Simulate move
+      const removed = play(board, i, mark, toMove, ctx);
+      const score   = minimax(board, next, plies + 1, remaining - 1, alpha, beta, ctx);
+      unplay(board, i, removed, toMove, ctx);
+
+      if (isMax) {
+        best  = Math.max(best, score);
+        alpha = Math.max(alpha, best);
+      } else {
+        best  = Math.min(best, score);
+        beta  = Math.min(beta, best);
+      }
+
+      // Prune
+      if (beta <= alpha) break search;
+    }
+  }
+
+  const flag = best <= alphaIn ? UPPER : best >= betaIn ? LOWER : EXACT;
+  ctx.table.set(key, { score: best, remaining, flag });
+  return best;
+}
+
+/**
+ * Best move for `player` on the given board, and the mark to place there.
+ * @param {Array} board
+ * @param {{size:number, winLength:number, depth:number, player:'X'|'O', rules?:string, history?:Array, deadline?:number}} options
+ *        depth is the search horizon in plies (Infinity to solve outright);
+ *        history is the move log, which rolling rules need; with a
+ *        deadline (a Date.now() time) the search deepens one ply at a time
+ *        and answers from the deepest search that finished by then
+ * @returns {{index:number, mark:string|number|null}} index -1 if there is no move
+ */
+export function searchMove(board, { depth, player, deadline: until = Infinity, ...options }) {
+  if (until !== Infinity) {
+    // Past the last empty cell a deeper search finds nothing new (rolling boards never fill)
+    const horizon = options.rules === 'rolling' ? depth : board.filter(cell => cell === null).length;
+    return deepen(Math.min(depth, horizon), until, d => searchMove(board, { ...options, depth: d, player }));
+  }
+
+  const ctx   = getContext(options);
+  const work  = board.slice();
+  const plies = playedPlies(work, ctx, options.history);
+  ctx.starter = firstMover(work, player);
+  const isMax = player === 'O';
+  const next  = isMax ? 'X' : 'O';
+  const marks = legalMarks(work, player, ctx.rules, ctx.starter);
+
+  let alpha = -Infinity, beta = Infinity;
+  let best = { index: -1, mark: null };
+  let bestScore = isMax ? -Infinity : Infinity;
+
+  for (const i of candidateMoves(work, ctx.size)) {
+    for (const mark of marks) {
+      const removed = play(work, i, mark, player, ctx);
+      const score   = minimax(work, next, plies + 1, depth - 1, alpha, beta, ctx);
+      unplay(work, i, removed, player, ctx);
+
+      if (isMax ? score > bestScore : score < bestScore) {
+        bestScore = score;
+        best = { index: i, mark };
+      }
+      if (isMax) alpha = Math.max(alpha, bestScore);
+      else beta = Math.min(beta, bestScore);
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Best cell for `player` — searchMove() without the mark.
+ * @param {Array} board
+ * @param {object} options - as for searchMove()
+ * @returns {number} cell index, or -1 if the board is full
+ */
+export function searchBestMove(board, options) {
+  return searchMove(board, options).index;
+}
+
+/* ═══════════════════════════════════════════════════════════
+   ANALYSIS
+   ═══════════════════════════════════════════════════════════ */
+
+/**
+ * Read a score from the mover's point of view as a game outcome.
+ * @param {number}  score      - mover's view: positive is good for the mover
+ * @param {number}  plies      - marks on the board before the move
+ * @param {boolean} exhaustive - whether the search reached every ending
+ * @returns {{outcome:'win'|'loss'|'draw'|null, distance:number|null}}
+ *          distance counts plies (both players) until the result, including
+ *          the move itself; outcome is null when the horizon cut the search short
+ */
+function describeScore(score, plies, exhaustive) {
+  if (score > WIN_SCORE / 2) return { outcome: 'win', distance: WIN_SCORE - score - plies };
+  if (score < -WIN_SCORE / 2) return { outcome: 'loss', distance: WIN_SCORE + score - plies };
+  return exhaustive ? { outcome: 'draw', distance: null } : { outcome: null, distance: null };
+}
+
+/**
+ * Evaluate every candidate move for `player`. Each move gets its own full
+ * window, so scores are exact values (to the horizon), not cut-off bounds.
+ * Where the rules let the player choose what to place, every mark is a
+ * separate move.
+ * @param {Array} board
+ * @param {{size:number, winLength:number, depth:number, player:'X'|'O', moves?:number[], rules?:string, history?:Array}} options
+ *        moves defaults to candidateMoves(); history as for searchMove()
+ * @returns {{index:number, mark?:string|number, score:number, outcome:string|null, distance:number|null}[]}
+ *          score is from the mover's point of view, best first; mark is
+ *          only set under wild and numerical rules
+ */
+export function analyzeMoves(board, { depth, player, moves, ...options }) {
+  const ctx   = getContext(options);
+  const work  = board.slice();
+  const plies = playedPlies(work, ctx, options.history);
+  ctx.starter = firstMover(work, player);
+  const sign  = player === 'O' ? 1 : -1;
+  const next  = player === 'O' ? 'X' : 'O';
+  const marks = legalMarks(work, player, ctx.rules, ctx.starter);
+  const named = marks !== OWN_MARK[player];
+
+  // candidateMoves() only prunes beyond 4×4, so smaller boards can be solved —
+  // except under rolling rules, where a game need never end
+  const empties    = work.filter(cell => cell === null).length;
+  const exhaustive = ctx.size <= 4 && ctx.rules !== 'rolling' && depth >= empties;
+
+  const evaluations = [];
+  for (const index of moves || candidateMoves(work, ctx.size)) {
+    for (const mark of marks) {
+      const removed = play(work, index, mark, player, ctx);
+      const score   = sign * minimax(work, next, plies + 1, depth - 1, -Infinity, Infinity, ctx) + 0; // no -0
+      unplay(work, index, removed, player, ctx);
+      evaluations.push({ index, ...(named && { mark }), score, ...describeScore(score, plies, exhaustive) });
+    }
+  }
+  return evaluations.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Grade a played move against the alternatives.
+ *  best       — as good as the top move (heuristic scores within HEURISTIC_SLACK)
+ *  inaccuracy — keeps the same outcome, but wins slower, loses sooner or
+ *               gives up heuristic ground
+ *  blunder    — turns a win into a draw or loss, or a draw into a loss
+ * @param {Array} board - position before the move
+ * @param {number} index - the move played
+ * @param {{size:number, winLength:number, depth:number, player:'X'|'O', mark?:string|number, rules?:string, history?:Array}} options
+ *        mark is what was placed (the player's letter by default)
+ * @returns {{grade:'best'|'inaccuracy'|'blunder', played:object, best:object}}
+ */
+export function gradeMove(board, index, { player, mark = player, ...options }) {
+  const moves = candidateMoves(board, options.size);
+  if (!moves.includes(index)) moves.push(index);
+
+  const evaluations = analyzeMoves(board, { ...options, player, moves });
+  const best   = evaluations[0];
+  const played = evaluations.find(e => e.index === index && (e.mark === undefined || e.mark === mark));
+  const rank   = score => (score > WIN_SCORE / 2 ? 2 : score < -WIN_SCORE / 2 ? 0 : 1);
+
+  let grade = 'inaccuracy';
+  if (rank(played.score) < rank(best.score)) grade = 'blunder';
+  else if (played.score === best.score) grade = 'best';
+  else if (rank(best.score) === 1 && best.score - played.score <= HEURISTIC_SLACK) grade = 'best';
+
+  return { grade, played, best };
+}
+
+/**
+ * Grade the moves of a finished (or unfinished) game.
+ * @param {{index:number, player:'X'|'O', mark?:string|number}[]} moves
+ * @param {{size:number, winLength:number, depth:number, players?:string[], rules?:string}} options
+ *        players limits the review to those sides (e.g. just the human)
+ * @returns {Array<'best'|'inaccuracy'|'blunder'|null>} one grade per move, null if skipped
+ */
+export function reviewGame(moves, { size, winLength, depth, players = ['X', 'O'], rules = 'standard' }) {
+  let board = createBoard(size);
+  return moves.map((move, i) => {
+    const history = moves.slice(0, i);
+    const grade   = players.includes(move.player)
+      ? gradeMove(board, move.index, { size, winLength, depth, rules, history, player: move.player, mark: move.mark }).grade
+      : null;
+    board = applyRuleMove(board, move, rules, history);
+    return grade;
+  });
+}
+
+/* ═══════════════════════════════════════════════════════════
+   ULTIMATE
+   ═══════════════════════════════════════════════════════════ */
+
+/*
+ * Ultimate tic-tac-toe is a 3×3 grid of small 3×3 boards. Cells are
+ * numbered board by board: cell `c` of small board `b` is index b·9 + c.
+ * The cell you play decides the small board your opponent plays next
+ * (anywhere, if that board is already decided); three small boards in a
+ * line win. The small boards and the big one are judged by checkResult().
+ */
+
+const ULTIMATE_SIDE  = 3;
+const ULTIMATE_CELLS = 81;
+
+/** Win lines of one small board — and of the big board of small boards */
+const ULTIMATE_LINES = generateWinCombos(ULTIMATE_SIDE, ULTIMATE_SIDE);
+
+/** Heuristic weights: a won small board, and a small board's strategic value by position */
+const BOARD_WIN_VALUE = 120;
+const BOARD_WEIGHTS   = [3, 2, 3, 2, 4, 2, 3, 2, 3];
+
+/**
+ * The nine cells of small board `b`.
+ * @param {Array} board - all 81 cells
+ * @param {number} b
+ * @returns {Array}
+ */
+export function smallBoard(board, b) {
+  return board.slice(b * 9, b * 9 + 9);
+}
+
+/**
+ * Rebuild an Ultimate position from its cells and the last move played.
+ * @param {Array} board - all 81 cells
+ * @param {number|null} lastIndex - the last move, or null before the first
+ * @returns {{board:Array, boards:Array<null|'X'|'O'|'draw'>, target:number|null}}
+ *          boards: each small board's result; target: the small board that
+ *          must be played next, or null for any open board
+ */
+export function ultimateGame(board, lastIndex) {
+  const boards = [];
+  for (let b = 0; b < 9; b++) {
+    const result = checkResult(smallBoard(board, b), ULTIMATE_LINES);
+    boards.push(result ? result.winner : null);
+  }
+  const target = lastIndex == null || boards[lastIndex % 9] ? null : lastIndex % 9;
+  return { board: board.slice(), boards, target };
+}
+
+/** An empty Ultimate position */
+export function createUltimate() {
+  return ultimateGame(Array(ULTIMATE_CELLS).fill(null), null);
+}
+
+/**
+ * Every cell the side to move may play.
+ * @param {{board:Array, boards:Array, target:number|null}} game
+ * @returns {number[]}
+ */
+export function ultimateMoves(game) {
+  const moves = [];
+  for (let b = 0; b < 9; b++) {
+    if (game.boards[b] || (game.target !== null && game.target !== b)) continue;
+    for (let i = b * 9; i < b * 9 + 9; i++) if (game.board[i] === null) moves.push(i);
+  }
+  return moves;
+}
+
+/**
+ * The position after `player` marks `index`. The input is not modified.
+ * @param {{board:Array, boards:Array, target:number|null}} game
+ * @param {number} index
+ * @param {'X'|'O'} player
+ * @returns {{board:Array, boards:Array, target:number|null}}
+ * @throws {RangeError} if the cell isn't playable
+ */
+export function applyUltimateMove(game, index, player) {
+  if (ultimateResult(game) || !ultimateMoves(game).includes(index)) {
+    throw new RangeError(`Illegal move: cell ${index}`);
+  }
+  const next = { board: game.board.slice(), boards: game.boards.slice(), target: null };
+  playUltimate(next, index, player);
+  return next;
+}
+
+/**
+ * The big board's result: three small boards in a line, or a draw once
+ * every small board is decided.
+ * @param {{boards:Array}} game
+ * @returns {null | {winner:'X'|'O'|'draw', combo?: number[]}} combo lists small-board indices
+ */
+export function ultimateResult(game) {
+  // Drawn small boards count for nobody
+  const meta   = game.boards.map(b => (b === 'draw' ? null : b));
+  const result = checkResult(meta, ULTIMATE_LINES);
+  if (result) return result;
+  return game.boards.every(Boolean) ? { winner: 'draw' } : null;
+}
+
+/** Mark a cell in place; returns what playUltimate changed so it can be undone */
+function playUltimate(game, index, player) {
+  const b    = Math.floor(index / 9);
+  const undo = { result: game.boards[b], target: game.target };
+
+  game.board[index] = player;
+  const result = checkResult(smallBoard(game.board, b), ULTIMATE_LINES);
+  game.boards[b] = result ? result.winner : null;
+  game.target    = game.boards[index % 9] ? null : index % 9;
+  return undo;
+}
+
+function unplayUltimate(game, index, undo) {
+  game.board[index] = null;
+  game.boards[Math.floor(index / 9)] = undo.result;
+  game.target = undo.target;
+}
+
+/**
+ * Heuristic value of an unfinished Ultimate position from O's point of view:
+ * won small boards (weighted by position), big-board lines still open to one
+ * player, and evaluateBoard() on every small board still in play.
+ * @param {{board:Array, boards:Array}} game
+ * @returns {number}
+ */
+export function evaluateUltimate(game) {
+  let score = 0;
+
+  for (const line of ULTIMATE_LINES) {
+    let o = 0, x = 0;
+    for (const b of line) {
+      if (game.boards[b] === 'O') o++;
+      else if (game.boards[b] === 'X') x++;
+      else if (game.boards[b] === 'draw') { o = x = -1; break; }
+    }
+    if (o > 0 && x === 0) score += BOARD_WIN_VALUE * 2 ** o;
+    else if (x > 0 && o === 0) score -= BOARD_WIN_VALUE * 2 ** x;
+  }
+
+  game.boards.forEach((result, b) => {
+    if (result === 'O') score += BOARD_WIN_VALUE * BOARD_WEIGHTS[b];
+    else if (result === 'X') score -= BOARD_WIN_VALUE * BOARD_WEIGHTS[b];
+    else if (!result) score += evaluateBoard(smallBoard(game.board, b), ULTIMATE_LINES) * BOARD_WEIGHTS[b];
+  });
+
+  return score;
+}
+
+/** Alpha-beta over Ultimate positions; same score convention as minimax() */
+function ultimateSearch(game, toMove, plies, remaining, alpha, beta) {
+  checkDeadline();
+  const result = ultimateResult(game);
+  if (result) {
+    if (result.winner === 'O') return WIN_SCORE - plies;
+    if (result.winner === 'X') return plies - WIN_SCORE;
+    return 0;
+  }
+  if (remaining <= 0) return evaluateUltimate(game);
+
+  const isMax = toMove === 'O';
+  const next  = isMax ? 'X' : 'O';
+  let best    = isMax ? -Infinity : Infinity;
+
+  for (const i of orderUltimateMoves(game)) {
+    const undo  = playUltimate(game, i, toMove);
+    const score = ultimateSearch(game, next, plies + 1, remaining - 1, alpha, beta);
+    unplayUltimate(game, i, undo);
+
+    if (isMax) {
+      best  = Math.max(best, score);
+      alpha = Math.max(alpha, best);
+    } else {
+      best  = Math.min(best, score);
+      beta  = Math.min(beta, best);
+    }
+    if (beta <= alpha) break;
+  }
+  return best;
+}
+
+/**
+ * Legal moves, the ones that don't hand the opponent a free choice of
+ * board first — searching likely-good moves early makes pruning bite.
+ */
+function orderUltimateMoves(game) {
+  const moves = ultimateMoves(game);
+  const free  = i => (game.boards[i % 9] || Math.floor(i / 9) === i % 9 ? 1 : 0);
+  return moves.sort((a, b) => free(a) - free(b));
+}
+
+/**
+ * Best Ultimate move for `player`.
+ * @param {{board:Array, boards:Array, target:number|null}} game
+ * @param {{depth:number, player:'X'|'O', deadline?:number}} options - deadline as for searchMove()
+ * @returns {number} cell index, or -1 if there is no legal move
+ */
+export function searchUltimateMove(game, { depth, player, deadline: until = Infinity }) {
+  if (until !== Infinity) {
+    const horizon = game.board.filter(cell => cell === null).length;
+    return deepen(Math.min(depth, horizon), until, d => searchUltimateMove(game, { depth: d, player }));
+  }
+
+  const work  = { board: game.board.slice(), boards: game.boards.slice(), target: game.target };
+  const plies = work.board.filter(cell => cell !== null).length;
+  const isMax = player === 'O';
+  const next  = isMax ? 'X' : 'O';
+
+  let alpha = -Infinity, beta = Infinity;
+  let bestIndex = -1;
+  let bestScore = isMax ? -Infinity : Infinity;
+
+  for (const i of orderUltimateMoves(work)) {
+    const undo  = playUltimate(work, i, player);
+    const score = ultimateSearch(work, next, plies + 1, depth - 1, alpha, beta);
+    unplayUltimate(work, i, undo);
+
+    if (isMax ? score > bestScore : score < bestScore) {
+      bestScore = score;
+      bestIndex = i;
+    }
+    if (isMax) alpha = Math.max(alpha, bestScore);
+    else beta = Math.min(beta, bestScore);
+  }
+  return bestIndex;
+}
+
+/* ═══════════════════════════════════════════════════════════
+   CUBE
+   ═══════════════════════════════════════════════════════════ */
+
+/*
+ * 3D tic-tac-toe on a size×size×size cube, drawn as `size` stacked layers.
+ * Cells are numbered layer by layer: (layer, row, col) is index
+ * layer·size² + row·size + col. A line is `size` cells straight through the
+ * cube in any of 13 directions — rows, columns and pillars, the diagonals
+ * of every plane, and the four space diagonals: 49 lines on 3×3×3, 76 on
+ * 4×4×4. Results come from checkResult() against those lines.
+ */
+
+/** Cube edges on offer */
+export const CUBE_SIZES = [3, 4];
+
+/** Per-size lines, each cell's lines and a move order, built once */
+const cubeCache = new Map();
+
+/**
+ * An empty size×size×size cube.
+ * @param {number} size
+ * @returns {Array<null>}
+ */
+export function createCube(size) {
+  return Array(size ** 3).fill(null);
+}
+
+/**
+ * Every winning line of a cube.
+ * @param {number} size - 3 or 4
+ * @returns {number[][]}
+ */
+export function cubeCombos(size) {
+  return cubeContext(size).lines;
+}
+
+function cubeContext(size) {
+  if (cubeCache.has(size)) return cubeCache.get(size);
+
+  // One direction of each opposite pair: the first non-zero step is positive
+  const directions = [];
+  for (let dl = -1; dl <= 1; dl++) {
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) {
+        const first = dl || dr || dc;
+        if (first > 0) directions.push([dl, dr, dc]);
+      }
+    }
+  }
+
+  const inside = v => v >= 0 && v < size;
+  const lines  = [];
+  for (const [dl, dr, dc] of directions) {
+    for (let l = 0; l < size; l++) {
+      for (let r = 0; r < size; r++) {
+        for (let c = 0; c < size; c++) {
+          const end = size - 1;
+          if (!inside(l + dl * end) || !inside(r + dr * end) || !inside(c + dc * end)) continue;
+          // Only lines that start on the cube's edge in their direction — no duplicates
+          if (inside(l - dl) && inside(r - dr) && inside(c - dc)) continue;
+          const line = [];
+          for (let k = 0; k < size; k++) line.push((l + dl * k) * size * size + (r + dr * k) * size + (c + dc * k));
+          lines.push(line);
+        }
+      }
+    }
+  }
+
+  const cellLines = Array.from({ length: size ** 3 }, () => []);
+  for (const line of lines) for (const i of line) cellLines[i].push(line);
+
+  // Cells on more lines (centre, corners) first: likely-good moves early make pruning bite
+  const order = cellLines.map((_, i) => i).sort((a, b) => cellLines[b].length - cellLines[a].length);
+
+  const cube = { size, lines, cellLines, order };
+  cubeCache.set(size, cube);
+  return cube;
+}
+
+/** Whether the mark just put on `index` completes one of its lines (a cube's or a gravity board's) */
+function completesLine(board, index, { cellLines }) {
+  const mark = board[index];
+  return cellLines[index].some(line => line.every(i => board[i] === mark));
+}
+
+/**
+ * Empty cells, most promising first: a cell scores for every line through
+ * it still open to one side, more for fuller lines, so wins and blocks
+ * come up first; ties keep the centre-and-corners order.
+ */
+function orderCubeMoves(board, cube) {
+  const scored = [];
+  for (const i of cube.order) {
+    if (board[i] !== null) continue;
+    let score = 0;
+    for (const line of cube.cellLines[i]) {
+      let o = 0, x = 0;
+      for (const j of line) {
+        if (board[j] === 'O') o++;
+        else if (board[j] === 'X') x++;
+      }
+      if (!o || !x) score += 4 ** (o + x);
+    }
+    scored.push({ i, score });
+  }
+  return scored.sort((a, b) => b.score - a.score).map(m => m.i);
+}
+
+/** Alpha-beta over cube positions; same score convention as minimax() */
+function cubeSearch(board, toMove, plies, remaining, alpha, beta, cube) {
+  checkDeadline();
+  if (remaining <= 0) return evaluateBoard(board, cube.lines);
+
+  const isMax = toMove === 'O';
+  const next  = isMax ? 'X' : 'O';
+  let best    = isMax ? -Infinity : Infinity;
+
+  for (const i of orderCubeMoves(board, cube)) {
+    board[i] = toMove;
+    let score;
+    if (completesLine(board, i, cube)) score = isMax ? WIN_SCORE - (plies + 1) : plies + 1 - WIN_SCORE;
+    else if (plies + 1 === board.length) score = 0;
+    else score = cubeSearch(board, next, plies + 1, remaining - 1, alpha, beta, cube);
+    board[i] = null;
+
+    if (isMax) {
+      best  = Math.max(best, score);
+      alpha = Math.max(alpha, best);
+    } else {
+      best  = Math.min(best, score);
+      beta  = Math.min(beta, best);
+    }
+    if (beta <= alpha) break;
+  }
+  return best;
+}
+
+/**
+ * Best cube move for `player`. Full minimax is out of reach (64 cells on
+ * 4×4×4), so the search stops at `depth` and scores open lines with
+ * evaluateBoard().
+ * @param {Array} board - size³ cells
+ * @param {{size:number, depth:number, player:'X'|'O', deadline?:number}} options - deadline as for searchMove()
+ * @returns {number} cell index, or -1 if the cube is full
+ */
+export function searchCubeMove(board, { size, depth, player, deadline: until = Infinity }) {
+  if (until !== Infinity) {
+    const horizon = board.filter(cell => cell === null).length;
+    return deepen(Math.min(depth, horizon), until, d => searchCubeMove(board, { size, depth: d, player }));
+  }
+
+  const cube  = cubeContext(size);
+  const work  = board.slice();
+  const plies = work.filter(cell => cell !== null).length;
+  const isMax = player === 'O';
+  const next  = isMax ? 'X' : 'O';
+
+  let alpha = -Infinity, beta = Infinity;
+  let bestIndex = -1;
+  let bestScore = isMax ? -Infinity : Infinity;
+
+  for (const i of orderCubeMoves(work, cube)) {
+    work[i] = player;
+    let score;
+    if (completesLine(work, i, cube)) score = isMax ? WIN_SCORE - (plies + 1) : plies + 1 - WIN_SCORE;
+    else if (plies + 1 === work.length) score = 0;
+    else score = cubeSearch(work, next, plies + 1, depth - 1, alpha, beta, cube);
+    work[i] = null;
+
+    if (isMax ? score > bestScore : score < bestScore) {
+      bestScore = score;
+      bestIndex = i;
+    }
+    if (isMax) alpha = Math.max(alpha, bestScore);
+    else beta = Math.min(beta, bestScore);
+  }
+  return bestIndex;
+}
+
+/* ═══════════════════════════════════════════════════════════
+   GRAVITY
+   ═══════════════════════════════════════════════════════════ */
+
+/*
+ * Connect-style play: a mark dropped in a column falls to the lowest empty
+ * cell in it. The board is `size` columns wide and one row shorter than
+ * that (7×6 is Connect Four), numbered row by row from the top like a
+ * classic board, so a move is still the cell a mark lands on. Lines come
+ * from generateWinCombos() on that shape, results from checkResult().
+ */
+
+/** Board widths on offer */
+export const GRAVITY_SIZES = [5, 6, 7, 8, 9, 10];
+
+/** Connect Four: where a board that isn't on offer falls back to */
+const CONNECT_FOUR = { size: 7, winLength: 4 };
+
+/** Fewest marks in a row a gravity board is played to */
+const GRAVITY_MIN_LINE = 3;
+
+/** Per-shape lines, each cell's lines and a column order, built once */
+const gravityCache = new Map();
+
+/**
+ * Rows of a gravity board.
+ * @param {number} size - columns
+ * @returns {number}
+ */
+export function gravityRows(size) {
+  return size - 1;
+}
+
+/**
+ * The gravity board to play for a requested one: Connect Four unless the
+ * width is on offer, and then four in a row unless the win length fits
+ * down a column.
+ * @param {number} size
+ * @param {number} winLength
+ * @returns {{size:number, winLength:number}}
+ */
+export function gravityShape(size, winLength) {
+  if (!GRAVITY_SIZES.includes(size)) return { ...CONNECT_FOUR };
+  const fits = Number.isInteger(winLength) && winLength >= GRAVITY_MIN_LINE && winLength <= gravityRows(size);
+  return { size, winLength: fits ? winLength : CONNECT_FOUR.winLength };
+}
+
+/**
+ * An empty gravity board.
+ * @param {number} size - columns
+ * @returns {Array<null>}
+ */
+export function createGravity(size) {
+  return Array(size * gravityRows(size)).fill(null);
+}
+
+/**
+ * Every winning line of a gravity board.
+ * @param {number} size - columns
+ * @param {number} winLength
+ * @returns {number[][]}
+ */
+export function gravityCombos(size, winLength) {
+  return gravityContext(size, winLength).lines;
+}
+
+function gravityContext(size, winLength) {
+  const key = `${size}:${winLength}`;
+  if (gravityCache.has(key)) return gravityCache.get(key);
+
+  const lines     = generateWinCombos(size, winLength, gravityRows(size));
+  const cellLines = Array.from({ length: size * gravityRows(size) }, () => []);
+  for (const line of lines) for (const i of line) cellLines[i].push(line);
+
+  // Middle columns first: they sit on the most lines, so pruning bites early
+  const mid   = (size - 1) / 2;
+  const order = Array.from({ length: size }, (_, c) => c).sort((a, b) => Math.abs(a - mid) - Math.abs(b - mid));
+
+  const grid = { size, lines, cellLines, order };
+  gravityCache.set(key, grid);
+  return grid;
+}
+
+/**
+ * Where a mark dropped in `column` lands.
+ * @param {Array} board
+ * @param {number} column - 0-based, from the left
+ * @param {number} size - columns
+ * @returns {number} cell index, or -1 if the column is full
+ */
+export function dropIndex(board, column, size) {
+  for (let i = board.length - size + column; i >= 0; i -= size) {
+    if (board[i] === null) return i;
+  }
+  return -1;
+}
+
+/**
+ * The cells a mark can land on: one per column that isn't full, left to right.
+ * @param {Array} board
+ * @param {number} size - columns
+ * @returns {number[]}
+ */
+export function gravityMoves(board, size) {
+  const moves = [];
+  for (let c = 0; c < size; c++) {
+    const i = dropIndex(board, c, size);
+    if (i >= 0) moves.push(i);
+  }
+  return moves;
+}
+
+/**
+ * The board after `player`'s mark lands on `index`. The input board is not modified.
+ * @param {Array} board
+ * @param {number} index
+ * @param {'X'|'O'} player
+ * @param {number} size - columns
+ * @returns {Array}
+ * @throws {RangeError} unless `index` is where a mark dropped in its column lands
+ */
+export function applyGravityMove(board, index, player, size) {
+  if (!Number.isInteger(index) || index < 0 || dropIndex(board, index % size, size) !== index) {
+    throw new RangeError(`Illegal move: cell ${index}`);
+  }
+  return applyMove(board, index, player);
+}
+
+/** Alpha-beta over gravity positions; same score convention as minimax() */
+function gravitySearch(board, toMove, plies, remaining, alpha, beta, grid) {
+  checkDeadline();
+  if (remaining <= 0) return evaluateBoard(board, grid.lines);
+
+  const isMax = toMove === 'O';
+  const next  = isMax ? 'X' : 'O';
+  let best    = isMax ? -Infinity : Infinity;
+
+  for (const column of grid.order) {
+    const i = dropIndex(board, column, grid.size);
+    if (i < 0) continue;
+    board[i] = toMove;
+    let score;
+    if (completesLine(board, i, grid)) score = isMax ? WIN_SCORE - (plies + 1) : plies + 1 - WIN_SCORE;
+    else if (plies + 1 === board.length) score = 0;
+    else score = gravitySearch(board, next, plies + 1, remaining - 1, alpha, beta, grid);
+    board[i] = null;
+
+    if (isMax) {
+      best  = Math.max(best, score);
+      alpha = Math.max(alpha, best);
+    } else {
+      best  = Math.min(best, score);
+      beta  = Math.min(beta, best);
+    }
+    if (beta <= alpha) break;
+  }
+  return best;
+}
+
+/**
+ * Best gravity move for `player`: the cell its mark should land on. Only
+ * one move per column keeps the tree narrow, but a 7×6 game is still far
+ * too long to search out, so the search stops at `depth` and scores open
+ * lines with evaluateBoard().
+ * @param {Array} board
+ * @param {{size:number, winLength:number, depth:number, player:'X'|'O', deadline?:number}} options - deadline as for searchMove()
+ * @returns {number} cell index, or -1 if the board is full
+ */
+export function searchGravityMove(board, { size, winLength, depth, player, deadline: until = Infinity }) {
+  if (until !== Infinity) {
+    const horizon = board.filter(cell => cell === null).length;
+    return deepen(Math.min(depth, horizon), until, d => searchGravityMove(board, { size, winLength, depth: d, player }));
+  }
+
+  const grid  = gravityContext(size, winLength);
+  const work  = board.slice();
+  const plies = work.filter(cell => cell !== null).length;
+  const isMax = player === 'O';
+  const next  = isMax ? 'X' : 'O';
+
+  let alpha = -Infinity, beta = Infinity;
+  let bestIndex = -1;
+  let bestScore = isMax ? -Infinity : Infinity;
+
+  for (const column of grid.order) {
+    const i = dropIndex(work, column, size);
+    if (i < 0) continue;
+    work[i] = player;
+    let score;
+    if (completesLine(work, i, grid)) score = isMax ? WIN_SCORE - (plies + 1) : plies + 1 - WIN_SCORE;
+    else if (plies + 1 === work.length) score = 0;
+    else score = gravitySearch(work, next, plies + 1, depth - 1, alpha, beta, grid);
+    work[i] = null;
+
+    if (isMax ? score > bestScore : score < bestScore) {
+      bestScore = score;
+      bestIndex = i;
+    }
+    if (isMax) alpha = Math.max(alpha, bestScore);
+    else beta = Math.min(beta, bestScore);
+  }
+  return bestIndex;
+}
+
+/* ═══════════════════════════════════════════════════════════
+   TASKS
+   ═══════════════════════════════════════════════════════════ */
+
+/** Searches the page can hand off to ai-worker.js, by name */
+const SEARCH_TASKS = {
+  move:     ({ board, ...options }) => searchBestMove(board, options),
+  play:     ({ board, ...options }) => searchMove(board, options),
+  analyze:  ({ board, ...options }) => analyzeMoves(board, options),
+  review:   ({ moves, ...options }) => reviewGame(moves, options),
+  ultimate: ({ board, lastIndex, ...options }) => searchUltimateMove(ultimateGame(board, lastIndex), options),
+  cube:     ({ board, ...options }) => searchCubeMove(board, options),
+  gravity:  ({ board, ...options }) => searchGravityMove(board, options),
+};
+
+/**
+ * Run one named search — the same call in the worker and on the main thread.
+ * @param {{task?:'move'|'play'|'analyze'|'review'|'ultimate'|'cube'|'gravity'}} request - plus that task's arguments
+ * @returns {*}
+ * @throws {TypeError} for an unknown task
+ */
+export function runTask({ task = 'move', ...request }) {
+  if (!Object.hasOwn(SEARCH_TASKS, task)) throw new TypeError(`Unknown search task "${task}"`);
+  return SEARCH_TASKS[task](request);
+}
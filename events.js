@@ -0,0 +1,69 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * events.js
+ *
+ * A small event emitter for the game component (game.js): the handlers a
+ * host passes as `on`, or adds later with game.on(), are kept here.
+ *
+ *  - Handlers run in the order they were added, each with the one value
+ *    the event carries
+ *  - A handler that throws doesn't stop the others, or the game that
+ *    emitted: its error is handed to onError (by default rethrown on a
+ *    fresh task, so it still reaches the console)
+ */
+
+const rethrow = err => setTimeout(() => { throw err; });
+
+/**
+ * @param {{onError?:Function}} [options]
+ * @returns {{on:Function, off:Function, emit:Function, clear:Function}}
+ */
+export function createEmitter({ onError = rethrow } = {}) {
+  const handlers = new Map(); // type → [handler]
+
+  /** Stop calling `handler` for `type` (the first time it was added, if more than once) */
+  function off(type, handler) {
+    const list = handlers.get(type);
+    const i    = list ? list.indexOf(handler) : -1;
+    if (i >= 0) list.splice(i, 1);
+  }
+
+  return {
+    /**
+     * Call `handler` on every `type` event.
+     * @param {string} type
+     * @param {Function} handler
+     * @returns {Function} removes it again
+     * @throws {TypeError} if handler isn't a function
+     */
+    on(type, handler) {
+      if (typeof handler !== 'function') throw new TypeError(`The "${type}" handler must be a function`);
+      if (!handlers.has(type)) handlers.set(type, []);
+      handlers.get(type).push(handler);
+      return () => off(type, handler);
+    },
+
+    off,
+
+    /**
+     * Call every handler of `type` with `detail`. Handlers added or removed
+     * meanwhile take effect from the next emit.
+     * @param {string} type
+     * @param {*} [detail]
+     */
+    emit(type, detail) {
+      for (const handler of (handlers.get(type) || []).slice()) {
+        try {
+          handler(detail);
+        } catch (err) {
+          onError(err);
+        }
+      }
+    },
+
+    /** Drop every handler */
+    clear() {
+      handlers.clear();
+    },
+  };
+}
@@ -0,0 +1,4413 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * game.js
+ *
+ * The whole game as one component: createNexusGame() builds its markup
+ * (see markup.js) inside any element, and several can run side by side.
+ *
+ *   import { createNexusGame } from './game.js';
+ *   const game = createNexusGame(document.querySelector('#board-a'), { storage: 'nexus-a' });
+ *   game.on('gameover', ({ winner }) => console.log(`${winner} won`));
+ *
+ * The page needs style.css. index.html mounts one game as the whole page
+ * (see script.js).
+ *
+ * Features:
+ *  - PvP and PvAI (Minimax with alpha-beta pruning) modes
+ *  - Game rules and search live in the DOM-free engine.js module
+ *  - AI search runs in a Web Worker (see ai-worker.js)
+ *  - Hints, a per-cell analysis overlay and a post-game move review
+ *  - Online play through the WebSocket relay in server/relay.mjs
+ *  - Persistent per-player statistics in IndexedDB
+ *  - Auto-saved games, plus shareable links in a compact move notation
+ *  - Configurable N×N boards (3–15) with a K-in-a-row win rule
+ *  - Rule sets: standard, misère, wild, numerical and three-piece rolling
+ *  - Ultimate tic-tac-toe (a 3×3 grid of small boards), PvP and PvAI
+ *  - 3D tic-tac-toe on a 3×3×3 or 4×4×4 cube, shown as stacked layers
+ *  - Gravity boards (Connect Four's 7×6 and others): a mark falls to the
+ *    lowest free cell of the column clicked
+ *  - Editable player names, best-of-N matches with alternating starts,
+ *    and local round-robin / knockout tournaments (see tournament.js)
+ *  - AI difficulty levels (Easy / Medium / Hard / Impossible), plus a
+ *    learning AI that improves from every game and by self-play (see learner.js)
+ *  - Pluggable AI strategies, and an arena that pits any two of them
+ *    against each other, watched on the board or run flat out (see strategies.js)
+ *  - Move history with undo / redo and step-through replay
+ *  - Animated win-line SVG overlay
+ *  - Confetti modal on win/draw, exporting the game as a PNG result card,
+ *    an animated GIF or a WebM video (see recorder.js)
+ *  - Synthesized sound effects and ambient music in switchable packs,
+ *    with master, effects and music volumes (see audio.js)
+ *  - Colour palettes (built-in or custom, shared as JSON) and mark skins
+ *    (see themes.js), score tracking
+ *  - 3D board tilt from the mouse, a touch drag or the device's own tilt;
+ *    a tabletop layout for PvP across a flat tablet, and vibration on phones
+ *  - Roving-tabindex keyboard play, live-region announcements, reduced motion
+ *  - English, Spanish and Arabic from locale bundles, right to left where
+ *    the language runs that way (see i18n.js and locales/)
+ *  - Events (start, move, turn, gameover, scorechange) and hooks for the
+ *    result dialog, the AI and sounds, for pages that embed it
+ */
+
+import {
+  createBoard,
+  generateWinCombos,
+  checkResult,
+  RULE_SETS,
+  SMALL_BOARD_RULES,
+  ROLLING_MARKS,
+  legalMarks,
+  rollingQueue,
+  applyRuleMove,
+  boardFromMoves,
+  runTask,
+  smallBoard,
+  ultimateGame,
+  ultimateMoves,
+  ultimateResult,
+  CUBE_SIZES,
+  createCube,
+  cubeCombos,
+  GRAVITY_SIZES,
+  gravityRows,
+  gravityShape,
+  createGravity,
+  gravityCombos,
+  dropIndex,
+} from './engine.js';
+import { encodeGame, decodeGame } from './notation.js';
+import {
+  createTournament,
+  nextMatch,
+  recordMatch,
+  standings,
+  tournamentWinner,
+  winsNeeded,
+  MAX_PLAYERS,
+} from './tournament.js';
+import { createMenace, menaceMove, learnFromGame, selfPlay, winRates } from './learner.js';
+import {
+  registerStrategy,
+  getStrategy,
+  listStrategies,
+  randomStrategy,
+  minimaxStrategy,
+  playMove,
+  runArena,
+  createTally,
+  tallyGame,
+  arenaSeat,
+  ROLLING_MAX_DEPTH,
+  ARENA_MAX_PLIES,
+} from './strategies.js';
+import { createAudioEngine, SOUND_PACKS } from './audio.js';
+import { PALETTES, SKINS, PALETTE_COLORS, isLight, customVars, skinVars, exportTheme, parseTheme } from './themes.js';
+import { CARD, recordingScenes, drawScene, gifPalette, quantize, encodeGif } from './recorder.js';
+import { createEmitter } from './events.js';
+import { mountMarkup, collectText, translateMarkup } from './markup.js';
+import { LOCALES, DEFAULT_LOCALE, createTranslator, matchLocale } from './i18n.js';
+
+/* ═══════════════════════════════════════════════════════════
+   CONSTANTS
+   ═══════════════════════════════════════════════════════════ */
+
+/** Board size limits offered by the mode selector (N×N) */
+const MIN_SIZE = 3;
+const MAX_SIZE = 15;
+
+/** Edge length of the win-line SVG viewBox (0 0 300 300) */
+const VIEWBOX = 300;
+
+/** Win lines of a 3×3 grid — an Ultimate small board, or the big board of them */
+const GRID_COMBOS = generateWinCombos(3, 3);
+
+/**
+ * SVG line coordinates for a winning combo, in viewBox units.
+ * We draw from the center of the first cell to the center of the last.
+ * @param {number[]} combo
+ * @param {number} size - cells per side of the grid the combo is on
+ * @param {number} [rows] - for a grid shorter than it is wide, centred top to bottom
+ * @returns {{x1:number, y1:number, x2:number, y2:number}}
+ */
+function lineCoords(combo, size, rows = size) {
+  const cellSize = VIEWBOX / size;
+  const top      = (VIEWBOX - rows * cellSize) / 2;
+  const center   = i => ({
+    x: (i % size + 0.5) * cellSize,
+    y: top + (Math.floor(i / size) + 0.5) * cellSize,
+  });
+  const from = center(combo[0]);
+  const to   = center(combo[combo.length - 1]);
+  return { x1: from.x, y1: from.y, x2: to.x, y2: to.y };
+}
+
+/**
+ * Sensible default win length for a board size:
+ * full rows up to 4×4, four in a row up to 6×6, five (Gomoku) beyond.
+ * @param {number} size
+ */
+function defaultWinLength(size) {
+  if (size <= 4) return size;
+  return size <= 6 ? 4 : 5;
+}
+
+/**
+ * AI difficulty presets.
+ *  depth       — search horizon in plies (capped further on big boards)
+ *  mistakeRate — chance of playing a random candidate instead of the best move
+ *  learns      — plays the MENACE model (learner.js) on 3×3 standard boards,
+ *                and like Medium anywhere else
+ */
+const AI_LEVELS = {
+  easy:       { label: 'Easy',       depth: 1,        mistakeRate: 0.5  },
+  medium:     { label: 'Medium',     depth: 2,        mistakeRate: 0.2  },
+  hard:       { label: 'Hard',       depth: 4,        mistakeRate: 0.05 },
+  impossible: { label: 'Impossible', depth: Infinity, mistakeRate: 0    },
+  learning:   { label: 'Learning',   depth: 2,        mistakeRate: 0.2, learns: true },
+};
+
+/** Self-play games per press of the Train button */
+const TRAINING_GAMES = 500;
+
+/** Minimum time the AI appears to "think" before its mark lands (ms) */
+const AI_MIN_DELAY = 480;
+
+/** Rule sets as named on the mode selector */
+const RULE_LABELS = {
+  standard:  'Standard',
+  misere:    'Misère',
+  wild:      'Wild',
+  numerical: 'Numerical',
+  rolling:   'Rolling',
+};
+
+/** Match lengths on offer: best of N games, where 1 is open play */
+const MATCH_LENGTHS = [1, 3, 5, 7];
+
+/**
+ * Time controls on the mode selector.
+ *  perMove   — a fresh countdown for every move (ms)
+ *  total     — each side's clock for the whole game (ms)
+ *  increment — added to the mover's clock after every move (ms)
+ */
+const TIME_CONTROLS = {
+  off:     { label: 'Off' },
+  move10:  { label: '10 s a move',  perMove: 10000 },
+  move30:  { label: '30 s a move',  perMove: 30000 },
+  blitz1:  { label: '1 min + 1 s',  total: 60000,  increment: 1000 },
+  blitz3:  { label: '3 min + 2 s',  total: 180000, increment: 2000 },
+  rapid10: { label: '10 min + 5 s', total: 600000, increment: 5000 },
+};
+
+/** Clock display refresh, and the time under which a clock turns red (ms) */
+const CLOCK_TICK = 100;
+const LOW_TIME   = 10000;
+
+/** Time the AI keeps in hand when it searches against the clock (ms) */
+const AI_TIME_MARGIN = 400;
+
+/** Names on the pills when the name fields are left blank */
+const DEFAULT_NAMES = { X: 'Player 1', O: 'Player 2' };
+
+/** Name an online game records the other side under */
+const OPPONENT_NAME = 'Opponent';
+
+/** Review grades → label shown in the replay bar and modal */
+const GRADE_LABELS = { best: 'Best', inaccuracy: 'Inaccuracy', blunder: 'Blunder' };
+
+/** Font of exported cards and recordings — the page's own, once loaded */
+const EXPORT_FONT = "'Outfit', sans-serif";
+
+/** Frame rate of WebM recordings */
+const VIDEO_FPS = 30;
+
+/* ═══════════════════════════════════════════════════════════
+   AI PLAYERS  (strategies.js — one registry for every game on the page)
+   ═══════════════════════════════════════════════════════════ */
+
+/**
+ * The learning AI only knows 3×3 boards under standard rules.
+ * @param {{variant:string, rules:string, size:number}} game - a position, or a game's state
+ */
+function canLearn({ variant, rules, size }) {
+  return variant === 'classic' && rules === 'standard' && size === 3;
+}
+
+// The difficulty levels are minimax at different strengths. The learning
+// AI's matchboxes belong to each game, which puts learningStrategy() over
+// its level here; without them it plays like Medium
+for (const [id, level] of Object.entries(AI_LEVELS)) registerStrategy(minimaxStrategy({ id, ...level }));
+registerStrategy(randomStrategy);
+
+/**
+ * A learning level that draws from matchboxes where it can learn, and
+ * plays its minimax elsewhere.
+ * @param {string} id - its key in AI_LEVELS
+ * @param {() => object} boxes - the MENACE model to play, read at every move
+ */
+function learningStrategy(id, boxes) {
+  const minimax = minimaxStrategy({ id, ...AI_LEVELS[id] });
+  return {
+    ...minimax,
+    move: (position, tools) => (canLearn(position)
+      ? { index: menaceMove(boxes(), position.board, position.player), mark: position.player }
+      : minimax.move(position, tools)),
+  };
+}
+
+/* ═══════════════════════════════════════════════════════════
+   COMPONENT
+   ═══════════════════════════════════════════════════════════ */
+
+/** Games mounted without `page` so far — numbers their element ids */
+let embedded = 0;
+
+/**
+ * Build a game inside `root`, at its mode selector (or resuming its
+ * auto-saved game).
+ *
+ * Events, through on(type, handler) — each handler gets one object:
+ *  - start       { mode, variant, rules, size, winLength, starter } — a game or round begins
+ *  - move        { index, player, mark, board } — board is the position after it
+ *  - turn        { player } — the side to move, whenever the board changes hands
+ *  - gameover    { winner, combo, reason?, moves }
+ *  - scorechange { X, O, draw }
+ *  - locale      { locale, dir, t } — the language changed; t translates (see i18n.js)
+ *
+ * @param {HTMLElement} root - emptied, then filled with the game
+ * @param {object} [options]
+ * @param {boolean} [options.page] - the game is the whole page: it themes <html>, tints the
+ *        browser's title bar and opens shared links from the URL
+ * @param {string} [options.storage] - prefix of its localStorage keys and name of its IndexedDB
+ *        database (stats and the learning AI); give every game on a page its own
+ * @param {string} [options.locale] - language to start in (a key of LOCALES in i18n.js), over the
+ *        player's saved choice and the browser's languages
+ * @param {object} [options.ai] - a strategy (see strategies.js), offered by this game only and picked as the AI
+ * @param {Function} [options.modal] - modal(result, show) runs in place of the result dialog; show() opens it
+ * @param {Function} [options.sound] - sound(event) plays the game's sounds (see SOUND_EVENTS in audio.js)
+ *        in place of the synthesizer, while sound is on
+ * @param {Object<string, Function>} [options.on] - handlers to add before it starts, by event
+ * @returns {{on:Function, off:Function, start:Function, menu:Function, snapshot:Function, destroy:Function}}
+ */
+export function createNexusGame(root, { page = false, storage = 'nexus', locale = null, ai = null, modal = null, sound = null, on = {} } = {}) {
+  const events = createEmitter();
+  for (const [type, handler] of Object.entries(on)) events.on(type, handler);
+
+  /** Where the theme, motion, tabletop and language attributes go */
+  const themeRoot = page ? document.documentElement : root;
+  root.classList.toggle('nexus-embed', !page);
+
+  /** localStorage key of one of its settings */
+  const storageKey = name => `${storage}-${name}`;
+
+  /** Translates the game's text — English until setLocale() has loaded another language */
+  let t = createTranslator();
+
+  /** Listeners on the document or window, which destroy() takes off again */
+  const detach = [];
+  function listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    detach.push(() => target.removeEventListener(type, handler));
+  }
+
+  /**
+   * Whether a key pressed anywhere in the document is for this game: any
+   * key when the game is the page, else only keys pressed inside its root,
+   * so Escape and Tab leave the page's other games alone.
+   */
+  const ownsKey = e => page || root.contains(e.target);
+
+  /* ═══════════════════════════════════════════════════════════
+     STATE
+     ═══════════════════════════════════════════════════════════ */
+  const state = {
+    mode:       null,     // 'pvp' | 'pvai' | 'online' | 'aivai' (the arena)
+    variant:    'classic',// 'classic' | 'ultimate' (size 9: nine 3×3 boards) | 'cube' (size³ cells) | 'gravity' (size columns)
+    rules:      'standard', // one of RULE_SETS in engine.js (classic boards only)
+    size:       3,        // board is size × size
+    winLength:  3,        // marks in a row needed to win
+    board:      Array(9).fill(null), // null | 'X' | 'O' | a number (numerical rules)
+    current:    'X',      // whose turn
+    starter:    'X',      // who moved first this game — alternates game to game
+    pick:       null,     // mark chosen to place next, where the rules give a choice
+    moves:      [],       // move log: { index, player, mark? } in play order
+    names:      { ...DEFAULT_NAMES }, // who sits in each seat, in no language (see displayName())
+    redo:       [],       // undone moves, most recently undone last
+    result:     null,     // checkResult() outcome once the game is over
+    recordId:   null,     // Promise of the stats record saved for this game
+    review:     null,     // post-game grade per move (see reviewGame in engine.js)
+    gameOver:   false,
+    aiLevel:    'medium', // id of the AI's strategy (see strategies.js)
+    score:      { X: 0, O: 0, draw: 0 },
+    bestOf:     1,        // match length; 1 is open play (scores just count up)
+    fixture:    null,     // tournament match being played: { id, round }
+    timeControl:'off',    // key of TIME_CONTROLS; online games are untimed
+    sound:      true,
+    theme:      'dark',   // key of PALETTES, or 'custom'
+    skin:       'letters',// key of SKINS
+    motion:     'full',   // 'full' | 'reduced' — stills tilt, confetti and ripples
+    tabletop:   false,    // PvP with O's side turned round, for players facing each other
+    haptics:    true,     // vibrate on moves and results, where the device can
+  };
+
+  /** Winning index combinations for the active board — rebuilt by configureBoard() */
+  let WIN_COMBOS = generateWinCombos(3, 3);
+
+  /* ═══════════════════════════════════════════════════════════
+     DOM REFERENCES
+     ═══════════════════════════════════════════════════════════ */
+  /** Its elements by their ids in markup.js (which an embedded game prefixes on the page) */
+  const refs = mountMarkup(root, page ? '' : `nexus${++embedded}-`);
+  const $    = id => refs[id];
+
+  /** The markup's own text, collected before the game writes any, for translateMarkup() */
+  const markupText = collectText(root);
+
+  const dom = {
+    modeSelector: $('modeSelector'),
+    gameArena:    $('gameArena'),
+    roomBadge:    $('roomBadge'),
+    roomCode:     $('roomCode'),
+    roomPresence: $('roomPresence'),
+    pvpBtn:       $('pvpBtn'),
+    pvaiBtn:      $('pvaiBtn'),
+    onlineBtn:    $('onlineBtn'),
+    onlinePanel:  $('onlinePanel'),
+    serverInput:  $('serverInput'),
+    roomInput:    $('roomInput'),
+    createRoomBtn:$('createRoomBtn'),
+    joinRoomBtn:  $('joinRoomBtn'),
+    watchRoomBtn: $('watchRoomBtn'),
+    onlineStatus: $('onlineStatus'),
+    tourneyBtn:   $('tourneyBtn'),
+    tourneySub:   $('tourneySub'),
+    tourneyPanel: $('tourneyPanel'),
+    tourneyNames: $('tourneyNames'),
+    tourneyFormat:$('tourneyFormat'),
+    tourneyStart: $('tourneyStart'),
+    tourneyStatus:$('tourneyStatus'),
+    arenaBtn:     $('arenaBtn'),
+    arenaPanel:   $('arenaPanel'),
+    arenaA:       $('arenaA'),
+    arenaB:       $('arenaB'),
+    arenaGames:   $('arenaGames'),
+    arenaWatch:   $('arenaWatch'),
+    arenaStart:   $('arenaStart'),
+    arenaStatus:  $('arenaStatus'),
+    arenaTable:   $('arenaTable'),
+    statsBtn:     $('statsBtn'),
+    // Tournament screen
+    tourneyScreen:$('tourneyScreen'),
+    tourneyInfo:  $('tourneyInfo'),
+    tourneyTable: $('tourneyTable'),
+    tourneyNext:  $('tourneyNext'),
+    tourneyPlay:  $('tourneyPlay'),
+    tourneyEnd:   $('tourneyEnd'),
+    tourneyBack:  $('tourneyBack'),
+    // Stats screen
+    statsScreen:  $('statsScreen'),
+    statsPlayer:  $('statsPlayer'),
+    statsTiles:   $('statsTiles'),
+    statsTable:   $('statsTable'),
+    statsEmpty:   $('statsEmpty'),
+    statsExport:  $('statsExport'),
+    statsReset:   $('statsReset'),
+    statsBack:    $('statsBack'),
+    learnerInfo:  $('learnerInfo'),
+    learnerChart: $('learnerChart'),
+    learnerLine:  $('learnerLine'),
+    learnerTrain: $('learnerTrain'),
+    learnerForget:$('learnerForget'),
+    nameInputX:   $('nameInputX'),
+    nameInputO:   $('nameInputO'),
+    matchSelect:  $('matchSelect'),
+    clockSelect:  $('clockSelect'),
+    tabletopCheck:$('tabletopCheck'),
+    variantSelect:$('variantSelect'),
+    rulesSelect:  $('rulesSelect'),
+    sizeSelect:   $('sizeSelect'),
+    gravityNote:  $('gravityNote'),
+    winLenSelect: $('winLenSelect'),
+    levelSelect:  $('levelSelect'),
+    board:        $('board'),
+    boardWrapper: $('boardWrapper'),
+    winLine:      $('winLine'),
+    winLineSvg:   $('winLineSvg'),
+    turnIndicator:$('turnIndicator'),
+    turnDot:      $('turnDot'),
+    turnLabel:    $('turnLabel'),
+    pillX:        $('pillX'),
+    pillO:        $('pillO'),
+    nameX:        $('nameX'),
+    nameO:        $('nameO'),
+    clockX:       $('clockX'),
+    clockO:       $('clockO'),
+    scoreX:       $('scoreX'),
+    scoreO:       $('scoreO'),
+    scoreDraw:    $('scoreDraw'),
+    scoreLabelX:  $('scoreLabelX'),
+    scoreLabelO:  $('scoreLabelO'),
+    matchInfo:    $('matchInfo'),
+    markPicker:   $('markPicker'),
+    hintBtn:      $('hintBtn'),
+    analysisBtn:  $('analysisBtn'),
+    resetBtn:     $('resetBtn'),
+    menuBtn:      $('menuBtn'),
+    undoBtn:      $('undoBtn'),
+    redoBtn:      $('redoBtn'),
+    shareBtn:     $('shareBtn'),
+    // Shared-link banner
+    shareBanner:  $('shareBanner'),
+    shareText:    $('shareText'),
+    shareResume:  $('shareResume'),
+    shareReplay:  $('shareReplay'),
+    // Replay
+    replayBar:    $('replayBar'),
+    replayStart:  $('replayStart'),
+    replayPrev:   $('replayPrev'),
+    replayPlay:   $('replayPlay'),
+    replayNext:   $('replayNext'),
+    replayEnd:    $('replayEnd'),
+    replayLabel:  $('replayLabel'),
+    // Modal
+    backdrop:     $('modalBackdrop'),
+    modal:        $('modal'),
+    modalSymbol:  $('modalSymbol'),
+    modalTitle:   $('modalTitle'),
+    modalSub:     $('modalSub'),
+    modalReview:  $('modalReview'),
+    modalConfetti:$('modalConfetti'),
+    playAgainBtn: $('playAgainBtn'),
+    replayBtn:    $('replayBtn'),
+    menuBtn2:     $('menuBtn2'),
+    exportBtn:    $('exportBtn'),
+    exportOptions:$('exportOptions'),
+    exportPngBtn: $('exportPngBtn'),
+    exportGifBtn: $('exportGifBtn'),
+    exportWebmBtn:$('exportWebmBtn'),
+    exportStatus: $('exportStatus'),
+    // Header
+    themeBtn:     $('themeBtn'),
+    langSelect:   $('langSelect'),
+    themePanel:   $('themePanel'),
+    paletteSelect:$('paletteSelect'),
+    skinSelect:   $('skinSelect'),
+    paletteEditor:$('paletteEditor'),
+    themeExport:  $('themeExport'),
+    themeImport:  $('themeImport'),
+    themeFile:    $('themeFile'),
+    themeStatus:  $('themeStatus'),
+    soundBtn:     $('soundBtn'),
+    soundPanel:   $('soundPanel'),
+    soundEnabled: $('soundEnabled'),
+    soundPack:    $('soundPack'),
+    hapticsField: $('hapticsField'),
+    hapticsCheck: $('hapticsCheck'),
+    soundSvg:     $('soundSvg'),
+    motionBtn:    $('motionBtn'),
+    announcer:    $('announcer'),
+  };
+
+  /* ═══════════════════════════════════════════════════════════
+     WEB AUDIO — Synthesized sound (see audio.js)
+     ═══════════════════════════════════════════════════════════ */
+  const AUDIO_KEY = storageKey('audio');
+
+  /** Effects, music, volumes and sound packs; builds nothing until the first sound */
+  const audio = createAudioEngine();
+
+  /**
+   * Play the current sound pack's effect for a game event — or hand it to
+   * the `sound` option, while sound is on.
+   * @param {'click'|'win'|'draw'|'thinking'|'invalid'|'timeout'|'hint'} type
+   */
+  function playSound(type) {
+    if (!sound) audio.play(type);
+    else if (state.sound) sound(type);
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     HAPTICS  (Vibration API)
+     ═══════════════════════════════════════════════════════════ */
+
+  /** Vibration pattern per event, in ms (on, off, on …) */
+  const HAPTICS = {
+    move:    15,
+    invalid: [30, 40, 30],
+    win:     [40, 60, 40, 60, 160],
+    draw:    80,
+  };
+
+  const canVibrate = () => typeof navigator.vibrate === 'function';
+
+  /**
+   * Buzz for a game event. The arena stays still, or watching it would buzz nonstop.
+   * @param {'move'|'invalid'|'win'|'draw'} event
+   */
+  function vibrate(event) {
+    if (!state.haptics || state.mode === 'aivai' || !canVibrate()) return;
+    try { navigator.vibrate(HAPTICS[event]); } catch (_) { /* Silent fail — haptics are optional */ }
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     BOARD RENDERING
+     ═══════════════════════════════════════════════════════════ */
+
+  /** Arrow key → [rowStep, colStep] for moving focus between cells */
+  const ARROW_STEPS = {
+    ArrowUp:    [-1, 0],
+    ArrowDown:  [1, 0],
+    ArrowLeft:  [0, -1],
+    ArrowRight: [0, 1],
+  };
+
+  /** Cell elements by move index — Ultimate nests them inside small boards */
+  let cells = [];
+
+  /** The one cell in the tab order (roving tabindex); arrows move it */
+  let rover = 0;
+
+  /** Build size×size cell elements (one row fewer on a gravity board) and append to the board container */
+  function buildBoard() {
+    if (state.variant === 'ultimate') {
+      buildUltimateBoard();
+      return;
+    }
+    if (state.variant === 'cube') {
+      buildCubeBoard();
+      return;
+    }
+
+    const [rows, cols] = gridShape();
+    dom.board.innerHTML = '';
+    dom.board.classList.remove('locked', 'board--ultimate', 'board--cube');
+    dom.board.classList.toggle('board--gravity', state.variant === 'gravity');
+
+    cells = [];
+    rover = 0;
+    for (let i = 0; i < rows * cols; i++) dom.board.appendChild(createCell(i));
+    labelBoard();
+  }
+
+  /** Name the board, its small boards or layers, and its cells for screen readers */
+  function labelBoard() {
+    const n = state.size;
+    if (state.variant === 'ultimate') {
+      dom.board.setAttribute('aria-label', t('Ultimate Tic-Tac-Toe board: win three small boards in a row'));
+    } else if (state.variant === 'cube') {
+      dom.board.setAttribute('aria-label', t('{n}×{n}×{n} 3D Tic-Tac-Toe board: {n} in a line wins, across layers too', { n }));
+    } else if (state.variant === 'gravity') {
+      dom.board.setAttribute('aria-label', t('{cols}×{rows} gravity board: marks drop to the bottom of the column, {k} in a row wins', { cols: n, rows: gravityRows(n), k: state.winLength }));
+    } else {
+      dom.board.setAttribute('aria-label', t('{size}×{size} Tic-Tac-Toe board, {rules}', { size: n, rules: rulesSummary() }));
+    }
+    dom.board.querySelectorAll('.mini-board').forEach((mini, b) => mini.setAttribute('aria-label', t('Board {n}', { n: b + 1 })));
+    dom.board.querySelectorAll('.cube-layer').forEach((layer, l) => layer.setAttribute('aria-label', t('Layer {n}', { n: l + 1 })));
+    cells.forEach((cell, index) => cell.setAttribute('aria-label', cellLabel(index, state.board[index])));
+  }
+
+  /** One playable cell, wired for click and keyboard */
+  function createCell(i) {
+    const cell = document.createElement('div');
+    cell.className = 'cell';
+    cell.dataset.index = i;
+    cell.setAttribute('role', 'gridcell');
+    cell.setAttribute('tabindex', i === rover ? '0' : '-1');
+
+    // Click, and on a gravity board a preview of where the mark would land
+    cell.addEventListener('click', (e) => onCellClick(e, i));
+    cell.addEventListener('pointerenter', () => previewDrop(i));
+    // Keyboard
+    cell.addEventListener('keydown', (e) => onCellKey(e, i));
+    // Clicking or tabbing in makes this the board's tab stop
+    cell.addEventListener('focus', () => moveRover(i, { focus: false }));
+
+    cells[i] = cell;
+    return cell;
+  }
+
+  /** Screen-reader label for a cell, e.g. "Row 2, column 3, X" ("Board 5, row 2, …" in Ultimate, "Layer 1, …" on a cube) */
+  function cellLabel(index, mark) {
+    const where = describeCell(index);
+    return t('{cell}, {mark}', { cell: `${where[0].toUpperCase()}${where.slice(1)}`, mark: mark || t('empty') });
+  }
+
+  /** How the active rules are won, for the board's label */
+  function rulesSummary() {
+    const k = state.winLength;
+    switch (state.rules) {
+      case 'misere':    return t('{k} in a row loses', { k });
+      case 'wild':      return t('place X or O, whoever completes {k} in a row wins', { k });
+      case 'numerical': return t('X places odd numbers, O even, whoever completes a line adding up to 15 wins');
+      case 'rolling':   return t('{k} in a row wins, and only your last {marks} marks stay', { k, marks: ROLLING_MARKS });
+      default:          return t('{k} in a row wins', { k });
+    }
+  }
+
+  /** Where a cell is, in words: "row 2, column 3", "board 5, row 2, column 3" or "layer 1, row 2, column 3" */
+  function describeCell(index) {
+    if (state.variant === 'ultimate') {
+      const c = index % 9;
+      return t('board {board}, row {row}, column {col}', { board: Math.floor(index / 9) + 1, row: Math.floor(c / 3) + 1, col: c % 3 + 1 });
+    }
+    if (state.variant === 'cube') {
+      const n = state.size, c = index % (n * n);
+      return t('layer {layer}, row {row}, column {col}', { layer: Math.floor(index / (n * n)) + 1, row: Math.floor(c / n) + 1, col: c % n + 1 });
+    }
+    const row = Math.floor(index / state.size) + 1;
+    const col = index % state.size + 1;
+    return t('row {row}, column {col}', { row, col });
+  }
+
+  /**
+   * On-screen [row, col] of a cell. Ultimate numbers cells board by board,
+   * so its cells don't run in reading order; a cube's layers stack into one
+   * tall grid, so Up and Down step from layer to layer.
+   * @param {number} index
+   * @returns {[number, number]}
+   */
+  function cellPosition(index) {
+    if (state.variant !== 'ultimate') return [Math.floor(index / state.size), index % state.size];
+    const b = Math.floor(index / 9), c = index % 9;
+    return [Math.floor(b / 3) * 3 + Math.floor(c / 3), (b % 3) * 3 + c % 3];
+  }
+
+  /** Cell index at an on-screen [row, col] — the inverse of cellPosition() */
+  function cellAt(row, col) {
+    if (state.variant !== 'ultimate') return row * state.size + col;
+    return (Math.floor(row / 3) * 3 + Math.floor(col / 3)) * 9 + (row % 3) * 3 + col % 3;
+  }
+
+  /** [rows, cols] of the on-screen grid — size×size, size² rows of a cube's layers, or a row short on a gravity board */
+  function gridShape() {
+    if (state.variant === 'cube') return [state.size * state.size, state.size];
+    if (state.variant === 'gravity') return [gravityRows(state.size), state.size];
+    return [state.size, state.size];
+  }
+
+  /**
+   * Enter/Space plays the cell. Arrows move across the grid; Home / End jump
+   * to the ends of the row, and with Ctrl to the first / last cell.
+   */
+  function onCellKey(e, index) {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      onCellClick(e, index);
+      return;
+    }
+
+    // Wild and numerical: X / O or a digit picks what to place
+    const mark = /^[1-9]$/.test(e.key) ? Number(e.key) : e.key.toUpperCase();
+    if (!dom.markPicker.hidden && legalMarks(state.board, state.current, state.rules, state.starter).includes(mark)) {
+      e.preventDefault();
+      pickMark(mark);
+      return;
+    }
+
+    const [rows, cols] = gridShape();
+    const [r, c] = cellPosition(index);
+    let row = r, col = c;
+
+    if (e.key === 'Home') {
+      [row, col] = e.ctrlKey ? [0, 0] : [r, 0];
+    } else if (e.key === 'End') {
+      [row, col] = e.ctrlKey ? [rows - 1, cols - 1] : [r, cols - 1];
+    } else if (ARROW_STEPS[e.key]) {
+      row += ARROW_STEPS[e.key][0];
+      col += ARROW_STEPS[e.key][1];
+    } else {
+      return;
+    }
+    e.preventDefault();
+
+    if (row < 0 || row >= rows || col < 0 || col >= cols) return;
+    moveRover(cellAt(row, col));
+  }
+
+  /**
+   * Make `index` the board's only tab stop, and focus it.
+   * @param {number} index
+   * @param {{focus?:boolean}} [options] - focus: false when it already has focus
+   */
+  function moveRover(index, { focus = true } = {}) {
+    const previous = getCell(rover);
+    if (previous) previous.tabIndex = -1;
+    rover = index;
+    getCell(index).tabIndex = 0;
+    if (focus) getCell(index).focus();
+  }
+
+  /** Returns the DOM cell at index i */
+  const getCell = i => cells[i];
+
+  /* ═══════════════════════════════════════════════════════════
+     ULTIMATE BOARD
+     ═══════════════════════════════════════════════════════════ */
+
+  /**
+   * Build the 3×3 grid of small boards in place of buildBoard(). Each small
+   * board has its own strike-through SVG; the big one uses the board's.
+   */
+  function buildUltimateBoard() {
+    dom.board.innerHTML = '';
+    dom.board.classList.remove('locked', 'board--cube', 'board--gravity');
+    dom.board.classList.add('board--ultimate');
+
+    cells = [];
+    rover = 0;
+    for (let b = 0; b < 9; b++) {
+      const mini = document.createElement('div');
+      mini.className = 'mini-board';
+      mini.setAttribute('role', 'group');
+      mini.innerHTML = `
+        <svg class="win-line-svg" viewBox="0 0 ${VIEWBOX} ${VIEWBOX}" aria-hidden="true">
+          <line class="win-line mini-line" x1="0" y1="0" x2="0" y2="0" stroke="currentColor" stroke-linecap="round"/>
+        </svg>`;
+      for (let c = 0; c < 9; c++) mini.appendChild(createCell(b * 9 + c));
+      dom.board.appendChild(mini);
+    }
+    labelBoard();
+    paintUltimate(state.board, lastMoveIndex());
+  }
+
+  /** The live Ultimate position (small-board results and the board to play next) */
+  function currentUltimate() {
+    return ultimateGame(state.board, lastMoveIndex());
+  }
+
+  /**
+   * Sync the small boards to a position: who won each (with its strike-through),
+   * and which ones the next player may play in.
+   * @param {Array} board
+   * @param {number|null} lastIndex
+   */
+  function paintUltimate(board, lastIndex) {
+    const game = ultimateGame(board, lastIndex);
+    const over = Boolean(ultimateResult(game));
+
+    game.boards.forEach((result, b) => {
+      const mini = dom.board.children[b];
+      const line = mini.querySelector('.mini-line');
+      mini.classList.remove('won-x', 'won-o', 'drawn', 'active', 'win-board');
+      if (result === 'X' || result === 'O') mini.classList.add(`won-${result.toLowerCase()}`);
+      else if (result === 'draw') mini.classList.add('drawn');
+      else if (!over && (game.target === null || game.target === b)) mini.classList.add('active');
+
+      // Strike through a won small board once; clear it if the win was undone
+      const won = result && result !== 'draw' && checkResult(smallBoard(board, b), GRID_COMBOS);
+      if (won && !line.classList.contains('draw-line')) drawWinLine(won.combo, 3, line);
+      if (!won) line.classList.remove('draw-line');
+    });
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     CUBE BOARD
+     ═══════════════════════════════════════════════════════════ */
+
+  /**
+   * Build a cube's layers in place of buildBoard(): one size×size grid per
+   * layer, laid back in perspective and stacked top to bottom (layer 1 on top).
+   */
+  function buildCubeBoard() {
+    const n = state.size;
+    dom.board.innerHTML = '';
+    dom.board.classList.remove('locked', 'board--ultimate', 'board--gravity');
+    dom.board.classList.add('board--cube');
+
+    cells = [];
+    rover = 0;
+    for (let l = 0; l < n; l++) {
+      const layer = document.createElement('div');
+      layer.className = 'cube-layer';
+      layer.dataset.layer = l + 1;
+      layer.style.setProperty('--layer', l);
+      layer.setAttribute('role', 'group');
+      for (let c = 0; c < n * n; c++) layer.appendChild(createCell(l * n * n + c));
+      dom.board.appendChild(layer);
+    }
+    labelBoard();
+  }
+
+  /**
+   * Win-line coordinates for a cube, in viewBox units. Lines run between
+   * layers, so they go from the on-screen centre of the first cell to the
+   * last rather than through lineCoords()' flat grid.
+   * @param {number[]} combo
+   * @returns {{x1:number, y1:number, x2:number, y2:number}}
+   */
+  function cubeLineCoords(combo) {
+    const frame = dom.boardWrapper.getBoundingClientRect();
+    if (!frame.width || !frame.height) return { x1: 0, y1: 0, x2: 0, y2: 0 };
+    const center = (i) => {
+      const rect = getCell(i).getBoundingClientRect();
+      return {
+        x: (rect.left + rect.width / 2 - frame.left) / frame.width * VIEWBOX,
+        y: (rect.top + rect.height / 2 - frame.top) / frame.height * VIEWBOX,
+      };
+    };
+    const from = center(combo[0]);
+    const to   = center(combo[combo.length - 1]);
+    return { x1: from.x, y1: from.y, x2: to.x, y2: to.y };
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     GRAVITY BOARD
+     ═══════════════════════════════════════════════════════════ */
+
+  /**
+   * The cell a click on `index` fills: itself, or on a gravity board the
+   * lowest empty cell in its column.
+   * @param {number} index
+   * @returns {number} -1 when the column is full
+   */
+  function landingCell(index) {
+    if (state.variant !== 'gravity') return index;
+    return dropIndex(state.board, index % state.size, state.size);
+  }
+
+  /** Light up where a mark dropped in `index`'s column would land (null clears it) */
+  function previewDrop(index) {
+    dom.board.querySelectorAll('.drop-target').forEach(cell => cell.classList.remove('drop-target'));
+    if (state.variant !== 'gravity' || index === null || state.gameOver || isAITurn()) return;
+    const target = getCell(landingCell(index));
+    if (target) target.classList.add('drop-target');
+  }
+
+  dom.board.addEventListener('pointerleave', () => previewDrop(null));
+
+  /** Let a freshly placed mark fall from above the board into its cell */
+  function dropMark(cell, index) {
+    if (state.motion === 'reduced') return;
+    const top = getCell(index % state.size);
+    cell.style.setProperty('--drop', `${cell.offsetTop - top.offsetTop + top.offsetHeight}px`);
+    cell.classList.remove('cell-drop');
+    void cell.offsetWidth;
+    cell.classList.add('cell-drop');
+    cell.addEventListener('animationend', () => cell.classList.remove('cell-drop'), { once: true });
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     GAME LOGIC
+     ═══════════════════════════════════════════════════════════ */
+
+  /**
+   * Handle a cell click (both human and triggered by AI).
+   * @param {Event} e
+   * @param {number} index
+   */
+  function onCellClick(e, index) {
+    if (state.gameOver) return;
+    index = landingCell(index);
+    if (!isPlayable(index) || isAITurn()) {
+      playSound('invalid');
+      vibrate('invalid');
+      return;
+    }
+
+    // Online moves go to the relay; the board updates when it echoes them back
+    if (state.mode === 'online') {
+      if (canMoveOnline()) sendOnline({ type: 'move', index });
+      return;
+    }
+
+    state.redo = []; // a fresh move forks history
+    placeMove(index, state.current, pickedMark());
+    advanceTurn();
+  }
+
+  /** Whether the side to move may play `index` (Ultimate limits it to one small board) */
+  function isPlayable(index) {
+    if (state.variant === 'ultimate') return ultimateMoves(currentUltimate()).includes(index);
+    return state.board[index] === null;
+  }
+
+  /** Result of a board under the active rules, or null while it is still open */
+  function boardResult(board) {
+    if (state.variant === 'ultimate') return ultimateResult(ultimateGame(board, null));
+    return checkResult(board, WIN_COMBOS, state.rules, state.starter);
+  }
+
+  /** Whether the side to move is played by the computer (O in PvAI, both sides in the arena) */
+  function isAITurn() {
+    return state.mode === 'aivai' || (state.mode === 'pvai' && state.current === 'O');
+  }
+
+  /** Pending AI reply delay, so undo / restart can cancel it before it lands */
+  let aiTimer = null;
+
+  /** After a move: end the game, or pass the turn and wake the AI if it's up */
+  function advanceTurn() {
+    const result = boardResult(state.board) || arenaMoveLimit();
+
+    if (result) {
+      endGame(result);
+      saveGame();
+      return;
+    }
+
+    passClock();
+    toggleTurn();
+    startClock();
+    updateHistoryUI();
+    refreshAssist();
+    saveGame();
+
+    if (isAITurn()) makeAIMove();
+    if (state.mode === 'online') updateOnlineLock();
+  }
+
+  /** Drop a pending AI move, stopping its search if one is running */
+  function cancelAIMove() {
+    clearTimeout(aiTimer);
+    aiTimer = null;
+    cancelSearch();
+    dom.turnIndicator.classList.remove('thinking');
+  }
+
+  /**
+   * Commit a move to state and update the DOM cell (the whole board under
+   * rolling rules, where the player's oldest mark may go).
+   * @param {number} index
+   * @param {'X'|'O'} player
+   * @param {string|number} [mark] - what is placed, if not the player's letter
+   */
+  function placeMove(index, player, mark = player) {
+    const move = mark === player ? { index, player } : { index, player, mark };
+    state.board = applyRuleMove(state.board, move, state.rules, state.moves);
+    state.moves.push(move);
+    events.emit('move', { index, player, mark, board: state.board.slice() });
+
+    const cell = getCell(index);
+    if (state.rules === 'rolling') paintBoard(state.board, index);
+    else paintCell(index, mark);
+    if (state.variant === 'ultimate') paintUltimate(state.board, index);
+    announceMove(index, player, mark);
+
+    // Ripple from click center (or cell center for AI); a gravity mark falls instead
+    if (state.variant === 'gravity') dropMark(cell, index);
+    else addCellRipple(cell);
+    playSound('click');
+    vibrate('move');
+  }
+
+  /** Add a ripple element to a cell */
+  function addCellRipple(cell) {
+    if (state.motion === 'reduced') return;
+    const r = document.createElement('span');
+    r.className = 'cell-ripple';
+    r.style.left = '50%';
+    r.style.top  = '50%';
+    cell.appendChild(r);
+    r.addEventListener('animationend', () => r.remove());
+  }
+
+  /** Flip whose turn it is */
+  function toggleTurn() {
+    state.current = state.current === 'X' ? 'O' : 'X';
+    updateTurnUI();
+  }
+
+  /** Sync turn indicator and player pills */
+  function updateTurnUI() {
+    const isX = state.current === 'X';
+
+    dom.turnLabel.textContent = t("{player}'s Turn", { player: state.current });
+    dom.turnDot.classList.toggle('is-o', !isX);
+    dom.turnIndicator.classList.toggle('is-o', !isX);
+
+    dom.pillX.classList.toggle('active-x', isX);
+    dom.pillO.classList.toggle('active-o', !isX);
+
+    state.pick = null;
+    renderMarkPicker();
+    paintFading();
+    events.emit('turn', { player: state.current });
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     RULE SETS  (mark picker, rolling marks, result wording)
+     ═══════════════════════════════════════════════════════════ */
+
+  /** What the side to move places on a click: the picked mark if still legal */
+  function pickedMark() {
+    const marks = legalMarks(state.board, state.current, state.rules, state.starter);
+    if (marks.includes(state.pick)) return state.pick;
+    return marks.includes(state.current) ? state.current : marks[0];
+  }
+
+  function pickMark(mark) {
+    state.pick = mark;
+    renderMarkPicker();
+  }
+
+  /**
+   * Offer the marks the side to move may place — X or O under wild rules,
+   * the unused odd or even numbers under numerical rules. Hidden otherwise.
+   */
+  function renderMarkPicker() {
+    const marks = legalMarks(state.board, state.current, state.rules, state.starter);
+    dom.markPicker.hidden = marks.length === 1 && marks[0] === state.current;
+    if (dom.markPicker.hidden) return;
+
+    const waiting = state.gameOver || isAITurn();
+    const picked  = pickedMark();
+    dom.markPicker.innerHTML = '';
+    for (const mark of marks) {
+      const btn = document.createElement('button');
+      btn.className   = `mark-btn ${markClass(mark) === 'cell-x' ? 'mark-x' : 'mark-o'}`;
+      btn.textContent = skinMark(mark);
+      btn.disabled    = waiting;
+      btn.setAttribute('aria-pressed', String(mark === picked));
+      btn.setAttribute('aria-label', t('Place {mark}', { mark }));
+      btn.addEventListener('click', () => pickMark(mark));
+      dom.markPicker.appendChild(btn);
+    }
+  }
+
+  /** Cell class for a mark: X's letter or numbers, or O's (the starter has the odd ones) */
+  function markClass(mark) {
+    if (typeof mark === 'number') return (mark % 2 === 1) === (state.starter === 'X') ? 'cell-x' : 'cell-o';
+    return mark === 'X' ? 'cell-x' : 'cell-o';
+  }
+
+  /**
+   * Rolling rules: dim the mark the side to move gives up with their next move.
+   * @param {number} [count] - moves on the board (fewer while replaying)
+   */
+  function paintFading(count = state.moves.length) {
+    dom.board.querySelectorAll('.cell-fading').forEach(c => c.classList.remove('cell-fading'));
+    if (state.rules !== 'rolling' || state.gameOver) return;
+
+    const played = state.moves.slice(0, count);
+    const second = state.starter === 'X' ? 'O' : 'X';
+    const queue  = rollingQueue(played, count % 2 ? second : state.starter);
+    if (queue.length === ROLLING_MARKS) getCell(queue[0]).classList.add('cell-fading');
+  }
+
+  /** Why the game was won, where the rules (or the clock) make that worth saying */
+  function resultNote({ winner, combo, reason }) {
+    const loser = winner === 'X' ? 'O' : 'X';
+    if (reason === 'timeout') return t('{name} ran out of time.', { name: playerName(loser) });
+    if (reason === 'forfeit') return t('{name} forfeited with an illegal move.', { name: playerName(loser) });
+    if (!combo) return '';
+    switch (state.rules) {
+      case 'misere':    return t('{player} completed a line, and in Misère that loses.', { player: loser });
+      case 'wild':      return t('{player} completed a line of {mark}s.', { player: winner, mark: state.board[combo[0]] });
+      case 'numerical': return `${combo.map(i => state.board[i]).join(' + ')} = 15.`;
+      default:          return '';
+    }
+  }
+
+  /** Scoreboard labels for the active rules (numerical: whoever starts has the odd numbers) */
+  function updateRulesUI() {
+    const numerical = state.rules === 'numerical';
+    const parity    = player => ` · ${player === state.starter ? t('Odd') : t('Even')}`;
+    dom.scoreLabelX.textContent = numerical ? `X${parity('X')}` : 'X';
+    dom.scoreLabelO.textContent = numerical ? `O${parity('O')}` : 'O';
+  }
+
+  /** Pending result dialog (or next arena game), so destroy() can cancel it before it lands */
+  let resultTimer = null;
+
+  /** Handle end of game: update scores, animate, show modal */
+  function endGame(result) {
+    stopClock();
+    state.gameOver = true;
+    state.result   = result;
+    events.emit('gameover', { ...result, moves: state.moves.map(move => ({ ...move })) });
+    dom.board.classList.add('locked');
+    renderClocks();
+    updateHistoryUI();
+    renderMarkPicker();
+    paintFading();
+
+    if (result.winner !== 'draw') {
+      // Highlight the winning cells (or small boards) and strike them through
+      showWin(result);
+      announce(`${t('{name} wins!', { name: playerName(result.winner) })} ${resultNote(result)}`.trim());
+
+      // Update score
+      state.score[result.winner]++;
+      updateScoreboard(result.winner);
+      playSound(result.reason === 'timeout' ? 'timeout' : 'win');
+      vibrate('win');
+    } else {
+      state.score.draw++;
+      updateScoreboard('draw');
+      playSound('draw');
+      vibrate('draw');
+      announce(t("It's a draw."));
+    }
+
+    const champion = matchWinner();
+    if (champion) announce(t('{name} wins the match {score}.', { name: playerName(champion), score: matchScore(champion) }));
+    if (state.mode === 'aivai') tallyGame(arena.tally, arenaSeat(arena.tally.played), result.winner);
+    updateMatchUI();
+
+    state.recordId = recordGame(result);
+    if (state.mode === 'pvai' && (AI_LEVELS[state.aiLevel] || {}).learns && canLearn(state)) learnFrom(result);
+    refreshAssist();
+    reviewGame(result);
+
+    // Show modal after brief pause for animations (the arena moves on to its next game instead)
+    resultTimer = setTimeout(() => (state.mode === 'aivai' ? nextArenaGame(result) : showResult(result)), 900);
+  }
+
+  /** Highlight a won line and draw its strike-through — no-op for a draw */
+  function showWin(result) {
+    if (!result.combo) return;
+    if (state.variant === 'ultimate') {
+      result.combo.forEach(b => dom.board.children[b].classList.add('win-board'));
+      drawWinLine(result.combo, 3);
+      return;
+    }
+    result.combo.forEach(i => getCell(i).classList.add('win-cell'));
+    drawWinLine(result.combo);
+  }
+
+  /**
+   * Animate an SVG strike-through line.
+   * @param {number[]} combo
+   * @param {number} [size] - cells per side of the grid the combo is on
+   * @param {SVGLineElement} [line] - the board's win line, or a small board's
+   */
+  function drawWinLine(combo, size = state.size, line = dom.winLine) {
+    const coords = state.variant === 'cube' ? cubeLineCoords(combo)
+      : state.variant === 'gravity' ? lineCoords(combo, size, gravityRows(size))
+      : lineCoords(combo, size);
+
+    line.setAttribute('x1', coords.x1);
+    line.setAttribute('y1', coords.y1);
+    line.setAttribute('x2', coords.x2);
+    line.setAttribute('y2', coords.y2);
+    line.setAttribute('stroke-width', Math.max(2, 18 / size));
+
+    // Reset and trigger animation
+    line.classList.remove('draw-line');
+    void line.offsetWidth;
+    line.classList.add('draw-line');
+  }
+
+  /** Bump the score display with animation */
+  function updateScoreboard(winner) {
+    const elMap = { X: dom.scoreX, O: dom.scoreO, draw: dom.scoreDraw };
+    const el    = elMap[winner];
+
+    el.classList.remove('bump');
+    void el.offsetWidth;
+    el.textContent = winner === 'draw' ? state.score.draw : state.score[winner];
+    el.classList.add('bump');
+    events.emit('scorechange', { ...state.score });
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     MOVE HISTORY  (Undo / Redo / Replay)
+     ═══════════════════════════════════════════════════════════ */
+
+  /**
+   * Board position after the first `count` moves of the log.
+   * @param {number} count
+   * @returns {Array}
+   */
+  function boardAt(count) {
+    return boardFromMoves(state.moves.slice(0, count), state.size, state.rules, emptyBoard());
+  }
+
+  /**
+   * Sync every cell's classes and label to a board snapshot.
+   * @param {Array} board
+   * @param {number|null} [lastIndex] - move that led to it (picks Ultimate's next small board)
+   */
+  function paintBoard(board, lastIndex = lastMoveIndex()) {
+    board.forEach((mark, i) => paintCell(i, mark));
+    if (state.variant === 'ultimate') paintUltimate(board, lastIndex);
+  }
+
+  /**
+   * Sync one cell to the mark on it (numbers are written out through data-mark).
+   * @param {number} index
+   * @param {null|string|number} mark
+   */
+  function paintCell(index, mark) {
+    const cell = getCell(index);
+    cell.classList.remove('taken', 'cell-x', 'cell-o', 'cell-fading', 'win-cell', ...REVIEW_CLASSES);
+    if (mark) cell.classList.add('taken', markClass(mark));
+    if (typeof mark === 'number') cell.dataset.mark = mark;
+    else delete cell.dataset.mark;
+    cell.setAttribute('aria-label', cellLabel(index, mark));
+  }
+
+  /** Index of the last move played, or null on an empty board */
+  function lastMoveIndex() {
+    const last = state.moves[state.moves.length - 1];
+    return last ? last.index : null;
+  }
+
+  /** Take back the last move and push it onto the redo stack */
+  function popMove() {
+    const move = state.moves.pop();
+    state.board = boardAt(state.moves.length); // rolling may bring an old mark back
+    state.redo.push(move);
+    return move;
+  }
+
+  /**
+   * Moves at the start of the log that can't be undone: in PvAI, the AI's
+   * opening move when it started.
+   */
+  function undoFloor() {
+    return state.mode === 'pvai' && state.starter === 'O' ? 1 : 0;
+  }
+
+  /**
+   * Undo the last move. In PvAI the AI's reply and the human move before
+   * it are taken back together so it is the human's turn again.
+   * Undoing a finished game reopens it and takes its point back — unless
+   * it was lost on time. The clocks keep the time already used.
+   */
+  function undoMove() {
+    if (state.moves.length <= undoFloor() || timedOut()) return;
+    stopReplay();
+    cancelAIMove();
+    stopClock();
+    if (state.gameOver) reopenGame();
+
+    let move = popMove();
+    if (state.mode === 'pvai' && move.player === 'O' && state.moves.length > undoFloor()) move = popMove();
+
+    state.current = move.player;
+    paintBoard(state.board);
+    dom.board.classList.remove('locked');
+    updateTurnUI();
+    startClock();
+    updateHistoryUI();
+    refreshAssist();
+    saveGame();
+    announce(t('Move taken back. {player} to play.', { player: state.current }));
+  }
+
+  /** Replay undone moves (in PvAI a human move and its AI reply together) */
+  function redoMove() {
+    if (!state.redo.length || state.gameOver) return;
+    cancelAIMove();
+
+    const batch = [state.redo.pop()];
+    const next  = state.redo[state.redo.length - 1];
+    if (state.mode === 'pvai' && batch[0].player === 'X' && next && next.player === 'O') {
+      batch.push(state.redo.pop());
+    }
+
+    dom.board.classList.remove('locked');
+    batch.forEach(({ index, player, mark }) => {
+      state.current = player;
+      placeMove(index, player, mark);
+    });
+    advanceTurn();
+  }
+
+  /** Undo a game result: clear the strike-through and revert the score */
+  function reopenGame() {
+    const { winner } = state.result;
+    state.score[winner]--;
+
+    // The game is no longer finished — take it back out of the stats
+    const pending = state.recordId;
+    state.recordId = null;
+    if (pending) {
+      pending
+        .then(id => id != null && deleteGameRecord(id))
+        .catch(() => { /* Silent fail — stats are optional */ });
+    }
+
+    state.gameOver = false;
+    state.result   = null;
+    state.review   = null;
+    refreshScoreboard();
+    resetWinLine();
+    closeModal();
+  }
+
+  /** Write all three score values without animation */
+  function refreshScoreboard() {
+    dom.scoreX.textContent    = state.score.X;
+    dom.scoreO.textContent    = state.score.O;
+    dom.scoreDraw.textContent = state.score.draw;
+    updateMatchUI();
+    events.emit('scorechange', { ...state.score });
+  }
+
+  /** Enable/disable undo & redo, and show replay controls once the game is over */
+  function updateHistoryUI() {
+    const fixed = state.mode === 'online' || state.mode === 'aivai'; // the relay (or the arena) owns the move log
+    dom.undoBtn.disabled  = fixed || state.moves.length <= undoFloor() || timedOut();
+    dom.redoBtn.disabled  = fixed || state.redo.length === 0 || state.gameOver;
+    dom.replayBar.hidden  = !state.gameOver && !replay.active;
+    updateAssistUI();
+    if (state.gameOver && !replay.active) updateReplayLabel(state.moves.length);
+  }
+
+  /** Step-through replay of the finished game */
+  const replay = {
+    active: false,
+    step:   0,        // moves shown on the board
+    timer:  null,
+  };
+
+  /**
+   * Close the modal and animate the game from the first move. Works on a
+   * finished game, or on a live one (a loaded link) — play resumes at the end.
+   */
+  function startReplay() {
+    if (!state.moves.length) return;
+    cancelAIMove();
+    stopClock();
+    closeModal();
+    replay.active = true;
+    dom.board.classList.add('locked');
+    clearAssist();
+    updateHistoryUI();
+    replayTo(0);
+    playReplay();
+  }
+
+  /**
+   * Show the position after `step` moves; the final step restores the
+   * winning cells and strike-through.
+   * @param {number} step
+   */
+  function replayTo(step) {
+    const total = state.moves.length;
+    step = Math.max(0, Math.min(total, step));
+    const forward = step > replay.step;
+    replay.active = true;
+    replay.step   = step;
+
+    resetWinLine();
+    paintBoard(boardAt(step), step > 0 ? state.moves[step - 1].index : null);
+    paintFading(step);
+
+    if (step === total && state.result) showWin(state.result);
+    if (forward && step > 0) addCellRipple(getCell(state.moves[step - 1].index));
+
+    paintReview(step);
+    updateReplayLabel(step);
+  }
+
+  /** Auto-advance one move at a time until the end */
+  function playReplay() {
+    clearInterval(replay.timer);
+    if (replay.step >= state.moves.length) replayTo(0);
+
+    dom.replayPlay.classList.add('is-playing');
+    replay.timer = setInterval(() => stepReplay(replay.step + 1, { keepPlaying: true }), 650);
+  }
+
+  /**
+   * Move the replay to `step` (from the controls or the autoplay timer).
+   * Reaching the end of a live game hands the board back to the players.
+   */
+  function stepReplay(step, { keepPlaying = false } = {}) {
+    if (!keepPlaying) pauseReplay();
+    replayTo(step);
+    if (replay.step < state.moves.length) return;
+
+    pauseReplay();
+    if (!state.gameOver) {
+      stopReplay();
+      resumeTurn();
+    }
+  }
+
+  function pauseReplay() {
+    clearInterval(replay.timer);
+    replay.timer = null;
+    dom.replayPlay.classList.remove('is-playing');
+  }
+
+  /** Leave replay and put the final position back on the board */
+  function stopReplay() {
+    if (!replay.active) return;
+    pauseReplay();
+    replayTo(state.moves.length);
+    replay.active = false;
+    updateHistoryUI();
+    refreshAssist();
+  }
+
+  /** "Move 3 / 7", plus the review grade of that move once one is in */
+  function updateReplayLabel(step) {
+    const grade = step > 0 && state.review && state.review[step - 1];
+    const label = t('Move {step} / {total}', { step, total: state.moves.length });
+    dom.replayLabel.textContent = grade ? `${label} · ${t(GRADE_LABELS[grade])}` : label;
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     CLOCKS  (timed turns)
+     ═══════════════════════════════════════════════════════════ */
+
+  /** Time left on each side's clock, and the one that is running */
+  const clock = {
+    left:    { X: 0, O: 0 }, // ms, as of when the clock last stopped
+    running: null,           // 'X' | 'O' | null
+    since:   0,              // Date.now() when it started
+    warned:  false,          // low-time warning announced this turn
+    timer:   null,
+  };
+
+  const timeControl = () => TIME_CONTROLS[state.timeControl];
+  const isTimed     = () => state.timeControl !== 'off';
+  const timedOut    = () => Boolean(state.result && state.result.reason === 'timeout');
+
+  /** The "timeout" result: `player`'s flag fell, so the other side wins */
+  function timeoutResult(player) {
+    return { winner: player === 'X' ? 'O' : 'X', combo: null, reason: 'timeout' };
+  }
+
+  /** Both clocks stopped and full */
+  function resetClocks() {
+    stopClock();
+    const { perMove, total } = timeControl();
+    const full = perMove || total || 0;
+    clock.left = { X: full, O: full };
+    renderClocks();
+  }
+
+  /** Run the clock of the side to move (timed games that are still on) */
+  function startClock() {
+    if (!isTimed() || state.gameOver || clock.running) return;
+    clock.running = state.current;
+    clock.since   = Date.now();
+    clock.warned  = false;
+    clock.timer   = setInterval(tickClock, CLOCK_TICK);
+    renderClocks();
+  }
+
+  /** Stop the running clock, banking the time it has used */
+  function stopClock() {
+    const player = clock.running;
+    if (!player) return;
+    clock.left[player] = timeLeft(player);
+    clock.running = null;
+    clearInterval(clock.timer);
+    clock.timer = null;
+    renderClocks();
+  }
+
+  /** The mover has played: stop their clock, then refill it or add the increment */
+  function passClock() {
+    const mover = clock.running;
+    if (!mover) return;
+    stopClock();
+    const { perMove, increment = 0 } = timeControl();
+    clock.left[mover] = perMove || clock.left[mover] + increment;
+  }
+
+  /** Time `player` has left right now (ms) */
+  function timeLeft(player) {
+    const used = clock.running === player ? Date.now() - clock.since : 0;
+    return Math.max(0, clock.left[player] - used);
+  }
+
+  /** Refresh the display; a clock that reaches zero ends the game */
+  function tickClock() {
+    const player = clock.running;
+    if (!player) return;
+
+    const left = timeLeft(player);
+    if (left === 0) {
+      stopClock();
+      cancelAIMove();
+      endGame(timeoutResult(player));
+      saveGame();
+      return;
+    }
+    if (left < lowTime() && !clock.warned) {
+      clock.warned = true;
+      announce(t('{name} is running out of time.', { name: playerName(player) }));
+    }
+    renderClocks();
+  }
+
+  /** Below this a clock shows red: ten seconds, or a quarter of a short control */
+  function lowTime() {
+    const { perMove, total } = timeControl();
+    return Math.min(LOW_TIME, (perMove || total) / 4);
+  }
+
+  /** Write both clocks into the player pills (hidden in untimed games) */
+  function renderClocks() {
+    const timed = isTimed();
+    [['X', dom.clockX], ['O', dom.clockO]].forEach(([player, el]) => {
+      el.hidden = !timed;
+      if (!timed) return;
+      const left = timeLeft(player);
+      el.textContent = formatClock(left);
+      el.classList.toggle('is-low', left < lowTime());
+      el.classList.toggle('is-flagged', timedOut() && state.result.winner !== player);
+    });
+  }
+
+  /** "4:05" — or "9.4" under ten seconds */
+  function formatClock(ms) {
+    if (ms < 10000) return (Math.floor(ms / 100) / 10).toFixed(1);
+    const seconds = Math.ceil(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * When the AI must answer by (a Date.now() time): its whole countdown under
+   * a per-move control, otherwise a slice of its clock plus the increment —
+   * less a safety margin either way. Infinity in untimed games.
+   */
+  function aiDeadline() {
+    if (!isTimed()) return Infinity;
+    const { perMove, increment = 0 } = timeControl();
+    const left   = timeLeft(state.current);
+    const budget = perMove ? left : Math.min(left, left / 20 + increment);
+    return Date.now() + Math.max(0, budget - AI_TIME_MARGIN);
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     AI PLAYERS  (strategies.js)
+     ═══════════════════════════════════════════════════════════ */
+
+
+  /** This game's own strategies (its learning AI, the embedding page's AI), looked up before the shared registry */
+  const ownStrategies = new Map();
+
+  /** The strategy with this id, this game's own first, or null */
+  const findStrategy = id => ownStrategies.get(id) || getStrategy(id);
+
+  /** Every strategy this game offers: the shared ones, with its own in their place or after them */
+  const allStrategies = () => [
+    ...listStrategies().map(strategy => ownStrategies.get(strategy.id) || strategy),
+    ...[...ownStrategies.values()].filter(strategy => !getStrategy(strategy.id)),
+  ];
+
+  /** A strategy's label, or its id if it isn't registered (yet) */
+  function strategyLabel(id) {
+    const strategy = findStrategy(id);
+    return strategy ? t(strategy.label) : id;
+  }
+
+  /** The strategy playing `player`: O's in PvAI, either bot's in the arena */
+  function strategyFor(player) {
+    return findStrategy(state.mode === 'aivai' ? arena.seats[player] : state.aiLevel);
+  }
+
+  /** The game on the board as a strategy sees it (see strategies.js) */
+  function currentPosition() {
+    return {
+      variant:   state.variant,
+      rules:     state.rules,
+      size:      state.size,
+      winLength: state.winLength,
+      starter:   state.starter,
+      board:     state.board.slice(),
+      player:    state.current,
+      history:   state.moves.slice(),
+      lastIndex: lastMoveIndex(),
+    };
+  }
+
+  /**
+   * Let the AI pick and play its move. The search runs in the worker while
+   * the board stays locked; the mark lands after at least AI_MIN_DELAY so
+   * instant replies still feel natural (unless its clock can't spare that).
+   * Returns quietly if cancelled; an illegal move forfeits the game.
+   */
+  async function makeAIMove() {
+    if (state.gameOver) return;
+    const player = state.current;
+
+    dom.board.classList.add('locked');
+    dom.turnIndicator.classList.add('thinking');
+    playSound('thinking');
+
+    const deadline = aiDeadline();
+    const delay    = Math.min(AI_MIN_DELAY, Math.max(0, deadline - Date.now()));
+    const [move] = await Promise.all([
+      chooseAIMove(deadline),
+      new Promise(resolve => { aiTimer = setTimeout(resolve, delay); }),
+    ]);
+    aiTimer = null;
+    if (move === null || state.gameOver) return; // cancelled
+
+    dom.turnIndicator.classList.remove('thinking');
+    dom.board.classList.remove('locked');
+
+    if (!isLegalMove(move)) {
+      endGame(forfeitResult(player));
+      saveGame();
+      return;
+    }
+    placeMove(move.index, player, move.mark);
+    advanceTurn();
+  }
+
+  /**
+   * Ask the side to move's strategy for its move. One that throws gets an
+   * empty move back, so it forfeits like one that plays an illegal move.
+   * @param {number} [deadline] - Date.now() time the search must answer by
+   * @returns {Promise<{index:number, mark?:string|number}|null>} null if the search was cancelled
+   */
+  async function chooseAIMove(deadline = Infinity) {
+    try {
+      return await strategyFor(state.current).move(currentPosition(), { search: runSearch, deadline });
+    } catch (_) {
+      return {};
+    }
+  }
+
+  /** Whether a strategy's answer is a move the side to move may make */
+  function isLegalMove(move) {
+    try {
+      playMove(currentPosition(), move || {});
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /** The "forfeit" result: `player`'s strategy failed or broke the rules, so the other side wins */
+  function forfeitResult(player) {
+    return { winner: player === 'X' ? 'O' : 'X', combo: null, reason: 'forfeit' };
+  }
+
+  /**
+   * How deep hints, analysis and the review search — as strong as the
+   * hardest AI that still answers promptly on the board size.
+   */
+  function analysisDepth() {
+    if (state.rules === 'rolling') return ROLLING_MAX_DEPTH;
+    if (state.size === 3) return Infinity;
+    if (state.size <= 4) return 5;
+    return state.size <= 6 ? 3 : 2;
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     HINTS, ANALYSIS & REVIEW
+     ═══════════════════════════════════════════════════════════ */
+
+  /** Classes that mark a reviewed move on its cell */
+  const REVIEW_CLASSES = Object.keys(GRADE_LABELS).map(grade => `review-${grade}`);
+
+  /**
+   * Analysis of the position on the board, shared by the hint and overlay.
+   *  key     — position the pending analysis is for
+   *  pending — Promise of its evaluations (null if cancelled)
+   */
+  const assist = {
+    analysis: false, // overlay switched on
+    key:      null,
+    pending:  null,
+  };
+
+  /** Hints and analysis are for a human about to move in a local game */
+  function canAssist() {
+    if (state.gameOver || replay.active || state.mode === 'online' || state.variant !== 'classic') return false;
+    return !isAITurn();
+  }
+
+  /**
+   * Identifies a position (rules, side to move, marks) for the analysis cache.
+   * A rolling position also depends on the order the marks went down.
+   */
+  function assistKey() {
+    const order = state.rules === 'rolling' ? state.moves.slice(-2 * ROLLING_MARKS).map(m => m.index).join(',') : '';
+    return `${state.rules}:${state.winLength}:${state.current}:${state.board.map(c => c || '.').join('')}:${order}`;
+  }
+
+  /**
+   * Evaluate every candidate move for the side to move, in the worker.
+   * @returns {Promise<Array|null>} best first, or null if the position changed meanwhile
+   */
+  function analyzePosition() {
+    const key = assistKey();
+    if (assist.key !== key || !assist.pending) {
+      assist.key     = key;
+      assist.pending = runSearch({
+        task:      'analyze',
+        board:     state.board.slice(),
+        size:      state.size,
+        winLength: state.winLength,
+        rules:     state.rules,
+        history:   state.moves.slice(),
+        depth:     analysisDepth(),
+        player:    state.current,
+      }).then(evaluations => {
+        if (evaluations === null && assist.key === key) assist.pending = null; // cancelled — ask again next time
+        return evaluations;
+      });
+    }
+    return assist.pending.then(evaluations => (key === assistKey() && canAssist() ? evaluations : null));
+  }
+
+  /** Highlight the best move for the player whose turn it is */
+  async function showHint() {
+    if (!canAssist()) return;
+    const evaluations = await analyzePosition();
+    if (!evaluations || !evaluations.length) return;
+
+    const [best] = evaluations;
+    dom.board.querySelectorAll('.hint-cell').forEach(c => c.classList.remove('hint-cell'));
+    getCell(best.index).classList.add('hint-cell');
+    if (best.mark !== undefined) pickMark(best.mark);
+    playSound('hint');
+  }
+
+  /** Remove the hint highlight and every analysis badge */
+  function clearAssist() {
+    dom.board.querySelectorAll('.hint-cell').forEach(c => c.classList.remove('hint-cell'));
+    dom.board.querySelectorAll('.cell-badge').forEach(b => b.remove());
+  }
+
+  /** After the position changes: drop stale marks, re-run the overlay if it is on */
+  function refreshAssist() {
+    clearAssist();
+    updateAssistUI();
+    if (!assist.analysis || !canAssist()) return;
+    analyzePosition().then(evaluations => evaluations && renderAnalysis(evaluations));
+  }
+
+  /**
+   * Put a badge on each evaluated cell: W2 = wins within 2 of your moves,
+   * L1 = loses after the opponent's next move, D = draw with best play.
+   * Where the horizon cuts the search short, the heuristic score is shown.
+   * When the rules give a choice of mark, a cell shows its best one.
+   */
+  function renderAnalysis(evaluations) {
+    dom.board.querySelectorAll('.cell-badge').forEach(b => b.remove());
+
+    const shown = new Set();
+    evaluations.forEach(({ index, mark, score, outcome, distance }) => {
+      if (shown.has(index)) return;
+      shown.add(index);
+
+      const moves = Math.ceil(distance / 2);
+      const badge = document.createElement('span');
+      badge.className = `cell-badge badge-${outcome || 'eval'}`;
+      badge.setAttribute('aria-hidden', 'true');
+
+      if (outcome === 'win' || outcome === 'loss') {
+        badge.textContent = outcome === 'win' ? t('W{n}', { n: moves }) : t('L{n}', { n: moves });
+        badge.title = outcome === 'win'
+          ? t.plural(moves, 'Wins in {count} move', 'Wins in {count} moves')
+          : t.plural(moves, 'Loses in {count} move', 'Loses in {count} moves');
+      } else if (outcome === 'draw') {
+        badge.textContent = t('D');
+        badge.title = t('Draw with best play');
+      } else {
+        badge.textContent = score > 0 ? `+${score}` : String(score);
+        badge.title = t('No forced result within the search horizon');
+      }
+      if (mark !== undefined) badge.title = `${mark}: ${badge.title}`;
+      getCell(index).appendChild(badge);
+    });
+  }
+
+  function toggleAnalysis() {
+    assist.analysis = !assist.analysis;
+    localStorage.setItem(storageKey('analysis'), assist.analysis ? 'on' : 'off');
+    dom.analysisBtn.setAttribute('aria-pressed', String(assist.analysis));
+    refreshAssist();
+  }
+
+  /** Hints are only offered when they'd apply; not at all online, in Ultimate or on a cube */
+  function updateAssistUI() {
+    dom.hintBtn.disabled     = !canAssist();
+    dom.analysisBtn.disabled = state.mode === 'online' || state.variant !== 'classic';
+  }
+
+  /**
+   * Grade the human moves of a finished game in the worker, then show the
+   * summary in the modal and the marks on the board.
+   * @param {object} result - the game's result, to ignore a review that comes back too late
+   */
+  async function reviewGame(result) {
+    state.review = null;
+    dom.modalReview.hidden = true;
+    if (state.mode === 'online' || state.mode === 'aivai' || state.variant !== 'classic') return;
+
+    const players = state.mode === 'pvai' ? ['X'] : ['X', 'O'];
+    dom.modalReview.textContent = t('Reviewing moves…');
+    dom.modalReview.hidden = false;
+
+    const review = await runSearch({
+      task:      'review',
+      moves:     state.moves.slice(),
+      size:      state.size,
+      winLength: state.winLength,
+      rules:     state.rules,
+      depth:     analysisDepth(),
+      players,
+    });
+    if (review === null || state.result !== result) return;
+
+    state.review = review;
+    dom.modalReview.textContent = players.map(player => reviewSummary(player)).join('\n');
+    if (!replay.active) paintReview(state.moves.length);
+    updateReplayLabel(replay.active ? replay.step : state.moves.length);
+  }
+
+  /** e.g. "Player 1: 3 best · 1 inaccuracy · 0 blunders" */
+  function reviewSummary(player) {
+    const counts = { best: 0, inaccuracy: 0, blunder: 0 };
+    state.moves.forEach((move, i) => {
+      if (move.player === player && state.review[i]) counts[state.review[i]]++;
+    });
+    return t('{name}: {best} best · {inaccuracies} · {blunders}', {
+      name:         playerName(player),
+      best:         counts.best,
+      inaccuracies: t.plural(counts.inaccuracy, '{count} inaccuracy', '{count} inaccuracies'),
+      blunders:     t.plural(counts.blunder, '{count} blunder', '{count} blunders'),
+    });
+  }
+
+  /** Mark the graded moves among the first `step` on their cells (rolling: those still on the board) */
+  function paintReview(step) {
+    if (!state.review) return;
+    const shown = state.moves.slice(0, step);
+    shown.forEach(({ index, player, mark = player }, i) => {
+      const grade = state.review[i];
+      if (!grade) return;
+      if (state.rules === 'rolling' && shown.slice(i + 1).filter(m => m.player === player).length >= ROLLING_MARKS) return;
+      const cell = getCell(index);
+      cell.classList.add(`review-${grade}`);
+      cell.setAttribute('aria-label', `${cellLabel(index, mark)}, ${t(GRADE_LABELS[grade]).toLowerCase()}`);
+    });
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     AI WORKER
+     ═══════════════════════════════════════════════════════════ */
+
+  /** Search worker — created lazily, false if workers are unavailable (e.g. file://) */
+  let aiWorker = null;
+
+  /** The in-flight request: { id, resolve } */
+  let pendingSearch = null;
+  let searchId = 0;
+
+  function getWorker() {
+    if (aiWorker === null) {
+      try {
+        aiWorker = new Worker(new URL('ai-worker.js', import.meta.url), { type: 'module' });
+        aiWorker.addEventListener('message', onWorkerMessage);
+        aiWorker.addEventListener('error', onWorkerError);
+      } catch (_) {
+        aiWorker = false;
+      }
+    }
+    return aiWorker;
+  }
+
+  function onWorkerMessage({ data }) {
+    if (!pendingSearch || data.id !== pendingSearch.id) return; // stale reply
+    const { resolve } = pendingSearch;
+    pendingSearch = null;
+    resolve(data.result);
+  }
+
+  /** Worker failed to load — fall back to searching on the main thread */
+  function onWorkerError(e) {
+    e.preventDefault();
+    aiWorker.terminate();
+    aiWorker = false;
+
+    if (!pendingSearch) return;
+    const { resolve, request } = pendingSearch;
+    pendingSearch = null;
+    resolve(runTask(request));
+  }
+
+  /**
+   * Run one search in the worker. Only one runs at a time — a new request
+   * cancels the one in flight.
+   * @param {{task:'move'|'analyze'|'review'}} request - plus the task's arguments (see runTask in engine.js)
+   * @returns {Promise<*|null>} the task's result, or null if cancelled
+   */
+  function runSearch(request) {
+    cancelSearch();
+    const worker = getWorker();
+    if (!worker) return Promise.resolve(runTask(request));
+
+    return new Promise(resolve => {
+      pendingSearch = { id: ++searchId, resolve, request };
+      worker.postMessage({ id: searchId, ...request });
+    });
+  }
+
+  /**
+   * Abort the in-flight search. A busy worker can't be interrupted, so it
+   * is terminated (losing its transposition table) and respawned on demand.
+   */
+  function cancelSearch() {
+    if (!pendingSearch) return;
+    pendingSearch.resolve(null);
+    pendingSearch = null;
+    aiWorker.terminate();
+    aiWorker = null;
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     MODAL
+     ═══════════════════════════════════════════════════════════ */
+
+  /** Show result modal with win/draw content */
+  function showModal(result) {
+    const { winner } = result;
+    const modal = dom.modal;
+
+    // Reset classes
+    modal.className = 'modal';
+    dom.modalSymbol.className = 'modal-symbol';
+    dom.modalConfetti.innerHTML = '';
+
+    const champion = matchWinner();
+    dom.playAgainBtn.textContent = t(state.mode === 'aivai' ? 'Run Again' : !champion ? 'Play Again' : state.fixture ? 'Continue' : 'New Match');
+
+    if (state.mode === 'aivai') {
+      const { a, b } = arena.tally;
+      const leader = a.win === b.win ? null : a.win > b.win ? 'a' : 'b';
+
+      dom.modalSymbol.textContent = leader ? '🏆' : '🤝';
+      dom.modalSymbol.classList.add(leader ? 'sym-x' : 'sym-draw');
+      dom.modalTitle.textContent  = leader ? t('{name} Wins the Arena!', { name: botName(leader) }) : t('The Arena Ends Level!');
+      dom.modalSub.textContent    = t.plural(arena.tally.played, '{score} after {count} game.', '{score} after {count} games.', { score: arenaScore() });
+
+      if (leader) spawnConfetti('X');
+      else modal.classList.add('draw-result');
+    } else if (champion) {
+      const isX  = champion === 'X';
+      const name = playerName(champion);
+
+      dom.modalSymbol.textContent = '🏆';
+      dom.modalSymbol.classList.add(isX ? 'sym-x' : 'sym-o');
+      dom.modalTitle.textContent  = t('{name} Wins the Match!', { name });
+      dom.modalSub.textContent    = `${t('{score} in a best of {n}.', { score: matchScore(champion), n: state.bestOf })} ${resultNote(result)}`.trim();
+
+      if (!isX) modal.classList.add('o-wins');
+
+      spawnConfetti(champion);
+    } else if (winner === 'X' || winner === 'O') {
+      const isX = winner === 'X';
+
+      dom.modalSymbol.textContent = skinMark(winner);
+      dom.modalSymbol.classList.add(isX ? 'sym-x' : 'sym-o');
+      dom.modalTitle.textContent  = timedOut() ? t('{player} Wins on Time!', { player: winner }) : t('{player} Wins!', { player: winner });
+
+      const name = playerName(winner);
+      dom.modalSub.textContent    = `${resultNote(result)} ${t('Congratulations, {name}!', { name })}`.trim();
+
+      if (!isX) modal.classList.add('o-wins');
+
+      spawnConfetti(winner);
+    } else {
+      dom.modalSymbol.textContent = '🤝';
+      dom.modalSymbol.classList.add('sym-draw');
+      dom.modalTitle.textContent  = t("It's a Draw!");
+      dom.modalSub.textContent    = t('Well played by both sides.');
+      modal.classList.add('draw-result');
+    }
+
+    dom.exportBtn.hidden = state.mode === 'aivai';
+    toggleExport(false);
+
+    dom.backdrop.classList.add('open');
+    dom.backdrop.setAttribute('aria-hidden', 'false');
+    dom.playAgainBtn.focus();
+  }
+
+  /** The result dialog — or the embedding page's own, through the `modal` option */
+  function showResult(result) {
+    if (modal) modal(result, () => showModal(result));
+    else showModal(result);
+  }
+
+  /** Hide the modal; if it was open, focus goes back to the board */
+  function closeModal() {
+    if (!dom.backdrop.classList.contains('open')) return;
+    dom.backdrop.classList.remove('open');
+    dom.backdrop.setAttribute('aria-hidden', 'true');
+    if (!dom.gameArena.hidden && getCell(rover)) getCell(rover).focus();
+  }
+
+  /** Keep Tab / Shift+Tab cycling through the modal's buttons while it is open */
+  function trapModalFocus(e) {
+    if (e.key !== 'Tab' || !dom.backdrop.classList.contains('open')) return;
+    const focusable = [...dom.modal.querySelectorAll('button:not([disabled])')].filter(btn => !btn.closest('[hidden]'));
+    const first = focusable[0];
+    const last  = focusable[focusable.length - 1];
+
+    if (e.shiftKey && (document.activeElement === first || !dom.modal.contains(document.activeElement))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !dom.modal.contains(document.activeElement))) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     EXPORT  (result card, GIF and WebM — recorder.js)
+     ═══════════════════════════════════════════════════════════ */
+
+  /** Whether the browser can record a canvas as WebM video */
+  const canRecordVideo = typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported('video/webm')
+    && typeof HTMLCanvasElement.prototype.captureStream === 'function';
+
+  /** Set while an export renders, so only one runs at a time */
+  let exporting = false;
+
+  /** Show or hide the export formats under the modal's buttons */
+  function toggleExport(open = dom.exportOptions.hidden) {
+    dom.exportOptions.hidden = !open;
+    dom.exportBtn.setAttribute('aria-expanded', String(open));
+    if (!exporting) dom.exportStatus.textContent = '';
+  }
+
+  /** What goes round the board: the theme's colours and skin, the players, the score and the result */
+  function exportCard() {
+    const { winner } = state.result;
+    const n     = state.size;
+    const board = state.variant === 'ultimate' ? t('Ultimate')
+      : state.variant === 'cube' ? `${n}×${n}×${n}`
+      : state.variant === 'gravity' ? t('{cols}×{rows} gravity', { cols: n, rows: gravityRows(n) })
+      : `${n}×${n}`;
+    const rules = state.rules === 'standard' ? '' : ` · ${t(RULE_LABELS[state.rules])}`;
+    const moves = t.plural(state.moves.length, '{count} move', '{count} moves');
+    return {
+      variant:  state.variant,
+      size:     n,
+      colors:   currentColors(),
+      marks:    SKINS[state.skin],
+      names:    { X: playerName('X'), O: playerName('O') },
+      score:    { ...state.score },
+      title:    winner === 'draw' ? t("It's a Draw!") : t('{player} Wins!', { player: playerName(winner) }),
+      subtitle: `${board}${rules} · ${moves}`,
+      result:   state.result,
+      font:     EXPORT_FONT,
+    };
+  }
+
+  /** The finished game move by move, then its win line */
+  function gameScenes() {
+    const { size, rules, variant, moves } = state;
+    return recordingScenes(moves, { size, rules, variant, combo: state.result.combo });
+  }
+
+  function exportCanvas() {
+    const canvas = document.createElement('canvas');
+    canvas.width  = CARD.width;
+    canvas.height = CARD.height;
+    return canvas;
+  }
+
+  /** Download an export, named after the game's date */
+  function saveExport(blob, extension) {
+    downloadFile(blob, `nexus-game-${new Date().toISOString().slice(0, 10)}.${extension}`);
+  }
+
+  /** The final position as a PNG result card */
+  async function exportImage() {
+    const canvas = exportCanvas();
+    const scenes = gameScenes();
+    drawScene(canvas.getContext('2d'), scenes[scenes.length - 1], exportCard());
+    saveExport(await new Promise(resolve => canvas.toBlob(resolve, 'image/png')), 'png');
+  }
+
+  /** The game as an animated GIF, each move held as it would be watched */
+  async function exportGif() {
+    const ctx     = exportCanvas().getContext('2d', { willReadFrequently: true });
+    const card    = exportCard();
+    const palette = gifPalette(card.colors);
+    const cache   = new Map();
+    const frames  = [];
+    for (const scene of gameScenes()) {
+      drawScene(ctx, scene, card);
+      frames.push({ indices: quantize(ctx.getImageData(0, 0, CARD.width, CARD.height).data, palette, cache), delay: scene.delay });
+      await new Promise(resolve => setTimeout(resolve)); // keep the page responsive between frames
+    }
+    saveExport(new Blob([encodeGif({ ...CARD, palette, frames })], { type: 'image/gif' }), 'gif');
+  }
+
+  /** The game as a WebM video, recorded in real time as its scenes play on a canvas */
+  async function exportVideo() {
+    const canvas   = exportCanvas();
+    const ctx      = canvas.getContext('2d');
+    const card     = exportCard();
+    const recorder = new MediaRecorder(canvas.captureStream(VIDEO_FPS), { mimeType: 'video/webm' });
+    const chunks   = [];
+    const stopped  = new Promise(resolve => recorder.addEventListener('stop', resolve));
+    recorder.addEventListener('dataavailable', e => chunks.push(e.data));
+
+    recorder.start();
+    for (const scene of gameScenes()) {
+      const until = performance.now() + scene.delay;
+      do {
+        // Repaint while a scene holds: the stream only gets frames when the canvas changes
+        drawScene(ctx, scene, card);
+        await new Promise(resolve => setTimeout(resolve, 1000 / VIDEO_FPS));
+      } while (performance.now() < until);
+    }
+    recorder.stop();
+    await stopped;
+    saveExport(new Blob(chunks, { type: 'video/webm' }), 'webm');
+  }
+
+  const EXPORTS = {
+    png:  { run: exportImage, busy: 'Drawing the card…' },
+    gif:  { run: exportGif,   busy: 'Rendering the GIF…' },
+    webm: { run: exportVideo, busy: 'Recording the video…' },
+  };
+
+  async function runExport(format) {
+    if (exporting || !state.result) return;
+    exporting = true;
+    syncExportButtons();
+    dom.exportStatus.textContent = t(EXPORTS[format].busy);
+    try {
+      await EXPORTS[format].run();
+      dom.exportStatus.textContent = t('Saved to your downloads.');
+    } catch (_) {
+      dom.exportStatus.textContent = t('This browser could not export the game.');
+    }
+    exporting = false;
+    syncExportButtons();
+  }
+
+  /** One export at a time; WebM only where the browser can record it */
+  function syncExportButtons() {
+    dom.exportPngBtn.disabled  = exporting;
+    dom.exportGifBtn.disabled  = exporting;
+    dom.exportWebmBtn.disabled = exporting || !canRecordVideo;
+    dom.exportWebmBtn.title    = t(canRecordVideo ? 'The game move by move, as a WebM video' : 'This browser cannot record video');
+  }
+
+  /** Spawn confetti particles inside the modal, mostly in `player`'s colour */
+  function spawnConfetti(player) {
+    if (state.motion === 'reduced') return;
+    const primary = player === 'O' ? 'var(--accent-o)' : 'var(--accent-x)';
+    const colors  = [primary, 'var(--confetti-1)', 'var(--confetti-2)', 'var(--confetti-3)', 'var(--confetti-4)'];
+    const count   = 30;
+
+    for (let i = 0; i < count; i++) {
+      const el = document.createElement('div');
+      el.className = 'confetti-particle';
+
+      const color    = colors[Math.floor(Math.random() * colors.length)];
+      const x        = Math.random() * 100;
+      const delay    = Math.random() * 0.6;
+      const duration = 0.9 + Math.random() * 0.8;
+      const size     = 5 + Math.random() * 7;
+
+      el.style.cssText = `
+        background: ${color};
+        left: ${x}%;
+        top: -10px;
+        width: ${size}px;
+        height: ${size}px;
+        animation-duration: ${duration}s;
+        animation-delay: ${delay}s;
+        border-radius: ${Math.random() > 0.5 ? '50%' : '2px'};
+      `;
+
+      dom.modalConfetti.appendChild(el);
+    }
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     GAME FLOW  (Start / Reset / Menu)
+     ═══════════════════════════════════════════════════════════ */
+
+  /** Show the mode selector, hide game arena — or the standings, after a tournament match */
+  function showMenu() {
+    const fixture = state.fixture;
+    cancelAIMove();
+    stopArena();
+    stopClock();
+    stopReplay();
+    leaveOnline();
+    dom.gameArena.hidden    = true;
+    dom.modeSelector.hidden = false;
+    closeModal();
+    state.gameOver = false;
+    state.board    = emptyBoard();
+    state.moves    = [];
+    state.redo     = [];
+    state.result   = null;
+    state.current  = 'X';
+    state.starter  = 'X';
+    state.fixture  = null;
+    state.score    = { X: 0, O: 0, draw: 0 };
+    dom.shareBanner.hidden = true;
+    applyTabletop();
+    clearSavedGame();
+    if (fixture && tournament) showTournament();
+  }
+
+  /**
+   * Start a new game in the given mode.
+   * @param {'pvp'|'pvai'|'online'|'aivai'} mode
+   * @param {{size:number, winLength:number, variant?:string, rules?:string, names?:object,
+   *          bestOf?:number, fixture?:object, starter?:string, timeControl?:string}} [config]
+   *        board, match and clock settings; default to the mode selector
+   */
+  function startGame(mode, config = menuConfig()) {
+    if (mode !== 'aivai') stopArena();
+    state.mode    = mode;
+    if (mode === 'online') configureBoard(config.size, config.winLength); // the relay plays classic, standard rules only
+    else configureBoard(config.size, config.winLength, config.variant, config.rules);
+    state.board   = emptyBoard();
+    state.moves   = [];
+    state.redo    = [];
+    state.result  = null;
+    state.review  = null;
+    state.starter = config.starter === 'O' ? 'O' : 'X';
+    state.current = state.starter;
+    state.gameOver= false;
+
+    // Match format and clock: online and arena games keep an open score and play untimed
+    const local   = mode === 'pvp' || mode === 'pvai';
+    state.bestOf  = local && MATCH_LENGTHS.includes(config.bestOf) ? config.bestOf : 1;
+    state.fixture = local ? config.fixture || null : null;
+    state.timeControl = local && Object.hasOwn(TIME_CONTROLS, config.timeControl) ? config.timeControl : 'off';
+    resetClocks();
+
+    // Update player name labels
+    state.names = config.names || namesFor(mode);
+    renderNames();
+    dom.roomBadge.hidden  = mode !== 'online';
+
+    // Reset scores when switching mode or starting fresh
+    state.score = { X: 0, O: 0, draw: 0 };
+    refreshScoreboard();
+    updateRulesUI();
+
+    // Clear win line
+    resetWinLine();
+
+    // Build fresh board
+    buildBoard();
+    emitStart();
+
+    // Update UI
+    updateTurnUI();
+    updateHistoryUI();
+
+    // Show arena
+    dom.modeSelector.hidden  = true;
+    dom.tourneyScreen.hidden = true;
+    dom.gameArena.hidden     = false;
+    orientationBase = null; // level wherever the device is held now
+    applyTabletop();
+    refreshAssist();
+    saveGame();
+  }
+
+  /**
+   * Restart the current game (keep scores, reset board only). Once a match
+   * is decided this starts the next one instead — or, in a tournament,
+   * records the result and goes back to the standings.
+   */
+  function restartGame() {
+    if (!state.mode) return;
+
+    // Online the relay resets the room and tells both sides
+    if (state.mode === 'online') {
+      closeModal();
+      sendOnline({ type: 'restart' });
+      return;
+    }
+    // The arena starts over from its first game
+    if (state.mode === 'aivai') {
+      startArena(arena);
+      return;
+    }
+    if (!matchWinner()) resetRound();
+    else if (state.fixture) finishFixture();
+    else newMatch();
+  }
+
+  /**
+   * Clear the board for the next round. The other player starts after a
+   * finished game; an abandoned one is replayed with the same starter.
+   * @param {'X'|'O'} [starter]
+   */
+  function resetRound(starter = state.gameOver ? (state.starter === 'X' ? 'O' : 'X') : state.starter) {
+    cancelAIMove();
+    stopReplay();
+
+    state.board   = emptyBoard();
+    state.moves   = [];
+    state.redo    = [];
+    state.result  = null;
+    state.review  = null;
+    state.starter = starter;
+    state.current = starter;
+    state.gameOver= false;
+
+    resetClocks();
+    resetWinLine();
+    buildBoard();
+    emitStart();
+    updateTurnUI();
+    updateHistoryUI();
+    updateRulesUI();
+    updateMatchUI();
+    dom.board.classList.remove('locked');
+
+    closeModal();
+    refreshAssist();
+    saveGame();
+    resumeTurn();
+  }
+
+  /** Tell listeners a game, or the next round of a match, has begun */
+  function emitStart() {
+    const { mode, variant, rules, size, winLength, starter } = state;
+    events.emit('start', { mode, variant, rules, size, winLength, starter });
+  }
+
+  /** Everything the mode selector sets for a new game: board, match length and clock */
+  function menuConfig() {
+    return { ...boardOptions(), bestOf: Number(dom.matchSelect.value), timeControl: dom.clockSelect.value };
+  }
+
+  /** Board dimensions currently chosen on the mode selector */
+  function boardOptions() {
+    return {
+      variant:   dom.variantSelect.value,
+      rules:     dom.rulesSelect.value,
+      size:      Number(dom.sizeSelect.value),
+      winLength: Number(dom.winLenSelect.value),
+    };
+  }
+
+  /** A fresh board for the active size (size³ cells on a cube, a row short on a gravity board) */
+  function emptyBoard() {
+    if (state.variant === 'cube') return createCube(state.size);
+    if (state.variant === 'gravity') return createGravity(state.size);
+    return createBoard(state.size);
+  }
+
+  /**
+   * Apply board dimensions: regenerate win lines and size the CSS grid.
+   * Ultimate is always nine 3×3 boards, whatever size is asked for, and
+   * plays standard rules; so does a cube, 3 or 4 on an edge and won by a
+   * full line, and a gravity board as gravityShape() in engine.js allows.
+   * Numerical and rolling rules are played on 3×3.
+   * @param {number} size      - board is size × size (× size for a cube, × size − 1 for gravity)
+   * @param {number} winLength - marks in a row needed to win
+   * @param {'classic'|'ultimate'|'cube'|'gravity'} [variant]
+   * @param {string} [rules]   - one of RULE_SETS in engine.js
+   */
+  function configureBoard(size, winLength, variant = 'classic', rules = 'standard') {
+    state.variant   = ['ultimate', 'cube', 'gravity'].includes(variant) ? variant : 'classic';
+    state.rules     = state.variant === 'classic' && RULE_SETS.includes(rules) ? rules : 'standard';
+    if (state.variant === 'ultimate') [size, winLength] = [9, 3];
+    if (state.variant === 'cube') size = winLength = CUBE_SIZES.includes(size) ? size : CUBE_SIZES[0];
+    if (state.variant === 'gravity') ({ size, winLength } = gravityShape(size, winLength));
+    if (SMALL_BOARD_RULES.includes(state.rules)) [size, winLength] = [3, 3];
+    state.size      = Math.min(MAX_SIZE, Math.max(MIN_SIZE, size || MIN_SIZE));
+    state.winLength = Math.min(state.size, Math.max(MIN_SIZE, winLength || state.size));
+    WIN_COMBOS      = state.variant === 'cube' ? cubeCombos(state.size)
+      : state.variant === 'gravity' ? gravityCombos(state.size, state.winLength)
+      : generateWinCombos(state.size, state.winLength);
+
+    // Grid columns, gaps and glyph size all scale off this variable
+    dom.gameArena.style.setProperty('--board-size', state.size);
+  }
+
+  /** Clear the SVG win line */
+  function resetWinLine() {
+    const line = dom.winLine;
+    line.classList.remove('draw-line');
+    line.setAttribute('x1', '0'); line.setAttribute('y1', '0');
+    line.setAttribute('x2', '0'); line.setAttribute('y2', '0');
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     MATCHES & TOURNAMENTS
+     ═══════════════════════════════════════════════════════════ */
+
+  const NAMES_KEY      = storageKey('names');
+  const TOURNAMENT_KEY = storageKey('tournament');
+
+  /** The running tournament (see tournament.js) plus the board it is played on, or null */
+  let tournament = null;
+
+  /**
+   * Seat names for a new local game: the name fields or the untranslated
+   * defaults, with the AI's stats bucket ("pvai:hard") in O's seat in PvAI.
+   * Stats record them like this, so a player keeps one row in every language.
+   */
+  function namesFor(mode) {
+    return {
+      X: dom.nameInputX.value.trim() || DEFAULT_NAMES.X,
+      O: mode === 'pvai' ? `pvai:${state.aiLevel}` : dom.nameInputO.value.trim() || DEFAULT_NAMES.O,
+    };
+  }
+
+  /** How a seat name reads: the defaults, the opponent and AI levels in the current language, typed names as typed */
+  function displayName(name) {
+    if (name.startsWith('pvai:')) return modeLabel(name);
+    return [DEFAULT_NAMES.X, DEFAULT_NAMES.O, OPPONENT_NAME].includes(name) ? t(name) : name;
+  }
+
+  /** Put the seats' names on the pills */
+  function renderNames() {
+    dom.nameX.textContent = displayName(state.names.X);
+    dom.nameO.textContent = displayName(state.names.O);
+  }
+
+  function saveNames() {
+    try {
+      localStorage.setItem(NAMES_KEY, JSON.stringify({ X: dom.nameInputX.value.trim(), O: dom.nameInputO.value.trim() }));
+    } catch (_) { /* Silent fail — storage full or blocked */ }
+  }
+
+  /** Whoever has won the match, or null while it is open (always null in open play) */
+  function matchWinner() {
+    if (state.bestOf === 1 && !state.fixture) return null;
+    const needed = winsNeeded(state.bestOf);
+    return ['X', 'O'].find(player => state.score[player] >= needed) || null;
+  }
+
+  /** The match score from `player`'s side: "3–1", plus any drawn games */
+  function matchScore(player) {
+    const other = player === 'X' ? 'O' : 'X';
+    const draws = state.score.draw ? ` (${t('{n} drawn', { n: state.score.draw })})` : '';
+    return `${state.score[player]}–${state.score[other]}${draws}`;
+  }
+
+  /** "Round 2 · Best of 5 · Game 3" above the board (the running score in the arena); hidden in open play */
+  function updateMatchUI() {
+    if (state.mode === 'aivai') {
+      dom.matchInfo.hidden = false;
+      dom.matchInfo.textContent = `${t('Game {n} of {total}', { n: arena.tally.played + (state.gameOver ? 0 : 1), total: arena.games })} · ${arenaScore()}`;
+      return;
+    }
+    const inMatch = state.bestOf > 1 || state.fixture !== null;
+    dom.matchInfo.hidden = !inMatch;
+    if (!inMatch) return;
+
+    const champion = matchWinner();
+    const played   = state.score.X + state.score.O + state.score.draw;
+    const parts    = [state.bestOf > 1 ? t('Best of {n}', { n: state.bestOf }) : t('One game')];
+    if (state.fixture) parts.unshift(t('Round {n}', { n: state.fixture.round }));
+    parts.push(champion ? t('{name} wins', { name: playerName(champion) }) : t('Game {n}', { n: played + (state.gameOver ? 0 : 1) }));
+    dom.matchInfo.textContent = parts.join(' · ');
+  }
+
+  /** Play the same players again: scores back to zero, X to start */
+  function newMatch() {
+    state.score = { X: 0, O: 0, draw: 0 };
+    refreshScoreboard();
+    resetRound('X');
+  }
+
+  function readTournament() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(TOURNAMENT_KEY));
+      return saved && Array.isArray(saved.players) && Array.isArray(saved.matches) ? saved : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function saveTournament() {
+    try {
+      if (tournament) localStorage.setItem(TOURNAMENT_KEY, JSON.stringify(tournament));
+      else localStorage.removeItem(TOURNAMENT_KEY);
+    } catch (_) { /* Silent fail — storage full or blocked */ }
+    updateTourneyCard();
+  }
+
+  /** The mode card offers to resume a tournament in progress */
+  function updateTourneyCard() {
+    labelTourney();
+    dom.tourneyBtn.setAttribute('aria-expanded', 'false');
+    dom.tourneyPanel.hidden = true;
+  }
+
+  /** The mode card's line and the name fields' placeholders, in the current language */
+  function labelTourney() {
+    dom.tourneySub.textContent = t(tournament ? 'Back to the standings' : '3–8 local players');
+    dom.tourneyNames.querySelectorAll('input').forEach((input, i) => {
+      input.placeholder = t('Player {n}', { n: i + 1 });
+      input.setAttribute('aria-label', t('Player {n} name', { n: i + 1 }));
+    });
+  }
+
+  /** One name field per possible entrant */
+  function renderTourneyNames() {
+    for (let i = 1; i <= MAX_PLAYERS; i++) {
+      const input = document.createElement('input');
+      input.className    = 'option-input';
+      input.type         = 'text';
+      input.maxLength    = 20;
+      input.spellcheck   = false;
+      input.autocomplete = 'off';
+      dom.tourneyNames.appendChild(input);
+    }
+  }
+
+  /** Start a tournament with the filled-in names, the chosen format and the mode selector's board and match length */
+  function startTournament() {
+    const players = [...dom.tourneyNames.querySelectorAll('input')].map(input => input.value.trim()).filter(Boolean);
+    try {
+      tournament = {
+        ...createTournament(players, { format: dom.tourneyFormat.value, bestOf: Number(dom.matchSelect.value) }),
+        config: { ...boardOptions(), timeControl: dom.clockSelect.value },
+      };
+    } catch (err) {
+      if (!(err instanceof RangeError)) throw err;
+      dom.tourneyStatus.textContent = t(err.message);
+      return;
+    }
+    dom.tourneyStatus.textContent = '';
+    saveTournament();
+    showTournament();
+  }
+
+  /** Show the standings and the next pairing — or the champion once it is over */
+  function showTournament({ focus = true } = {}) {
+    dom.modeSelector.hidden  = true;
+    dom.gameArena.hidden     = true;
+    dom.tourneyScreen.hidden = false;
+
+    const { players, format, bestOf, config } = tournament;
+    const match    = nextMatch(tournament);
+    const champion = tournamentWinner(tournament);
+    const timed    = Object.hasOwn(TIME_CONTROLS, config.timeControl) && config.timeControl !== 'off';
+    dom.tourneyInfo.textContent = t(format === 'knockout' ? 'Knockout' : 'Round robin')
+      + ` · ${bestOf > 1 ? t('best of {n} a match', { n: bestOf }) : t('one game a match')}`
+      + (timed ? ` · ${t(TIME_CONTROLS[config.timeControl].label)}` : '');
+
+    const body = dom.tourneyTable.tBodies[0];
+    body.innerHTML = '';
+    standings(tournament).forEach((row, rank) => {
+      const tr = body.insertRow();
+      tr.classList.toggle('is-out', row.out);
+      const diff = row.gamesWon - row.gamesLost;
+      [rank + 1, row.name, row.played, row.won, row.lost, diff > 0 ? `+${diff}` : diff].forEach(value => {
+        tr.insertCell().textContent = value;
+      });
+    });
+
+    dom.tourneyNext.textContent = match
+      ? t('Round {n}: {x} (X) vs {o} (O)', { n: match.round, x: players[match.a], o: players[match.b] })
+      : `🏆 ${t('{name} wins the tournament!', { name: players[champion] })}`;
+    dom.tourneyPlay.hidden = !match;
+    dom.tourneyEnd.textContent = t(match ? 'End' : 'Finish');
+    if (focus) (match ? dom.tourneyPlay : dom.tourneyBack).focus();
+  }
+
+  function hideTournament() {
+    dom.tourneyScreen.hidden = true;
+    dom.modeSelector.hidden  = false;
+  }
+
+  /** Play the next pairing: the first-named player is X */
+  function playFixture() {
+    const match = nextMatch(tournament);
+    if (!match) return;
+    startGame('pvp', {
+      ...tournament.config,
+      bestOf:  tournament.bestOf,
+      fixture: { id: match.id, round: match.round },
+      names:   { X: tournament.players[match.a], O: tournament.players[match.b] },
+    });
+    resumeTurn();
+  }
+
+  /** Enter the decided match in the tournament and go back to the standings */
+  function finishFixture() {
+    try {
+      tournament = recordMatch(tournament, state.fixture.id, { a: state.score.X, b: state.score.O, draws: state.score.draw });
+      saveTournament();
+    } catch (_) { /* the tournament was ended, or this match already entered */ }
+    showMenu();
+  }
+
+  /** Drop the tournament (asking first while matches are still to play) */
+  function endTournament() {
+    if (nextMatch(tournament) && !confirm(t('End this tournament? Its results will be lost.'))) return;
+    tournament = null;
+    saveTournament();
+    hideTournament();
+  }
+
+  dom.tourneyBtn.addEventListener('click', () => {
+    if (tournament) {
+      showTournament();
+      return;
+    }
+    const open = dom.tourneyPanel.hidden;
+    dom.tourneyPanel.hidden = !open;
+    dom.tourneyBtn.setAttribute('aria-expanded', String(open));
+    if (open) dom.tourneyNames.querySelector('input').focus();
+  });
+
+  dom.tourneyStart.addEventListener('click', startTournament);
+  dom.tourneyPlay.addEventListener('click', playFixture);
+  dom.tourneyEnd.addEventListener('click', endTournament);
+  dom.tourneyBack.addEventListener('click', hideTournament);
+  dom.nameInputX.addEventListener('change', saveNames);
+  dom.nameInputO.addEventListener('change', saveNames);
+
+  /* ═══════════════════════════════════════════════════════════
+     AI ARENA  (two strategies head to head — strategies.js)
+     ═══════════════════════════════════════════════════════════ */
+
+  /**
+   * The arena being run, or null.
+   *  a, b       — strategy ids of bots A and B (A is X in the first game, then they swap)
+   *  games      — games to play
+   *  config     — board and rules, from the mode selector (X always starts)
+   *  watch      — played out on the board, or headless as fast as the searches go
+   *  tally      — results so far (see createTally() in strategies.js)
+   *  seats      — strategy id per side of the game on the board (watched runs)
+   *  controller — aborts a headless run
+   */
+  let arena = null;
+
+  /** "A · Hard" — a bot and its strategy */
+  function botName(bot, run = arena) {
+    return `${bot.toUpperCase()} · ${strategyLabel(run[bot])}`;
+  }
+
+  /** "A · Hard 7 – 2 B · Easy, 1 drawn" */
+  function arenaScore() {
+    const { a, b } = arena.tally;
+    const draws = a.draw ? `, ${t('{n} drawn', { n: a.draw })}` : '';
+    return `${botName('a')} ${a.win} – ${b.win} ${botName('b')}${draws}`;
+  }
+
+  /** The arena as set up on the mode selector */
+  function arenaSettings() {
+    return {
+      a:      dom.arenaA.value,
+      b:      dom.arenaB.value,
+      games:  Number(dom.arenaGames.value),
+      config: boardOptions(),
+      watch:  dom.arenaWatch.checked,
+    };
+  }
+
+  /**
+   * Start an arena, stopping any that is running.
+   * @param {{a:string, b:string, games:number, config:object, watch:boolean}} [settings]
+   */
+  function startArena({ a, b, games, config, watch } = arenaSettings()) {
+    stopArena();
+    arena = { a, b, games, config, watch, tally: createTally(), seats: null, controller: new AbortController() };
+    if (watch) watchArenaGame();
+    else runHeadless();
+  }
+
+  /** Stop the arena: a headless run is aborted mid-search, a watched one just ends */
+  function stopArena() {
+    if (!arena) return;
+    const { watch, controller } = arena;
+    arena = null;
+    controller.abort();
+    if (!watch) cancelSearch();
+  }
+
+  /** Set up the next watched game on the board: bots swap sides every game */
+  function watchArenaGame() {
+    const aSeat = arenaSeat(arena.tally.played);
+    arena.seats = aSeat === 'X' ? { X: arena.a, O: arena.b } : { X: arena.b, O: arena.a };
+    const names = aSeat === 'X' ? { X: botName('a'), O: botName('b') } : { X: botName('b'), O: botName('a') };
+
+    if (arena.tally.played === 0) {
+      startGame('aivai', { ...arena.config, names });
+      resumeTurn();
+      return;
+    }
+    state.names = names;
+    renderNames();
+    resetRound('X');
+  }
+
+  /** After a watched game: the next one, or the final score once all are played */
+  function nextArenaGame(result) {
+    if (!arena || state.mode !== 'aivai') return; // left for the menu meanwhile
+    if (arena.tally.played < arena.games) watchArenaGame();
+    else showModal(result);
+  }
+
+  /** A watched game past ARENA_MAX_PLIES is called a draw (rolling games can go on forever) */
+  function arenaMoveLimit() {
+    if (state.mode !== 'aivai' || state.moves.length < ARENA_MAX_PLIES) return null;
+    return { winner: 'draw', combo: null, reason: 'move-limit' };
+  }
+
+  /** Play the arena out off-screen, filling in the panel's table game by game */
+  async function runHeadless() {
+    const run = arena;
+    renderArenaPanel(run);
+    await runArena({
+      a:      findStrategy(run.a),
+      b:      findStrategy(run.b),
+      games:  run.games,
+      signal: run.controller.signal,
+      onGame: ({ tally }) => {
+        run.tally = tally;
+        renderArenaPanel(run);
+      },
+    }, run.config, { search: runSearch });
+
+    if (arena === run) arena = null;
+    if (!arena) renderArenaPanel(run); // unless another run has taken the panel over
+  }
+
+  /** Progress and results of a headless run on the arena panel */
+  function renderArenaPanel(run) {
+    const { tally, games } = run;
+    const running = arena === run;
+    const params = { played: tally.played };
+    dom.arenaStart.textContent  = t(running ? 'Stop' : 'Start');
+    dom.arenaStatus.textContent = running ? t.plural(games, 'Playing… {played} of {count} game', 'Playing… {played} of {count} games', params)
+      : tally.played < games ? t.plural(games, 'Stopped after {played} of {count} game.', 'Stopped after {played} of {count} games.', params)
+      : t.plural(games, 'Played {count} game.', 'Played all {count} games.');
+
+    dom.arenaTable.hidden = tally.played === 0;
+    const body = dom.arenaTable.tBodies[0];
+    body.innerHTML = '';
+    for (const bot of ['a', 'b']) {
+      const row = body.insertRow();
+      [botName(bot, run), tally[bot].win, tally[bot].draw, tally[bot].loss].forEach(value => {
+        row.insertCell().textContent = value;
+      });
+    }
+  }
+
+  /** Fill both bot selectors, keeping what was picked (Hard vs Medium to begin with) */
+  function renderArenaOptions() {
+    fillStrategySelect(dom.arenaA, dom.arenaA.value || 'hard');
+    fillStrategySelect(dom.arenaB, dom.arenaB.value || 'medium');
+  }
+
+  dom.arenaBtn.addEventListener('click', () => {
+    const open = dom.arenaPanel.hidden;
+    dom.arenaPanel.hidden = !open;
+    dom.arenaBtn.setAttribute('aria-expanded', String(open));
+    if (open) dom.arenaA.focus();
+  });
+
+  [dom.arenaA, dom.arenaB].forEach(select => select.addEventListener('focus', () => {
+    if (select.options.length !== allStrategies().length) renderArenaOptions();
+  }));
+
+  dom.arenaStart.addEventListener('click', () => {
+    if (!arena || arena.watch) {
+      startArena();
+      return;
+    }
+    const run = arena;
+    stopArena();
+    renderArenaPanel(run);
+  });
+
+  /* ═══════════════════════════════════════════════════════════
+     SAVE / RESUME / SHARE
+     ═══════════════════════════════════════════════════════════ */
+
+  const SAVE_KEY = storageKey('game');
+
+  /** Persist the local game so a reload picks up where it left off */
+  function saveGame() {
+    if (state.mode !== 'pvp' && state.mode !== 'pvai') return;
+    try {
+      localStorage.setItem(SAVE_KEY, JSON.stringify({
+        mode:      state.mode,
+        variant:   state.variant,
+        rules:     state.rules,
+        size:      state.size,
+        winLength: state.winLength,
+        level:     state.aiLevel,
+        moves:     state.moves,
+        score:     state.score,
+        starter:   state.starter,
+        names:     state.names,
+        bestOf:    state.bestOf,
+        fixture:   state.fixture,
+        clock:     isTimed() ? savedClock() : null,
+      }));
+    } catch (_) { /* Silent fail — storage full or blocked */ }
+  }
+
+  /** The clock settings, time left and any fallen flag, for saveGame() */
+  function savedClock() {
+    const loser = timedOut() ? (state.result.winner === 'X' ? 'O' : 'X') : null;
+    return { control: state.timeControl, X: timeLeft('X'), O: timeLeft('O'), flagged: loser };
+  }
+
+  function clearSavedGame() {
+    localStorage.removeItem(SAVE_KEY);
+  }
+
+  /** The auto-saved game, or null if there is none (or it doesn't parse) */
+  function readSavedGame() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(SAVE_KEY));
+      if (!saved || !['pvp', 'pvai'].includes(saved.mode)) return null;
+      return decodeGame(encodeGame(saved)) && saved; // re-validate the move list
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Rebuild a game from a move list without animating or scoring it again.
+   * Shared links carry no names, match or clock: names come from the mode
+   * selector, and the game is played untimed.
+   * @param {{mode:string, variant?:string, rules?:string, size:number, winLength:number, level?:string, moves:Array,
+   *          score?:object, starter?:string, names?:object, bestOf?:number, fixture?:object, clock?:object}} game
+   */
+  function loadGame(game) {
+    if (findStrategy(game.level)) state.aiLevel = game.level;
+    const saved = game.clock || {};
+    startGame(game.mode, {
+      ...game,
+      starter:     game.moves.length ? game.moves[0].player : game.starter,
+      timeControl: saved.control,
+    });
+
+    state.moves = game.moves.map(move => ({ ...move }));
+    state.board = boardAt(state.moves.length);
+    const last = state.moves[state.moves.length - 1];
+    if (last) state.current = last.player === 'X' ? 'O' : 'X';
+    paintBoard(state.board);
+
+    if (game.score) {
+      state.score = { X: 0, O: 0, draw: 0, ...game.score };
+      refreshScoreboard();
+    }
+
+    if (isTimed()) clock.left = { X: Number(saved.X) || 0, O: Number(saved.O) || 0 };
+
+    const flagged = isTimed() && ['X', 'O'].includes(saved.flagged) ? saved.flagged : null;
+    const result  = flagged ? timeoutResult(flagged) : boardResult(state.board);
+    if (result) {
+      state.gameOver = true;
+      state.result   = result;
+      dom.board.classList.add('locked');
+      showWin(result);
+      updateMatchUI();
+    }
+
+    updateTurnUI();
+    updateHistoryUI();
+    renderClocks();
+    refreshAssist();
+    saveGame();
+  }
+
+  /** Hand the board back to the player whose turn it is (waking the AI if needed) */
+  function resumeTurn() {
+    if (state.gameOver) return;
+    dom.board.classList.remove('locked');
+    startClock();
+    if (isAITurn()) makeAIMove();
+  }
+
+  /** Link to the current game, with its moves in the URL hash */
+  function shareUrl() {
+    const hash = encodeGame({
+      mode:      state.mode === 'online' ? 'pvp' : state.mode,
+      variant:   state.variant,
+      rules:     state.rules,
+      size:      state.size,
+      winLength: state.winLength,
+      level:     state.aiLevel,
+      moves:     state.moves,
+    });
+    const base = page ? `${location.origin}${location.pathname}` : new URL('./', import.meta.url).href;
+    return `${base}#${hash}`;
+  }
+
+  /** Copy the share link, falling back to a prompt where the clipboard is blocked */
+  async function shareGame() {
+    const url = shareUrl();
+    try {
+      await navigator.clipboard.writeText(url);
+      flashButton(dom.shareBtn, t('Copied!'));
+    } catch (_) {
+      prompt(t('Copy this link to share the game:'), url);
+    }
+  }
+
+  /** Swap a button's label briefly for feedback */
+  function flashButton(btn, text) {
+    const label = btn.querySelector('.action-label');
+    const original = label.dataset.label || label.textContent;
+    label.dataset.label = original;
+    label.textContent   = text;
+    clearTimeout(btn.flashTimer);
+    btn.flashTimer = setTimeout(() => { label.textContent = original; }, 1600);
+  }
+
+  /**
+   * Open a game from the URL hash, if there is one. The board stays locked
+   * until the player picks "Keep playing" or "Replay" on the banner.
+   * @returns {boolean} true if a shared game was loaded
+   */
+  function openSharedGame() {
+    const game = decodeGame(location.hash);
+    if (!game) return false;
+
+    // Drop the hash so a reload resumes the saved game instead
+    history.replaceState(null, '', location.pathname + location.search);
+
+    loadGame(game);
+    dom.board.classList.add('locked');
+
+    const rules = state.rules === 'standard' ? '' : ` · ${t(RULE_LABELS[state.rules])}`;
+    dom.shareText.textContent = `${t('Shared game')}${rules} · ${t.plural(game.moves.length, '{count} move', '{count} moves')}`;
+    dom.shareResume.textContent = t(state.gameOver ? 'Close' : 'Keep playing');
+    dom.shareBanner.hidden = false;
+    return true;
+  }
+
+  dom.shareBtn.addEventListener('click', shareGame);
+
+  dom.shareResume.addEventListener('click', () => {
+    dom.shareBanner.hidden = true;
+    resumeTurn();
+  });
+
+  dom.shareReplay.addEventListener('click', () => {
+    dom.shareBanner.hidden = true;
+    startReplay();
+  });
+
+  /* ═══════════════════════════════════════════════════════════
+     ONLINE MULTIPLAYER  (WebSocket relay — server/relay.mjs)
+     ═══════════════════════════════════════════════════════════ */
+
+  /** Connection to the relay and our place in a room */
+  const online = {
+    socket:     null,
+    url:        '',
+    room:       null,     // room code
+    seat:       null,     // 'X' | 'O' | 'spectator'
+    token:      null,     // proves our seat when rejoining
+    presence:   { X: false, O: false, spectators: 0 },
+    leaving:    false,    // closed on purpose — don't reconnect
+    retries:    0,
+    retryTimer: null,
+  };
+
+  /** Relay URL suggested when nothing has been saved yet */
+  function defaultServerUrl() {
+    const secure = location.protocol === 'https:';
+    return `${secure ? 'wss' : 'ws'}://${location.hostname || 'localhost'}:8787`;
+  }
+
+  /**
+   * Open a socket to the relay and send `hello` once it's up.
+   * @param {string} url
+   * @param {object} hello - create / join / rejoin message
+   */
+  function connectOnline(url, hello) {
+    clearTimeout(online.retryTimer);
+    if (online.socket) {
+      online.socket.onclose = null;
+      online.socket.close();
+    }
+
+    let socket;
+    try {
+      socket = new WebSocket(url);
+    } catch (_) {
+      setOnlineStatus(t('Invalid server address'));
+      return;
+    }
+
+    online.url     = url;
+    online.socket  = socket;
+    online.leaving = false;
+
+    socket.onopen    = () => {
+      online.retries = 0;
+      socket.send(JSON.stringify(hello));
+    };
+    socket.onmessage = (e) => {
+      let message;
+      try { message = JSON.parse(e.data); } catch (_) { return; }
+      const handler = Object.hasOwn(onlineHandlers, message.type) && onlineHandlers[message.type];
+      if (handler) handler(message);
+    };
+    socket.onclose   = () => {
+      online.socket = null;
+      if (online.leaving) return;
+      if (!online.room) {
+        setOnlineStatus(t("Can't reach {url}", { url }));
+        return;
+      }
+      scheduleReconnect();
+    };
+  }
+
+  /** Retry with exponential backoff (1s, 2s, 4s … capped at 15s) */
+  function scheduleReconnect() {
+    const delay = Math.min(15000, 1000 * 2 ** online.retries++);
+    setOnlineStatus(t('Connection lost — reconnecting in {n}s…', { n: Math.round(delay / 1000) }));
+    updateOnlineLock();
+
+    online.retryTimer = setTimeout(() => {
+      const hello = online.seat === 'spectator'
+        ? { type: 'join', room: online.room, spectate: true }
+        : { type: 'rejoin', room: online.room, token: online.token };
+      connectOnline(online.url, hello);
+    }, delay);
+  }
+
+  function sendOnline(message) {
+    if (online.socket && online.socket.readyState === WebSocket.OPEN) {
+      online.socket.send(JSON.stringify(message));
+    }
+  }
+
+  /** Leave the room on purpose (back to menu) */
+  function leaveOnline() {
+    clearTimeout(online.retryTimer);
+    if (online.socket) {
+      online.leaving = true;
+      sendOnline({ type: 'leave' });
+      online.socket.close();
+    }
+    online.socket = null;
+    online.room   = null;
+    online.seat   = null;
+    online.token  = null;
+  }
+
+  /** Both players connected and it's our move */
+  function canMoveOnline() {
+    return Boolean(online.socket) && online.seat === state.current
+      && online.presence.X && online.presence.O && !state.gameOver;
+  }
+
+  /** Lock the board whenever we can't move */
+  function updateOnlineLock() {
+    dom.board.classList.toggle('locked', !canMoveOnline());
+  }
+
+  /** Status line in the menu panel and the in-game room badge */
+  function setOnlineStatus(text) {
+    dom.onlineStatus.textContent = text;
+    dom.roomPresence.textContent = text;
+  }
+
+  /** Describe who is connected, from our seat's point of view */
+  function describePresence() {
+    const { presence, seat } = online;
+    const watchers = presence.spectators ? ` · ${t('{n} watching', { n: presence.spectators })}` : '';
+
+    if (seat === 'spectator') {
+      return `${t('Spectating')}${watchers}`;
+    }
+    const opponent = seat === 'X' ? 'O' : 'X';
+    if (!presence[opponent]) return `${t('Waiting for opponent…')}${watchers}`;
+    return `${t('You are {seat}', { seat })}${watchers}`;
+  }
+
+  /** Message handlers, keyed by relay message type */
+  const onlineHandlers = {
+    joined({ room, seat, token, game }) {
+      const rejoining = online.room === room;
+      online.room  = room;
+      online.seat  = seat;
+      online.token = token;
+
+      if (!rejoining) startGame('online', game);
+      syncOnlineGame(game);
+
+      const you = seat === 'spectator' ? null : seat;
+      dom.nameX.textContent = t(you === 'X' ? 'You' : you ? 'Opponent' : 'Player X');
+      dom.nameO.textContent = t(you === 'O' ? 'You' : you ? 'Opponent' : 'Player O');
+      dom.roomCode.textContent = room;
+      localStorage.setItem(storageKey('server'), online.url);
+    },
+
+    move({ index, player }) {
+      if (state.board[index] !== null) return; // already applied
+      state.current = player;
+      placeMove(index, player);
+      advanceTurn();
+    },
+
+    restart({ game }) {
+      resetRound();
+      syncOnlineGame(game);
+    },
+
+    presence({ X, O, spectators }) {
+      online.presence = { X, O, spectators };
+      setOnlineStatus(describePresence());
+      updateOnlineLock();
+    },
+
+    error({ message }) {
+      setOnlineStatus(message);
+    },
+  };
+
+  /**
+   * Rebuild the local game from a relay snapshot (on join, rejoin or restart).
+   * @param {{size:number, winLength:number, moves:Array, current:string, result:object, score:object}} game
+   */
+  function syncOnlineGame(game) {
+    cancelAIMove();
+    stopReplay();
+    closeModal();
+    configureBoard(game.size, game.winLength);
+
+    state.board    = emptyBoard();
+    state.moves    = game.moves.map(m => ({ ...m }));
+    state.moves.forEach(m => { state.board[m.index] = m.player; });
+    state.redo     = [];
+    state.current  = game.current;
+    state.starter  = state.moves.length ? state.moves[0].player : game.current;
+    state.result   = game.result;
+    state.gameOver = Boolean(game.result);
+    state.score    = { ...game.score };
+
+    resetWinLine();
+    buildBoard();
+    paintBoard(state.board);
+    if (game.result) showWin(game.result);
+
+    refreshScoreboard();
+    updateTurnUI();
+    updateHistoryUI();
+    updateOnlineLock();
+  }
+
+  /** Room code as typed, or complain */
+  function readRoomCode() {
+    const code = dom.roomInput.value.trim().toUpperCase();
+    if (!code) setOnlineStatus(t('Enter a room code'));
+    return code;
+  }
+
+  dom.onlineBtn.addEventListener('click', () => {
+    const open = dom.onlinePanel.hidden;
+    dom.onlinePanel.hidden = !open;
+    dom.onlineBtn.setAttribute('aria-expanded', String(open));
+    if (open) dom.serverInput.focus();
+  });
+
+  dom.createRoomBtn.addEventListener('click', () => {
+    setOnlineStatus(t('Connecting…'));
+    connectOnline(dom.serverInput.value.trim(), { type: 'create', ...boardOptions() });
+  });
+
+  dom.joinRoomBtn.addEventListener('click', () => {
+    const room = readRoomCode();
+    if (!room) return;
+    setOnlineStatus(t('Connecting…'));
+    connectOnline(dom.serverInput.value.trim(), { type: 'join', room });
+  });
+
+  dom.watchRoomBtn.addEventListener('click', () => {
+    const room = readRoomCode();
+    if (!room) return;
+    setOnlineStatus(t('Connecting…'));
+    connectOnline(dom.serverInput.value.trim(), { type: 'join', room, spectate: true });
+  });
+
+  /* ═══════════════════════════════════════════════════════════
+     STATISTICS  (IndexedDB)
+     ═══════════════════════════════════════════════════════════ */
+
+  const DB_NAME    = storage; // one database per game, like its localStorage keys
+  const DB_VERSION = 2;
+  const GAMES      = 'games';   // object store of finished-game records
+  const LEARNER    = 'learner'; // object store of learned models, by id
+
+  /** Display names for the stats buckets other than PvAI's, which go by the AI's strategy */
+  const MODE_LABELS = { pvp: 'PvP', online: 'Online' };
+
+  /** Display name of a stats bucket (mode, plus the AI's strategy id for PvAI) */
+  function modeLabel(mode) {
+    if (mode.startsWith('pvai:')) return t('AI · {level}', { level: strategyLabel(mode.slice(5)) });
+    return Object.hasOwn(MODE_LABELS, mode) ? t(MODE_LABELS[mode]) : mode;
+  }
+
+  /** Name the local human is recorded under when the pills don't say (online): their X name */
+  const localPlayer = () => dom.nameInputX.value.trim() || DEFAULT_NAMES.X;
+
+  let dbPromise = null;
+
+  /** Lazily open the database (rejects if IndexedDB is unavailable) */
+  function openDB() {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+          const db = req.result;
+          if (!db.objectStoreNames.contains(GAMES)) db.createObjectStore(GAMES, { keyPath: 'id', autoIncrement: true });
+          if (!db.objectStoreNames.contains(LEARNER)) db.createObjectStore(LEARNER, { keyPath: 'id' });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror   = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  }
+
+  /**
+   * Run one request against an object store.
+   * @param {string} name - GAMES or LEARNER
+   * @param {'readonly'|'readwrite'} mode
+   * @param {(store: IDBObjectStore) => IDBRequest} fn
+   * @returns {Promise<any>}
+   */
+  async function withStore(name, mode, fn) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const req = fn(db.transaction(name, mode).objectStore(name));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror   = () => reject(req.error);
+    });
+  }
+
+  const withGames = (mode, fn) => withStore(GAMES, mode, fn);
+
+  const saveGameRecord   = record => withGames('readwrite', store => store.add(record));
+  const loadGameRecords  = ()     => withGames('readonly',  store => store.getAll());
+  const deleteGameRecord = id     => withGames('readwrite', store => store.delete(id));
+  const clearGameRecords = ()     => withGames('readwrite', store => store.clear());
+
+  /**
+   * Store a finished game. Spectators and the arena don't record anything.
+   * @param {{winner:string}} result
+   * @returns {Promise<number|null>} record id, or null when nothing was stored
+   */
+  async function recordGame(result) {
+    if (state.mode === 'aivai') return null;
+    if (state.mode === 'online' && !['X', 'O'].includes(online.seat)) return null;
+
+    const humans = state.mode === 'pvp' ? ['X', 'O']
+      : state.mode === 'pvai' ? ['X']
+      : [online.seat];
+    const names = {
+      X: state.mode === 'online' ? (online.seat === 'X' ? localPlayer() : OPPONENT_NAME) : state.names.X,
+      O: state.mode === 'online' ? (online.seat === 'O' ? localPlayer() : OPPONENT_NAME) : state.names.O,
+    };
+
+    try {
+      return await saveGameRecord({
+        date:      Date.now(),
+        mode:      state.mode === 'pvai' ? `pvai:${state.aiLevel}` : state.mode,
+        variant:   state.variant,
+        rules:     state.rules,
+        size:      state.size,
+        rows:      state.variant === 'gravity' ? gravityRows(state.size) : state.size,
+        winLength: state.winLength,
+        players:   names,
+        humans,
+        winner:    result.winner,
+        moves:     state.moves.map(m => m.index),
+        first:     state.moves.length ? state.moves[0].player : null,
+      });
+    } catch (_) {
+      return null; // Silent fail — stats are optional
+    }
+  }
+
+  /**
+   * Summarise every game a player took part in.
+   * @param {object[]} records
+   * @param {string} name
+   */
+  function computeStats(records, name) {
+    const games = records
+      .filter(r => r.humans.some(side => r.players[side] === name))
+      .sort((a, b) => a.date - b.date);
+
+    const byMode   = {};
+    const openings = {};
+    let wins = 0, losses = 0, draws = 0, totalMoves = 0;
+    let bestStreak = 0, streak = { outcome: null, length: 0 };
+
+    for (const game of games) {
+      const side    = game.humans.find(s => game.players[s] === name);
+      const outcome = game.winner === 'draw' ? 'draw' : game.winner === side ? 'win' : 'loss';
+
+      const bucket = byMode[game.mode] || (byMode[game.mode] = { win: 0, loss: 0, draw: 0 });
+      bucket[outcome]++;
+      if (outcome === 'win') wins++;
+      else if (outcome === 'loss') losses++;
+      else draws++;
+
+      totalMoves += game.moves.length;
+
+      streak = streak.outcome === outcome
+        ? { outcome, length: streak.length + 1 }
+        : { outcome, length: 1 };
+      if (outcome === 'win') bestStreak = Math.max(bestStreak, streak.length);
+
+      // The opening cell only counts when this player made the first move
+      if (game.first === side && game.moves.length) {
+        const variant = game.variant || 'classic';
+        const rows    = game.rows || (variant === 'gravity' ? gravityRows(game.size) : game.size);
+        const key     = `${variant}:${game.size}:${rows}:${game.moves[0]}`;
+        const entry   = openings[key] || (openings[key] = { variant, size: game.size, rows, index: game.moves[0], count: 0 });
+        entry.count++;
+      }
+    }
+
+    const [opening = null] = Object.values(openings).sort((a, b) => b.count - a.count);
+
+    return {
+      games:      games.length,
+      wins, losses, draws,
+      byMode,
+      streak,
+      bestStreak,
+      avgLength:  games.length ? totalMoves / games.length : 0,
+      opening,
+    };
+  }
+
+  /** Every player name that has at least one recorded game */
+  function playerNames(records) {
+    const names = new Set();
+    records.forEach(r => r.humans.forEach(side => names.add(r.players[side])));
+    return [...names].sort();
+  }
+
+  /** Show the stats screen for the selected (or first) player */
+  async function showStats() {
+    dom.modeSelector.hidden = true;
+    dom.statsScreen.hidden  = false;
+
+    let records = [];
+    try { records = await loadGameRecords(); } catch (_) { /* no IndexedDB — show empty */ }
+
+    const names    = playerNames(records);
+    const selected = names.includes(dom.statsPlayer.value) ? dom.statsPlayer.value : names[0];
+
+    dom.statsPlayer.innerHTML = '';
+    names.forEach(name => {
+      const opt = document.createElement('option');
+      opt.value       = name;
+      opt.textContent = displayName(name);
+      opt.selected    = name === selected;
+      dom.statsPlayer.appendChild(opt);
+    });
+
+    dom.statsEmpty.hidden  = names.length > 0;
+    dom.statsTiles.hidden  = names.length === 0;
+    dom.statsTable.hidden  = names.length === 0;
+    dom.statsPlayer.disabled = names.length === 0;
+    if (names.length) renderStats(computeStats(records, selected));
+    renderLearner();
+  }
+
+  function hideStats() {
+    dom.statsScreen.hidden  = true;
+    dom.modeSelector.hidden = false;
+  }
+
+  /**
+   * Where an opening was played: "R2 C2 · 3×3", in Ultimate "Board 5, R2 C2 · Ultimate",
+   * on a cube "Layer 2, R2 C2 · 3×3×3", and by the column dropped into on a gravity board
+   */
+  function openingLabel({ variant, size, rows, index }) {
+    if (variant === 'ultimate') {
+      const c = index % 9;
+      const cell = t('R{row} C{col}', { row: Math.floor(c / 3) + 1, col: c % 3 + 1 });
+      return `${t('Board {n}', { n: Math.floor(index / 9) + 1 })}, ${cell} · ${t('Ultimate')}`;
+    }
+    if (variant === 'cube') {
+      const c = index % (size * size);
+      const cell = t('R{row} C{col}', { row: Math.floor(c / size) + 1, col: c % size + 1 });
+      return `${t('Layer {n}', { n: Math.floor(index / (size * size)) + 1 })}, ${cell} · ${size}×${size}×${size}`;
+    }
+    if (variant === 'gravity') {
+      return `${t('Column {n}', { n: index % size + 1 })} · ${t('{cols}×{rows} gravity', { cols: size, rows })}`;
+    }
+    return `${t('R{row} C{col}', { row: Math.floor(index / size) + 1, col: index % size + 1 })} · ${size}×${size}`;
+  }
+
+  /** Fill the summary tiles and per-mode table */
+  function renderStats(stats) {
+    const pct     = n => stats.games ? `${Math.round(n / stats.games * 100)}%` : '—';
+    const streak  = stats.streak.outcome
+      ? `${stats.streak.length} ${t({ win: 'W', loss: 'L', draw: 'D' }[stats.streak.outcome])}`
+      : '—';
+    const opening = stats.opening ? openingLabel(stats.opening) : '—';
+
+    const tiles = [
+      ['Games',        stats.games],
+      ['Wins',         stats.wins],
+      ['Losses',       stats.losses],
+      ['Draws',        stats.draws],
+      ['Win rate',     pct(stats.wins)],
+      ['Streak',       streak],
+      ['Best streak',  stats.bestStreak],
+      ['Avg length',   t('{n} moves', { n: stats.avgLength.toFixed(1) })],
+      ['Top opening',  opening],
+    ];
+
+    dom.statsTiles.innerHTML = '';
+    for (const [label, value] of tiles) {
+      const tile = document.createElement('div');
+      tile.className = 'stat-tile';
+      tile.innerHTML = '<span class="stat-value"></span><span class="stat-label"></span>';
+      tile.firstChild.textContent = value;
+      tile.lastChild.textContent  = t(label);
+      dom.statsTiles.appendChild(tile);
+    }
+
+    const body = dom.statsTable.tBodies[0];
+    body.innerHTML = '';
+    const order = [...Object.keys(MODE_LABELS), ...allStrategies().map(strategy => `pvai:${strategy.id}`)];
+    const rank  = mode => (order.includes(mode) ? order.indexOf(mode) : order.length);
+    for (const mode of Object.keys(stats.byMode).sort((a, b) => rank(a) - rank(b))) {
+      const bucket = stats.byMode[mode];
+      const row = body.insertRow();
+      [modeLabel(mode), bucket.win, bucket.loss, bucket.draw].forEach(value => {
+        row.insertCell().textContent = value;
+      });
+    }
+  }
+
+  /** Download every record plus the current player's summary as JSON */
+  async function exportStats() {
+    let records = [];
+    try { records = await loadGameRecords(); } catch (_) { return; }
+
+    const data = {
+      app:      'nexus-tic-tac-toe',
+      exported: new Date().toISOString(),
+      players:  Object.fromEntries(playerNames(records).map(name => [name, computeStats(records, name)])),
+      games:    records,
+    };
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    downloadFile(blob, `nexus-stats-${new Date().toISOString().slice(0, 10)}.json`);
+  }
+
+  async function resetStats() {
+    if (!confirm(t('Delete all recorded games? This cannot be undone.'))) return;
+    try { await clearGameRecords(); } catch (_) { /* nothing to clear */ }
+    showStats();
+  }
+
+  dom.statsBtn.addEventListener('click', showStats);
+  dom.statsBack.addEventListener('click', hideStats);
+  dom.statsExport.addEventListener('click', exportStats);
+  dom.statsReset.addEventListener('click', resetStats);
+  dom.statsPlayer.addEventListener('change', showStats);
+
+  /* ═══════════════════════════════════════════════════════════
+     LEARNING AI  (MENACE — learner.js, kept in IndexedDB)
+     ═══════════════════════════════════════════════════════════ */
+
+  const MENACE_ID = 'menace';
+
+  /** This game's matchboxes — a fresh set until the stored one loads */
+  let menace = createMenace();
+
+  for (const [id, level] of Object.entries(AI_LEVELS)) {
+    if (level.learns) registerStrategy(learningStrategy(id, () => menace), ownStrategies);
+  }
+
+  /** Games per point on the win-rate chart */
+  const CHART_WINDOW = 20;
+
+
+  /** Replace the fresh model with the stored one, unless it has already played */
+  async function loadMenace() {
+    try {
+      const saved = await withStore(LEARNER, 'readonly', store => store.get(MENACE_ID));
+      if (saved && !menace.games && !menace.trained) {
+        const { id, ...model } = saved;
+        menace = { ...createMenace(), ...model };
+      }
+    } catch (_) { /* no IndexedDB — it learns for this visit only */ }
+  }
+
+  function saveMenace() {
+    withStore(LEARNER, 'readwrite', store => store.put({ id: MENACE_ID, ...menace }))
+      .catch(() => { /* Silent fail — it learns for this visit only */ });
+  }
+
+  /** Teach it the game just played (it is always O) */
+  function learnFrom(result) {
+    learnFromGame(menace, state.moves, 'O', result.winner);
+    saveMenace();
+  }
+
+  /** Its record so far and the win-rate chart, on the stats screen */
+  function renderLearner() {
+    const rates   = winRates(menace, CHART_WINDOW);
+    const latest  = rates.length ? `${Math.round(rates[rates.length - 1] * 100)}%` : '—';
+    const learned = Object.keys(menace.boxes).length;
+
+    dom.learnerInfo.textContent = t('{games} against you, win rate {latest} over the last {n}. {trained}, {learned} learned.', {
+      games:   t.plural(menace.games, '{count} game', '{count} games'),
+      latest,
+      n:       CHART_WINDOW,
+      trained: t.plural(menace.trained, '{count} self-play game', '{count} self-play games'),
+      learned: t.plural(learned, '{count} position', '{count} positions'),
+    });
+    dom.learnerLine.setAttribute('points', rates.length < 2 ? '' : rates
+      .map((rate, i) => `${(i / (rates.length - 1) * 300).toFixed(1)},${(100 - rate * 100).toFixed(1)}`)
+      .join(' '));
+    dom.learnerChart.setAttribute('aria-label', rates.length
+      ? t('Win rate over its last {n} games against you, now {latest}', { n: rates.length, latest })
+      : t('Win rate chart — play it on a 3×3 standard board to start one'));
+  }
+
+  /** Self-play a batch of games, then save */
+  function trainLearner() {
+    selfPlay(menace, TRAINING_GAMES);
+    saveMenace();
+    renderLearner();
+  }
+
+  /** Wipe what it has learned (asking first) */
+  function forgetLearner() {
+    if (!confirm(t('Forget everything the learning AI has learned?'))) return;
+    menace = createMenace();
+    saveMenace();
+    renderLearner();
+  }
+
+  dom.learnerTrain.addEventListener('click', trainLearner);
+  dom.learnerForget.addEventListener('click', forgetLearner);
+
+  /* ═══════════════════════════════════════════════════════════
+     3D TILT & TABLETOP  (mouse, touch drag, device orientation)
+     ═══════════════════════════════════════════════════════════ */
+
+  /** Furthest the board leans, in degrees */
+  const MAX_TILT = 6;
+
+  /** Degrees the device turns (from how it was held at the start) for a full lean */
+  const ORIENTATION_RANGE = 25;
+
+  /** A finger or pen is on the board; its drag wins over the device's tilt */
+  let dragging = false;
+
+  /** Device attitude ({ beta, gamma }) taken as level, from the first reading of a game */
+  let orientationBase = null;
+
+  /**
+   * Lean the board towards a point.
+   * @param {number} dx - -1 (left) … 1 (right); clamped
+   * @param {number} dy - -1 (top) … 1 (bottom); clamped
+   */
+  function tiltBoard(dx, dy) {
+    if (state.motion === 'reduced') return;
+    const clamp = v => Math.max(-1, Math.min(1, v));
+    dom.board.style.transform = `rotateX(${clamp(dy) * -MAX_TILT}deg) rotateY(${clamp(dx) * MAX_TILT}deg)`;
+  }
+
+  function resetTilt() {
+    dragging = false;
+    dom.board.style.transform = 'rotateX(0deg) rotateY(0deg)';
+  }
+
+  /** Phones and tablets: lean with the device (its tilt since the game started) */
+  function onOrientation(e) {
+    if (dragging || dom.gameArena.hidden || e.beta === null || e.gamma === null) return;
+    if (!orientationBase) orientationBase = { beta: e.beta, gamma: e.gamma };
+    tiltBoard((e.gamma - orientationBase.gamma) / ORIENTATION_RANGE, (e.beta - orientationBase.beta) / ORIENTATION_RANGE);
+  }
+
+  /** iOS only reports orientation once asked, from a tap; elsewhere it just flows */
+  let orientationAsked = false;
+  function requestOrientation() {
+    const Orientation = window.DeviceOrientationEvent;
+    if (orientationAsked || !Orientation || typeof Orientation.requestPermission !== 'function') return;
+    orientationAsked = true;
+    Orientation.requestPermission()
+      .then(answer => { if (answer === 'granted') listen(window, 'deviceorientation', onOrientation); })
+      .catch(() => { /* declined — touch and mouse still tilt */ });
+  }
+
+  if (window.DeviceOrientationEvent && typeof DeviceOrientationEvent.requestPermission !== 'function') {
+    listen(window, 'deviceorientation', onOrientation);
+  }
+
+  dom.boardWrapper.addEventListener('pointerdown', (e) => {
+    if (e.pointerType !== 'mouse') dragging = true;
+    requestOrientation();
+  });
+
+  // The mouse leans the board as it hovers; touch and pen as they drag
+  dom.boardWrapper.addEventListener('pointermove', (e) => {
+    if (e.pointerType !== 'mouse' && !dragging) return;
+    const rect = dom.boardWrapper.getBoundingClientRect();
+    const dx   = (e.clientX - (rect.left + rect.width  / 2)) / (rect.width  / 2);
+    const dy   = (e.clientY - (rect.top  + rect.height / 2)) / (rect.height / 2);
+    tiltBoard(dx, dy);
+  });
+
+  // A finger lifting (touch pointers leave on lift) or the mouse moving off
+  dom.boardWrapper.addEventListener('pointerleave', resetTilt);
+  dom.boardWrapper.addEventListener('pointercancel', resetTilt);
+
+  /** Tabletop layout: only in a local two-player game, and only when chosen */
+  function applyTabletop() {
+    themeRoot.toggleAttribute('data-tabletop', state.tabletop && state.mode === 'pvp' && !dom.gameArena.hidden);
+  }
+
+  dom.tabletopCheck.addEventListener('change', () => {
+    state.tabletop = dom.tabletopCheck.checked;
+    localStorage.setItem(storageKey('tabletop'), state.tabletop);
+    applyTabletop();
+  });
+
+  /* ═══════════════════════════════════════════════════════════
+     HEADER PANELS  (theme and sound drop-downs)
+     ═══════════════════════════════════════════════════════════ */
+
+  /** Each header panel with the button that opens it */
+  const headerPanels = () => [[dom.themePanel, dom.themeBtn], [dom.soundPanel, dom.soundBtn]];
+
+  /** Open or close a header panel; opening one closes the other */
+  function setHeaderPanel(panel, open) {
+    for (const [other, btn] of headerPanels()) {
+      const shown = other === panel ? open : !other.hidden && !open;
+      other.hidden = !shown;
+      btn.setAttribute('aria-expanded', String(shown));
+    }
+  }
+
+  // Escape, or a click anywhere else, closes the open panel
+  listen(document, 'keydown', (e) => {
+    if (e.key !== 'Escape' || !ownsKey(e)) return;
+    const open = headerPanels().find(([panel]) => !panel.hidden);
+    if (!open) return;
+    setHeaderPanel(open[0], false);
+    open[1].focus();
+  });
+  listen(document, 'click', (e) => {
+    for (const [panel, btn] of headerPanels()) {
+      if (!panel.hidden && !panel.contains(e.target) && !btn.contains(e.target)) setHeaderPanel(panel, false);
+    }
+  });
+
+  /* ═══════════════════════════════════════════════════════════
+     THEMES & SKINS  (palettes and marks — see themes.js)
+     ═══════════════════════════════════════════════════════════ */
+  const PALETTE_KEY = storageKey('palette');
+  const SKIN_KEY    = storageKey('skin');
+
+  /** The player's own palette, once they have edited or imported one: { name, colors } */
+  let customPalette = null;
+
+  /** CSS variables the current theme set inline on themeRoot, cleared by the next */
+  let themeVars = [];
+
+  /** Put state.theme and state.skin on the page */
+  function applyTheme() {
+    const custom = state.theme === 'custom';
+    const base   = custom ? (isLight(customPalette.colors.bg) ? 'light' : 'dark') : PALETTES[state.theme].base;
+    themeRoot.setAttribute('data-theme', base);
+    themeRoot.setAttribute('data-palette', state.theme);
+
+    for (const name of themeVars) themeRoot.style.removeProperty(name);
+    const vars = { ...(custom ? customVars(customPalette.colors) : {}), ...skinVars(state.skin) };
+    for (const [name, value] of Object.entries(vars)) themeRoot.style.setProperty(name, value);
+    themeVars = Object.keys(vars);
+
+    updateThemeColor();
+  }
+
+  /** Tint the browser (or installed app) title bar to match the page — when the game is the page */
+  function updateThemeColor() {
+    const meta  = page && document.querySelector('meta[name="theme-color"]');
+    const color = getComputedStyle(themeRoot).getPropertyValue('--bg').trim();
+    if (meta && color) meta.setAttribute('content', color);
+  }
+
+  /** The five editable colours of the palette on screen, as "#rrggbb" */
+  function currentColors() {
+    if (state.theme === 'custom') return { ...customPalette.colors };
+    const style = getComputedStyle(themeRoot);
+    return Object.fromEntries(Object.entries(PALETTE_COLORS).map(([key, name]) => {
+      const value = style.getPropertyValue(name).trim().toLowerCase();
+      return [key, /^#[0-9a-f]{6}$/.test(value) ? value : '#000000'];
+    }));
+  }
+
+  /** How a mark looks in the current skin (numbers are left alone) */
+  function skinMark(mark) {
+    return mark === 'X' || mark === 'O' ? SKINS[state.skin][mark] : String(mark);
+  }
+
+  function fillSelect(select, options, selected) {
+    select.innerHTML = '';
+    for (const [value, label] of options) {
+      const opt = document.createElement('option');
+      opt.value       = value;
+      opt.textContent = label;
+      opt.selected    = value === selected;
+      select.appendChild(opt);
+    }
+  }
+
+  /** Sync the theme panel's selects and colour inputs with the current theme */
+  function renderThemePanel() {
+    const palettes = Object.entries(PALETTES).map(([id, palette]) => [id, t(palette.label)]);
+    if (customPalette) palettes.push(['custom', customPalette.name]);
+    fillSelect(dom.paletteSelect, palettes, state.theme);
+    fillSelect(dom.skinSelect, Object.entries(SKINS).map(([id, skin]) => [id, `${t(skin.label)}  ${skin.X} ${skin.O}`]), state.skin);
+
+    const colors = currentColors();
+    for (const input of dom.paletteEditor.querySelectorAll('input[data-color]')) input.value = colors[input.dataset.color];
+  }
+
+  function toggleThemePanel(open = dom.themePanel.hidden) {
+    setHeaderPanel(dom.themePanel, open);
+    if (open) {
+      dom.themeStatus.textContent = '';
+      renderThemePanel();
+      dom.paletteSelect.focus();
+    }
+  }
+
+  /** Switch palette (a key of PALETTES, or 'custom') and remember it */
+  function setPalette(id) {
+    state.theme = id;
+    localStorage.setItem(storageKey('theme'), id);
+    applyTheme();
+    renderThemePanel();
+  }
+
+  function setSkin(id) {
+    state.skin = id;
+    localStorage.setItem(SKIN_KEY, id);
+    applyTheme();
+    renderMarkPicker();
+  }
+
+  /** Keep the custom palette, then show it */
+  function saveCustomPalette(palette) {
+    customPalette = palette;
+    try {
+      localStorage.setItem(PALETTE_KEY, exportTheme({ ...palette, skin: state.skin }));
+    } catch (_) { /* Silent fail — the palette lasts until reload */ }
+    setPalette('custom');
+  }
+
+  /** A colour input changed: the palette on screen, with that colour, becomes the custom one */
+  function editColor(input) {
+    const name = state.theme === 'custom' ? customPalette.name : t('Custom');
+    saveCustomPalette({ name, colors: { ...currentColors(), [input.dataset.color]: input.value.toLowerCase() } });
+  }
+
+  function exportCurrentTheme() {
+    const name = state.theme === 'custom' ? customPalette.name : PALETTES[state.theme].label;
+    const blob = new Blob([exportTheme({ name, colors: currentColors(), skin: state.skin })], { type: 'application/json' });
+    downloadFile(blob, `nexus-theme-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'custom'}.json`);
+  }
+
+  async function importTheme(file) {
+    try {
+      const { name, colors, skin } = parseTheme(await file.text());
+      setSkin(skin);
+      saveCustomPalette({ name, colors });
+      dom.themeStatus.textContent = t('Loaded "{name}".', { name });
+    } catch (err) {
+      dom.themeStatus.textContent = err instanceof RangeError ? t(err.text, err.params) : t("That file isn't a NEXUS theme.");
+    }
+  }
+
+  dom.themeBtn.addEventListener('click', () => toggleThemePanel());
+  dom.paletteSelect.addEventListener('change', () => setPalette(dom.paletteSelect.value));
+  dom.skinSelect.addEventListener('change', () => setSkin(dom.skinSelect.value));
+  dom.paletteEditor.addEventListener('change', (e) => {
+    if (e.target.dataset.color) editColor(e.target);
+  });
+  dom.themeExport.addEventListener('click', exportCurrentTheme);
+  dom.themeImport.addEventListener('click', () => dom.themeFile.click());
+  dom.themeFile.addEventListener('change', () => {
+    const file = dom.themeFile.files[0];
+    dom.themeFile.value = '';
+    if (file) importTheme(file);
+  });
+
+  /* ═══════════════════════════════════════════════════════════
+     LANGUAGE  (locale bundles and writing direction — see i18n.js)
+     ═══════════════════════════════════════════════════════════ */
+  const LOCALE_KEY = storageKey('locale');
+
+  /** Counts setLocale() calls, so a slow bundle can't land over a later choice */
+  let localeRequest = 0;
+
+  /** A language's translations, from locales/<id>.json next to this module (English has none) */
+  async function loadBundle(id) {
+    if (id === DEFAULT_LOCALE) return {};
+    const response = await fetch(new URL(`locales/${id}.json`, import.meta.url));
+    if (!response.ok) throw new Error(`No bundle for "${id}" (${response.status})`);
+    return response.json();
+  }
+
+  /**
+   * Switch the game to a language: its text, and the direction the page
+   * reads in. Falls back to English if the bundle can't be fetched.
+   * @param {string} id - a key of LOCALES
+   */
+  async function setLocale(id) {
+    const request = ++localeRequest;
+    let bundle = {};
+    try {
+      bundle = await loadBundle(id);
+    } catch (_) {
+      id = DEFAULT_LOCALE; // offline before this language was ever cached
+    }
+    if (request !== localeRequest) return;
+
+    t = createTranslator(id, bundle);
+    themeRoot.setAttribute('lang', id);
+    themeRoot.setAttribute('dir', t.dir);
+    dom.langSelect.value = id;
+    retranslate();
+    events.emit('locale', { locale: id, dir: t.dir, t });
+  }
+
+  /** Everything on screen that the game wrote in words, again in the new language */
+  function retranslate() {
+    translateMarkup(markupText, t);
+    renderWinLenOptions(Number(dom.winLenSelect.value));
+    updateVariantOptions();
+    renderLevelOptions();
+    renderArenaOptions();
+    renderClockOptions(dom.clockSelect.value);
+    syncExportButtons();
+    labelTourney();
+
+    if (!dom.tourneyScreen.hidden) showTournament({ focus: false });
+    if (!dom.statsScreen.hidden) showStats();
+    if (arena && !arena.watch) renderArenaPanel(arena);
+    if (!dom.themePanel.hidden) renderThemePanel();
+    if (!dom.soundPanel.hidden) renderSoundPanel();
+    if (dom.gameArena.hidden) return;
+
+    // Default names and the AI's on the pills follow the language; names the players typed stay
+    if (state.mode === 'pvp' || state.mode === 'pvai') renderNames();
+
+    dom.turnLabel.textContent = t("{player}'s Turn", { player: state.current });
+    renderMarkPicker();
+    updateMatchUI();
+    updateRulesUI();
+    if (replay.active) {
+      replayTo(replay.step);
+    } else {
+      labelBoard();
+      paintReview(state.moves.length);
+    }
+  }
+
+  dom.langSelect.addEventListener('change', () => {
+    localStorage.setItem(LOCALE_KEY, dom.langSelect.value);
+    setLocale(dom.langSelect.value);
+  });
+
+  /* ═══════════════════════════════════════════════════════════
+     SOUND PANEL  (on / off, volumes, sound pack)
+     ═══════════════════════════════════════════════════════════ */
+  function toggleSoundPanel(open = dom.soundPanel.hidden) {
+    setHeaderPanel(dom.soundPanel, open);
+    if (open) {
+      renderSoundPanel();
+      dom.soundEnabled.focus();
+    }
+  }
+
+  /** Sync the panel's controls with the audio settings */
+  function renderSoundPanel() {
+    const settings = audio.settings();
+    dom.soundEnabled.checked = state.sound;
+    for (const input of dom.soundPanel.querySelectorAll('[data-volume]')) {
+      input.value    = settings[input.dataset.volume];
+      input.disabled = !state.sound;
+    }
+    fillSelect(dom.soundPack, Object.entries(SOUND_PACKS).map(([id, pack]) => [id, t(pack.label)]), settings.pack);
+    dom.soundPack.disabled = !state.sound;
+    dom.hapticsCheck.checked = state.haptics;
+    dom.hapticsField.hidden  = !canVibrate();
+  }
+
+  /** Apply audio settings and remember them (on / off keeps its own key) */
+  function setAudio(changes) {
+    const { master, sfx, music, pack } = audio.update(changes);
+    localStorage.setItem(AUDIO_KEY, JSON.stringify({ master, sfx, music, pack }));
+    audio.unlock();
+    updateSoundIcon();
+  }
+
+  function toggleSound(on = !state.sound) {
+    state.sound = on;
+    localStorage.setItem(storageKey('sound'), state.sound);
+    setAudio({ enabled: on });
+    renderSoundPanel();
+  }
+
+  dom.soundBtn.addEventListener('click', () => toggleSoundPanel());
+  dom.soundEnabled.addEventListener('change', () => toggleSound(dom.soundEnabled.checked));
+  dom.soundPanel.addEventListener('input', (e) => {
+    if (e.target.dataset.volume) setAudio({ [e.target.dataset.volume]: Number(e.target.value) });
+  });
+  // Let go of the effects slider (or pick a pack) to hear what it sounds like now
+  dom.soundPanel.addEventListener('change', (e) => {
+    if (e.target.dataset.volume === 'sfx' || e.target.dataset.volume === 'master') playSound('click');
+  });
+  dom.soundPack.addEventListener('change', () => {
+    setAudio({ pack: dom.soundPack.value });
+    playSound('win');
+  });
+  dom.hapticsCheck.addEventListener('change', () => {
+    state.haptics = dom.hapticsCheck.checked;
+    localStorage.setItem(storageKey('haptics'), state.haptics);
+    vibrate('move');
+  });
+
+  // Browsers only start audio from a click or key press: take the first one
+  ['pointerdown', 'keydown'].forEach(type => listen(document, type, () => audio.unlock()));
+
+  /** Speaker icon: crossed out when sound is off or the master volume is down */
+  function updateSoundIcon() {
+    const svg = dom.soundSvg;
+    if (state.sound && audio.settings().master > 0) {
+      svg.innerHTML = `
+        <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon>
+        <path d="M15.54 8.46a5 5 0 0 1 0 7.07"></path>
+        <path d="M19.07 4.93a10 10 0 0 1 0 14.14"></path>`;
+      dom.soundBtn.style.opacity = '1';
+    } else {
+      svg.innerHTML = `
+        <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon>
+        <line x1="23" y1="9" x2="17" y2="15"></line>
+        <line x1="17" y1="9" x2="23" y2="15"></line>`;
+      dom.soundBtn.style.opacity = '0.5';
+    }
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     REDUCED MOTION
+     ═══════════════════════════════════════════════════════════ */
+  function toggleMotion() {
+    state.motion = state.motion === 'reduced' ? 'full' : 'reduced';
+    localStorage.setItem(storageKey('motion'), state.motion);
+    applyMotion();
+  }
+
+  /** Reflect the motion setting on the theme root (CSS stills animations) and the toggle */
+  function applyMotion() {
+    const reduced = state.motion === 'reduced';
+    themeRoot.setAttribute('data-motion', state.motion);
+    dom.motionBtn.setAttribute('aria-pressed', String(reduced));
+    dom.motionBtn.style.opacity = reduced ? '1' : '0.5';
+    if (reduced) dom.board.style.transform = '';
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     ANNOUNCEMENTS  (screen-reader live region)
+     ═══════════════════════════════════════════════════════════ */
+
+  /** Messages queued this tick — read out together so none is cut off */
+  const announcements = [];
+  let announceTimer = null;
+
+  /**
+   * Say something through the live region. Messages from the same tick
+   * (a move and the win it makes) are joined into one announcement.
+   * @param {string} message
+   */
+  function announce(message) {
+    announcements.push(message);
+    dom.announcer.textContent = '';
+    clearTimeout(announceTimer);
+    announceTimer = setTimeout(() => {
+      dom.announcer.textContent = announcements.splice(0).join(' ');
+    }, 60);
+  }
+
+  /** Display name for a side: "Player 1", "AI · Hard", … */
+  function playerName(player) {
+    return player === 'X' ? dom.nameX.textContent : dom.nameO.textContent;
+  }
+
+  /** "AI · Hard played row 1, column 3." — plus the mark if it isn't theirs, or where an Ultimate game goes next */
+  function announceMove(index, player, mark = player) {
+    const name  = playerName(player);
+    let message = mark === player
+      ? t('{name} played {cell}.', { name, cell: describeCell(index) })
+      : t('{name} placed {mark} at {cell}.', { name, mark, cell: describeCell(index) });
+
+    if (state.variant === 'ultimate') {
+      const game  = ultimateGame(state.board, index);
+      const small = game.boards[Math.floor(index / 9)];
+      if (small === 'X' || small === 'O') message += ` ${t('{mark} takes board {n}.', { mark: small, n: Math.floor(index / 9) + 1 })}`;
+      if (!ultimateResult(game)) {
+        message += ` ${game.target === null ? t('Next move: any open board.') : t('Next move: board {n}.', { n: game.target + 1 })}`;
+      }
+    }
+    announce(message);
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     RIPPLE HELPER (buttons)
+     ═══════════════════════════════════════════════════════════ */
+  function addRipple(btn) {
+    btn.addEventListener('click', (e) => {
+      if (state.motion === 'reduced') return;
+      const rect  = btn.getBoundingClientRect();
+      const r     = document.createElement('span');
+      const size  = Math.max(rect.width, rect.height);
+      r.style.cssText = `
+        position:absolute; width:${size}px; height:${size}px; border-radius:50%;
+        background:rgba(255,255,255,0.18); pointer-events:none;
+        left:${e.clientX - rect.left - size/2}px;
+        top:${e.clientY - rect.top - size/2}px;
+        transform:scale(0); animation:cellRippleAnim 0.55s ease-out forwards;
+      `;
+      btn.style.position = 'relative';
+      btn.style.overflow = 'hidden';
+      btn.appendChild(r);
+      r.addEventListener('animationend', () => r.remove());
+    });
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     DOWNLOAD HELPER (exported files)
+     ═══════════════════════════════════════════════════════════ */
+  /**
+   * Hand a file to the browser as a download. The object URL outlives the
+   * click by a while — some browsers only start reading it after the click
+   * returns, and revoking it at once can cancel the download.
+   */
+  function downloadFile(blob, filename) {
+    const url  = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href     = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     BOARD OPTIONS  (size & win length on the mode selector)
+     ═══════════════════════════════════════════════════════════ */
+
+  /** Fill a <select> with numeric options from..to */
+  function fillNumberSelect(select, from, to, selected, format) {
+    select.innerHTML = '';
+    for (let n = from; n <= to; n++) {
+      const opt = document.createElement('option');
+      opt.value       = n;
+      opt.textContent = format(n);
+      opt.selected    = n === selected;
+      select.appendChild(opt);
+    }
+  }
+
+  /**
+   * Populate the board size selector — a cube offers only its own sizes,
+   * and is won by a full line; a gravity board offers its widths
+   */
+  function renderSizeOptions(selected = state.size) {
+    if (dom.variantSelect.value === 'cube') {
+      const min = CUBE_SIZES[0], max = CUBE_SIZES[CUBE_SIZES.length - 1];
+      const size = Math.min(max, Math.max(min, selected));
+      fillNumberSelect(dom.sizeSelect, min, max, size, n => `${n} × ${n} × ${n}`);
+      renderWinLenOptions(size);
+      return;
+    }
+    if (dom.variantSelect.value === 'gravity') {
+      const shape = gravityShape(selected, state.winLength);
+      fillNumberSelect(dom.sizeSelect, GRAVITY_SIZES[0], GRAVITY_SIZES[GRAVITY_SIZES.length - 1], shape.size, n => `${n} × ${gravityRows(n)}`);
+      renderWinLenOptions(shape.winLength);
+      return;
+    }
+    fillNumberSelect(dom.sizeSelect, MIN_SIZE, MAX_SIZE, selected, n => `${n} × ${n}`);
+    renderWinLenOptions(state.winLength);
+  }
+
+  /** Populate win-length choices valid for the selected size (down a column, on a gravity board) */
+  function renderWinLenOptions(selected) {
+    const size = Number(dom.sizeSelect.value);
+    const max  = dom.variantSelect.value === 'gravity' ? gravityRows(size) : size;
+    fillNumberSelect(dom.winLenSelect, MIN_SIZE, max, Math.min(selected, max), n => t('{n} in a row', { n }));
+  }
+
+  dom.sizeSelect.addEventListener('change', () => {
+    const size = Number(dom.sizeSelect.value);
+    renderWinLenOptions(dom.variantSelect.value === 'gravity' ? gravityShape(size).winLength : defaultWinLength(size));
+  });
+
+  /**
+   * Ultimate has a fixed board, a cube a fixed win rule, a gravity board
+   * a height one less than its width, and the relay only hosts classic games
+   */
+  function updateVariantOptions() {
+    const variant = dom.variantSelect.value;
+    const fixed   = variant === 'ultimate' || (variant === 'classic' && SMALL_BOARD_RULES.includes(dom.rulesSelect.value));
+    const relayed = variant === 'classic' && dom.rulesSelect.value === 'standard';
+    dom.rulesSelect.disabled   = variant !== 'classic';
+    dom.sizeSelect.disabled    = fixed;
+    dom.winLenSelect.disabled  = fixed || variant === 'cube';
+    dom.gravityNote.hidden     = variant !== 'gravity';
+    dom.createRoomBtn.disabled = !relayed;
+    dom.createRoomBtn.title    = relayed ? '' : t('Online rooms play classic boards with standard rules only');
+  }
+
+  dom.variantSelect.addEventListener('change', () => {
+    renderSizeOptions(Number(dom.sizeSelect.value));
+    updateVariantOptions();
+  });
+  dom.rulesSelect.addEventListener('change', updateVariantOptions);
+
+  /** Fill a select with every registered strategy */
+  function fillStrategySelect(select, selected) {
+    select.innerHTML = '';
+    for (const strategy of allStrategies()) {
+      const opt = document.createElement('option');
+      opt.value       = strategy.id;
+      opt.textContent = t(strategy.label);
+      opt.selected    = strategy.id === selected;
+      select.appendChild(opt);
+    }
+  }
+
+  /** Populate the AI selector */
+  function renderLevelOptions() {
+    fillStrategySelect(dom.levelSelect, state.aiLevel);
+  }
+
+  // Strategies registered from the console show up the next time a list is opened
+  dom.levelSelect.addEventListener('focus', () => {
+    if (dom.levelSelect.options.length !== allStrategies().length) renderLevelOptions();
+  });
+
+  dom.levelSelect.addEventListener('change', () => {
+    state.aiLevel = dom.levelSelect.value;
+    localStorage.setItem(storageKey('ai-level'), state.aiLevel);
+  });
+
+  /** Populate the time control selector */
+  function renderClockOptions(selected) {
+    dom.clockSelect.innerHTML = '';
+    for (const [key, control] of Object.entries(TIME_CONTROLS)) {
+      const opt = document.createElement('option');
+      opt.value       = key;
+      opt.textContent = t(control.label);
+      opt.selected    = key === selected;
+      dom.clockSelect.appendChild(opt);
+    }
+  }
+
+  dom.clockSelect.addEventListener('change', () => {
+    localStorage.setItem(storageKey('clock'), dom.clockSelect.value);
+  });
+
+  /* ═══════════════════════════════════════════════════════════
+     EVENT LISTENERS
+     ═══════════════════════════════════════════════════════════ */
+
+  // Mode selection
+  dom.pvpBtn.addEventListener('click', () => { startGame('pvp'); resumeTurn(); });
+  dom.pvaiBtn.addEventListener('click', () => { startGame('pvai'); resumeTurn(); });
+
+  // In-game controls
+  dom.resetBtn.addEventListener('click', restartGame);
+  dom.menuBtn.addEventListener('click', showMenu);
+  dom.undoBtn.addEventListener('click', undoMove);
+  dom.redoBtn.addEventListener('click', redoMove);
+
+  // Hints & analysis
+  dom.hintBtn.addEventListener('click', showHint);
+  dom.analysisBtn.addEventListener('click', toggleAnalysis);
+
+  // Replay controls
+  dom.replayStart.addEventListener('click', () => stepReplay(0));
+  dom.replayPrev.addEventListener('click',  () => stepReplay(replay.step - 1));
+  dom.replayNext.addEventListener('click',  () => stepReplay(replay.step + 1));
+  dom.replayEnd.addEventListener('click',   () => stepReplay(state.moves.length));
+  dom.replayPlay.addEventListener('click',  () => {
+    if (replay.timer) pauseReplay();
+    else playReplay();
+  });
+
+  // Modal actions
+  dom.playAgainBtn.addEventListener('click', restartGame);
+  dom.replayBtn.addEventListener('click', startReplay);
+  dom.menuBtn2.addEventListener('click', showMenu);
+  dom.exportBtn.addEventListener('click', () => toggleExport());
+  dom.exportPngBtn.addEventListener('click', () => runExport('png'));
+  dom.exportGifBtn.addEventListener('click', () => runExport('gif'));
+  dom.exportWebmBtn.addEventListener('click', () => runExport('webm'));
+  syncExportButtons();
+
+  // Ripple on action buttons
+  [dom.pvpBtn, dom.pvaiBtn, dom.onlineBtn, dom.tourneyBtn, dom.arenaBtn, dom.resetBtn, dom.menuBtn, dom.undoBtn, dom.redoBtn,
+   dom.shareBtn, dom.playAgainBtn, dom.replayBtn, dom.menuBtn2].forEach(addRipple);
+
+  // Close modal on backdrop click
+  dom.backdrop.addEventListener('click', (e) => {
+    if (e.target === dom.backdrop) closeModal();
+  });
+
+  // Keyboard: Escape closes modal, Tab stays inside it
+  listen(document, 'keydown', (e) => {
+    if (!ownsKey(e)) return;
+    if (e.key === 'Escape') closeModal();
+    trapModalFocus(e);
+  });
+
+  dom.motionBtn.addEventListener('click', toggleMotion);
+
+  /* ═══════════════════════════════════════════════════════════
+     INIT
+     ═══════════════════════════════════════════════════════════ */
+  function init() {
+    renderSizeOptions();
+    updateVariantOptions();
+
+    // Reduced motion: the saved choice, else the OS preference
+    const savedMotion = localStorage.getItem(storageKey('motion'));
+    if (savedMotion === 'reduced' || savedMotion === 'full') state.motion = savedMotion;
+    else if (window.matchMedia && matchMedia('(prefers-reduced-motion: reduce)').matches) state.motion = 'reduced';
+    applyMotion();
+
+    // Restore preferences
+    try {
+      const saved = localStorage.getItem(PALETTE_KEY);
+      if (saved) {
+        const { name, colors } = parseTheme(saved);
+        customPalette = { name, colors };
+      }
+    } catch (_) { /* Silent fail — a damaged custom palette is dropped */ }
+    const savedTheme = localStorage.getItem(storageKey('theme'));
+    if (Object.hasOwn(PALETTES, savedTheme) || (savedTheme === 'custom' && customPalette)) state.theme = savedTheme;
+    const savedSkin = localStorage.getItem(SKIN_KEY);
+    if (Object.hasOwn(SKINS, savedSkin)) state.skin = savedSkin;
+    applyTheme();
+
+    // Language: the embedding page's, else the player's choice, else the browser's
+    fillSelect(dom.langSelect, Object.entries(LOCALES).map(([id, { label }]) => [id, label]), DEFAULT_LOCALE);
+    for (const option of dom.langSelect.options) option.lang = option.value;
+    const savedLocale = localStorage.getItem(LOCALE_KEY);
+    setLocale([locale, savedLocale].find(id => Object.hasOwn(LOCALES, id)) || matchLocale(navigator.languages));
+
+    const savedSound = localStorage.getItem(storageKey('sound'));
+    if (savedSound !== null) state.sound = savedSound !== 'false';
+    let savedAudio = {};
+    try { savedAudio = JSON.parse(localStorage.getItem(AUDIO_KEY)) || {}; } catch (_) { /* Silent fail — defaults */ }
+    audio.update({ ...savedAudio, enabled: state.sound });
+    updateSoundIcon();
+    state.haptics  = localStorage.getItem(storageKey('haptics')) !== 'false';
+    state.tabletop = localStorage.getItem(storageKey('tabletop')) === 'true';
+    dom.tabletopCheck.checked = state.tabletop;
+
+    dom.serverInput.value = localStorage.getItem(storageKey('server')) || defaultServerUrl();
+
+    const savedLevel = localStorage.getItem(storageKey('ai-level'));
+    if (findStrategy(savedLevel)) state.aiLevel = savedLevel;
+    if (ai) state.aiLevel = registerStrategy(ai, ownStrategies).id; // the embedding page's own AI
+    renderLevelOptions();
+    renderArenaOptions();
+    renderClockOptions(localStorage.getItem(storageKey('clock')));
+
+    try {
+      const names = JSON.parse(localStorage.getItem(NAMES_KEY)) || {};
+      dom.nameInputX.value = typeof names.X === 'string' ? names.X : '';
+      dom.nameInputO.value = typeof names.O === 'string' ? names.O : '';
+    } catch (_) { /* unreadable — leave the fields blank */ }
+
+    loadMenace();
+    renderTourneyNames();
+    tournament = readTournament();
+    updateTourneyCard();
+
+    assist.analysis = localStorage.getItem(storageKey('analysis')) === 'on';
+    dom.analysisBtn.setAttribute('aria-pressed', String(assist.analysis));
+
+    // A shared link wins over the auto-saved game
+    if (!(page && openSharedGame())) {
+      const saved = readSavedGame();
+      if (saved) {
+        loadGame(saved);
+        resumeTurn();
+      }
+    }
+  }
+
+  /* ═══════════════════════════════════════════════════════════
+     LIFECYCLE
+     ═══════════════════════════════════════════════════════════ */
+
+  /** Stop everything it runs, take its listeners off the page and empty `root` */
+  function destroy() {
+    cancelAIMove();
+    stopArena();
+    stopClock();
+    pauseReplay();
+    leaveOnline();
+    clearTimeout(announceTimer);
+    clearTimeout(resultTimer);
+    localeRequest++; // a bundle still loading is dropped
+    audio.close();
+    if (aiWorker) aiWorker.terminate();
+    aiWorker = false;
+    detach.splice(0).forEach(off => off());
+    events.clear();
+
+    for (const name of themeVars) themeRoot.style.removeProperty(name);
+    ['data-theme', 'data-palette', 'data-motion', 'data-tabletop', 'lang', 'dir'].forEach(name => themeRoot.removeAttribute(name));
+    root.classList.remove('nexus-embed');
+    root.innerHTML = '';
+  }
+
+  init();
+
+  return {
+    on:  events.on,
+    off: events.off,
+
+    /**
+     * Start a local game straight away, skipping the mode selector.
+     * @param {'pvp'|'pvai'} [mode]
+     * @param {object} [config] - as for startGame(); anything left out comes from the mode selector
+     */
+    start(mode = 'pvp', config = {}) {
+      startGame(mode === 'pvai' ? 'pvai' : 'pvp', { ...menuConfig(), ...config });
+      resumeTurn();
+    },
+
+    /** Leave the game for the mode selector */
+    menu: showMenu,
+
+    /** A copy of the game on the board */
+    snapshot: () => ({
+      mode:      state.mode,
+      variant:   state.variant,
+      rules:     state.rules,
+      size:      state.size,
+      winLength: state.winLength,
+      board:     state.board.slice(),
+      current:   state.current,
+      moves:     state.moves.map(move => ({ ...move })),
+      score:     { ...state.score },
+      result:    state.result,
+    }),
+
+    destroy,
+  };
+}
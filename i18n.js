@@ -0,0 +1,115 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * i18n.js
+ *
+ * Translations: choosing a locale, and the t() that game.js writes all of
+ * its text through.
+ *
+ *  - The English text in the code is the key: a locale's bundle
+ *    (locales/<id>.json) maps it to the translation, and anything the
+ *    bundle leaves out stays in English
+ *  - Placeholders are written {name} and filled from the params passed in
+ *  - A plural is keyed by its English plural form, and translated as one
+ *    string per plural category of the language (see Intl.PluralRules:
+ *    zero, one, two, few, many, other)
+ */
+
+/** Languages on offer, named in their own language, with their writing direction */
+export const LOCALES = {
+  en: { label: 'English',  dir: 'ltr' },
+  es: { label: 'Español',  dir: 'ltr' },
+  ar: { label: 'العربية', dir: 'rtl' },
+};
+
+/** The language of the source text, which needs no bundle */
+export const DEFAULT_LOCALE = 'en';
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+
+/**
+ * The first supported language among the browser's preferred ones.
+ * @param {string[]} [wanted] - language tags, as navigator.languages gives them
+ * @returns {string} a key of LOCALES
+ */
+export function matchLocale(wanted = []) {
+  for (const tag of wanted) {
+    const id = String(tag).toLowerCase().split('-')[0];
+    if (Object.hasOwn(LOCALES, id)) return id;
+  }
+  return DEFAULT_LOCALE;
+}
+
+/**
+ * Fill in a text's {placeholders}. Unknown ones are left as they are.
+ * @param {string} text
+ * @param {object} [params]
+ * @returns {string}
+ */
+export function interpolate(text, params = {}) {
+  return text.replace(PLACEHOLDER, (match, name) => (Object.hasOwn(params, name) ? String(params[name]) : match));
+}
+
+/**
+ * A translator for one language.
+ *
+ *   t('{name} Wins!', { name })
+ *   t.plural(moves, '{count} move', '{count} moves')
+ *
+ * @param {string} [locale] - a key of LOCALES
+ * @param {object} [bundle] - the locale's translations (see checkBundle)
+ * @returns {Function} t(text, params), with t.plural(count, one, other, params),
+ *          t.locale and t.dir ('ltr' | 'rtl')
+ */
+export function createTranslator(locale = DEFAULT_LOCALE, bundle = {}) {
+  const rules   = new Intl.PluralRules(locale);
+  const english = new Intl.PluralRules(DEFAULT_LOCALE);
+
+  function t(text, params) {
+    const translated = bundle[text];
+    return interpolate(typeof translated === 'string' ? translated : text, params);
+  }
+
+  t.plural = (count, one, other, params = {}) => {
+    const forms  = bundle[other];
+    const values = { count, ...params };
+    if (forms && typeof forms === 'object') {
+      const form = forms[rules.select(count)];
+      return interpolate(typeof form === 'string' ? form : forms.other, values);
+    }
+    return interpolate(english.select(count) === 'one' ? one : other, values);
+  };
+
+  t.locale = locale;
+  t.dir    = Object.hasOwn(LOCALES, locale) ? LOCALES[locale].dir : 'ltr';
+  return t;
+}
+
+/**
+ * What is wrong with a bundle: a translation that isn't text (or, for a
+ * plural, has no `other` form), or one that brings in placeholders the
+ * English doesn't have. A plural form may leave {count} out ("one move").
+ * @param {object} bundle
+ * @returns {string[]} one message per problem; empty if there are none
+ */
+export function checkBundle(bundle) {
+  const names    = text => new Set([...text.matchAll(PLACEHOLDER)].map(m => m[1]));
+  const problems = [];
+  for (const [source, translated] of Object.entries(bundle)) {
+    const allowed = names(source);
+    const forms   = typeof translated === 'string' ? [translated] : translated && typeof translated === 'object' ? Object.values(translated) : null;
+    if (!forms || forms.some(form => typeof form !== 'string')) {
+      problems.push(`"${source}" is not translated to text`);
+      continue;
+    }
+    if (typeof translated === 'object') {
+      allowed.add('count');
+      if (typeof translated.other !== 'string') problems.push(`"${source}" has no "other" form`);
+    }
+    for (const form of forms) {
+      for (const name of names(form)) {
+        if (!allowed.has(name)) problems.push(`"${source}" brings in {${name}}`);
+      }
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,171 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * learner.js
+ *
+ * A self-learning opponent for 3×3 standard games. What it has learned is
+ * plain data, which game.js keeps in IndexedDB between visits.
+ *
+ * It is a MENACE (Michie's Matchbox Educable Noughts And Crosses Engine):
+ *  - One "matchbox" per position it has faced, holding beads for each free
+ *    cell. Positions are seen from the side to move (its marks vs the
+ *    opponent's) and reduced by symmetry, so rotated or mirrored copies
+ *    share a box and it learns the same lessons playing X or O
+ *  - To move it draws a bead at random: cells with more beads are likelier
+ *  - After a game every bead it drew is paid out — extra beads for a win
+ *    or a draw, one taken away for a loss — so it starts out playing at
+ *    random and slowly stops making the moves that lose
+ *
+ * The model is plain data (no classes, no Maps) so it can be stored as is.
+ */
+
+import {
+  createBoard,
+  legalMoves,
+  applyMove,
+  generateWinCombos,
+  checkResult,
+  boardSymmetries,
+} from './engine.js';
+
+/** Beads per free cell in a new box, by the number of marks already down */
+const OPENING_BEADS = [4, 4, 3, 3, 2, 2, 1, 1, 1];
+
+/** Beads added to (or taken from) every drawn bead's cell after a game */
+export const REWARDS = { win: 3, draw: 1, loss: -1 };
+
+/** Results kept for the win-rate chart (oldest dropped first) */
+const MAX_RESULTS = 1000;
+
+const SIZE       = 3;
+const COMBOS     = generateWinCombos(SIZE, SIZE);
+const SYMMETRIES = boardSymmetries(SIZE);
+
+/**
+ * A MENACE that has learned nothing yet.
+ * @returns {{boxes:Object<string, number[]>, games:number, trained:number, results:string}}
+ *          boxes: beads per cell of each canonical position; games and results
+ *          ('W' | 'D' | 'L', oldest first) count games against people;
+ *          trained counts self-play games
+ */
+export function createMenace() {
+  return { boxes: {}, games: 0, trained: 0, results: '' };
+}
+
+/**
+ * Draw a bead for `player` to move on `board`, opening a box the first time
+ * a position comes up. An emptied box (every move has lost) is refilled
+ * with one bead a cell rather than resigning.
+ * @param {object} menace - updated in place
+ * @param {Array} board - 3×3, standard rules
+ * @param {'X'|'O'} player
+ * @param {() => number} [random] - 0 ≤ n < 1
+ * @returns {number} cell index
+ */
+export function menaceMove(menace, board, player, random = Math.random) {
+  const { key, map } = canonical(board, player);
+  const beads = openBox(menace, key, board, map);
+  if (beads.every(n => n === 0)) map.forEach((cell, slot) => { if (board[cell] === null) beads[slot] = 1; });
+
+  let draw = random() * beads.reduce((sum, n) => sum + n, 0);
+  const slot = beads.findIndex(n => (draw -= n) < 0);
+  return map[slot === -1 ? beads.findLastIndex(n => n > 0) : slot];
+}
+
+/**
+ * Learn from a game against a person and add it to the record.
+ * @param {object} menace - updated in place
+ * @param {{index:number, player:'X'|'O'}[]} moves - the whole game, either side may start
+ * @param {'X'|'O'} seat - the side MENACE played
+ * @param {'X'|'O'|'draw'} winner
+ * @returns {object} menace
+ */
+export function learnFromGame(menace, moves, seat, winner) {
+  const outcome = winner === 'draw' ? 'draw' : winner === seat ? 'win' : 'loss';
+  reinforce(menace, moves, seat, outcome);
+  menace.games++;
+  menace.results = (menace.results + outcome[0].toUpperCase()).slice(-MAX_RESULTS);
+  return menace;
+}
+
+/**
+ * Train by playing itself: both sides draw from (and teach) the same boxes.
+ * @param {object} menace - updated in place
+ * @param {number} games
+ * @param {() => number} [random]
+ * @returns {object} menace
+ */
+export function selfPlay(menace, games, random = Math.random) {
+  for (let n = 0; n < games; n++) {
+    let board  = createBoard(SIZE);
+    let player = 'X';
+    const moves = [];
+    let result;
+    while (!(result = checkResult(board, COMBOS))) {
+      const index = menaceMove(menace, board, player, random);
+      board = applyMove(board, index, player);
+      moves.push({ index, player });
+      player = player === 'X' ? 'O' : 'X';
+    }
+    for (const seat of ['X', 'O']) {
+      reinforce(menace, moves, seat, result.winner === 'draw' ? 'draw' : result.winner === seat ? 'win' : 'loss');
+    }
+    menace.trained++;
+  }
+  return menace;
+}
+
+/**
+ * Win rate against people over a sliding window, one point per game.
+ * @param {object} menace
+ * @param {number} [window] - games per point (fewer at the start)
+ * @returns {number[]} 0–1
+ */
+export function winRates(menace, window = 20) {
+  const wins = [...menace.results].map(r => (r === 'W' ? 1 : 0));
+  let total = 0;
+  return wins.map((win, i) => {
+    total += win - (i >= window ? wins[i - window] : 0);
+    return total / Math.min(i + 1, window);
+  });
+}
+
+/* ═══════════════════════════════════════════════════════════
+   MATCHBOXES
+   ═══════════════════════════════════════════════════════════ */
+
+/**
+ * The position as `player` sees it — 'x' their marks, 'o' the opponent's —
+ * in its smallest symmetric form. Slot `j` of the key is cell `map[j]`.
+ */
+function canonical(board, player) {
+  let best = null;
+  for (const map of SYMMETRIES) {
+    let key = '';
+    for (const i of map) key += board[i] === null ? '.' : board[i] === player ? 'x' : 'o';
+    if (best === null || key < best.key) best = { key, map };
+  }
+  return best;
+}
+
+/** The box for a canonical position, filled with opening beads if it is new */
+function openBox(menace, key, board, map) {
+  if (!menace.boxes[key]) {
+    const beads = OPENING_BEADS[SIZE * SIZE - legalMoves(board).length];
+    menace.boxes[key] = map.map(cell => (board[cell] === null ? beads : 0));
+  }
+  return menace.boxes[key];
+}
+
+/** Pay out every bead `seat` drew in the game: add REWARDS[outcome] to it (never below zero) */
+function reinforce(menace, moves, seat, outcome) {
+  let board = createBoard(SIZE);
+  for (const { index, player } of moves) {
+    if (player === seat) {
+      const { key, map } = canonical(board, player);
+      const beads = openBox(menace, key, board, map);
+      const slot  = map.indexOf(index);
+      beads[slot] = Math.max(0, beads[slot] + REWARDS[outcome]);
+    }
+    board = applyMove(board, index, player);
+  }
+}
@@ -0,0 +1,645 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * markup.js
+ *
+ * The game's markup, which createNexusGame() (game.js) builds inside its
+ * root element.
+ *
+ *  - The game finds its elements by id. A game embedded beside others gets
+ *    its ids prefixed, so they stay unique on the page; labels,
+ *    aria-controls / aria-labelledby and the win line's gradient follow
+ *  - style.css styles by class only, so a prefix changes nothing on screen
+ *  - The text is English. collectText() gathers it once the markup is
+ *    built, and translateMarkup() puts it into another language (see i18n.js)
+ */
+
+const GAME_MARKUP = `
+  <div class="app-shell">
+
+    <!-- ── Header ── -->
+    <header class="site-header">
+      <div class="brand">
+        <span class="brand-mark">✦</span>
+        <span class="brand-name" translate="no">NEXUS</span>
+      </div>
+
+      <div class="header-actions">
+        <!-- Sound panel toggle -->
+        <button class="pill-btn" id="soundBtn" aria-label="Sound" title="Sound" aria-expanded="false" aria-controls="soundPanel">
+          <svg id="soundSvg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+            <polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon>
+            <path d="M15.54 8.46a5 5 0 0 1 0 7.07"></path>
+            <path d="M19.07 4.93a10 10 0 0 1 0 14.14"></path>
+          </svg>
+          <span>Sound</span>
+        </button>
+
+        <!-- Theme panel toggle -->
+        <button class="pill-btn" id="themeBtn" aria-label="Theme" title="Theme" aria-expanded="false" aria-controls="themePanel">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+            <path d="M12 2a10 10 0 1 0 0 20c1.1 0 1.7-.9 1.7-1.8 0-.5-.2-.9-.5-1.2-.3-.3-.5-.7-.5-1.2 0-1 .8-1.8 1.8-1.8H16a6 6 0 0 0 6-6C22 5.8 17.5 2 12 2z"></path>
+            <circle cx="7.5" cy="11.5" r="1.5"></circle>
+            <circle cx="10.5" cy="7" r="1.5"></circle>
+            <circle cx="15.5" cy="7.5" r="1.5"></circle>
+          </svg>
+          <span>Theme</span>
+        </button>
+
+        <!-- Language -->
+        <label class="pill-btn lang-pill" title="Language">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+            <circle cx="12" cy="12" r="10"></circle>
+            <line x1="2" y1="12" x2="22" y2="12"></line>
+            <path d="M12 2a15.3 15.3 0 0 1 4 10 15.3 15.3 0 0 1-4 10 15.3 15.3 0 0 1-4-10 15.3 15.3 0 0 1 4-10z"></path>
+          </svg>
+          <select class="lang-select" id="langSelect" aria-label="Language"></select>
+        </label>
+
+        <!-- Reduced-motion toggle -->
+        <button class="pill-btn" id="motionBtn" aria-pressed="false" aria-label="Reduce motion" title="Reduce motion">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">
+            <path d="M2 12c2.5-4 5-4 7.5 0s5 4 7.5 0 3.5-2.7 5-1.5"></path>
+          </svg>
+          <span>Motion</span>
+        </button>
+      </div>
+
+      <!-- Sound: on / off, volumes, sound pack -->
+      <section class="header-panel" id="soundPanel" hidden aria-labelledby="soundTitle">
+        <h2 class="header-panel-title" id="soundTitle">Sound</h2>
+        <label class="option-field">
+          <span class="option-label">Sound on</span>
+          <input class="option-check" id="soundEnabled" type="checkbox" />
+        </label>
+        <label class="option-field">
+          <span class="option-label">Master</span>
+          <input class="volume-range" id="volumeMaster" type="range" min="0" max="1" step="0.05" data-volume="master" />
+        </label>
+        <label class="option-field">
+          <span class="option-label">Effects</span>
+          <input class="volume-range" id="volumeSfx" type="range" min="0" max="1" step="0.05" data-volume="sfx" />
+        </label>
+        <label class="option-field">
+          <span class="option-label">Music</span>
+          <input class="volume-range" id="volumeMusic" type="range" min="0" max="1" step="0.05" data-volume="music" />
+        </label>
+        <label class="option-field">
+          <span class="option-label">Sound pack</span>
+          <select class="option-select" id="soundPack" aria-label="Sound pack"></select>
+        </label>
+        <label class="option-field" id="hapticsField">
+          <span class="option-label">Vibration</span>
+          <input class="option-check" id="hapticsCheck" type="checkbox" />
+        </label>
+      </section>
+
+      <!-- Theme: palette, mark skin, custom colours, import / export -->
+      <section class="header-panel" id="themePanel" hidden aria-labelledby="themeTitle">
+        <h2 class="header-panel-title" id="themeTitle">Theme</h2>
+        <label class="option-field">
+          <span class="option-label">Palette</span>
+          <select class="option-select" id="paletteSelect" aria-label="Colour palette"></select>
+        </label>
+        <label class="option-field">
+          <span class="option-label">Marks</span>
+          <select class="option-select" id="skinSelect" aria-label="Mark style"></select>
+        </label>
+        <fieldset class="palette-editor" id="paletteEditor">
+          <legend class="option-label">Custom colours</legend>
+          <label class="color-field"><input type="color" data-color="bg" /><span>Background</span></label>
+          <label class="color-field"><input type="color" data-color="surface" /><span>Surface</span></label>
+          <label class="color-field"><input type="color" data-color="text" /><span>Text</span></label>
+          <label class="color-field"><input type="color" data-color="x" /><span>X</span></label>
+          <label class="color-field"><input type="color" data-color="o" /><span>O</span></label>
+        </fieldset>
+        <div class="online-actions">
+          <button class="share-btn" id="themeExport">Export</button>
+          <button class="share-btn" id="themeImport">Import</button>
+          <input id="themeFile" type="file" accept="application/json,.json" hidden />
+        </div>
+        <p class="online-status" id="themeStatus" role="status"></p>
+      </section>
+    </header>
+
+    <main class="main-content">
+
+      <!-- ── Mode selector ── -->
+      <section class="mode-selector" id="modeSelector" aria-label="Game mode">
+        <h1 class="page-title" translate="no">TIC<span class="title-accent">·</span>TAC<span class="title-accent">·</span>TOE</h1>
+        <p class="page-sub">Choose your battle</p>
+
+        <div class="mode-cards">
+          <button class="mode-card" id="pvpBtn" aria-label="Player vs Player mode">
+            <div class="mode-card-icon">
+              <span class="symbol-x">X</span>
+              <span class="vs-text">VS</span>
+              <span class="symbol-o">O</span>
+            </div>
+            <div class="mode-card-body">
+              <span class="mode-card-title">PVP</span>
+              <span class="mode-card-sub">Player vs Player</span>
+            </div>
+          </button>
+
+          <button class="mode-card" id="pvaiBtn" aria-label="Player vs AI mode">
+            <div class="mode-card-icon">
+              <span class="symbol-x">X</span>
+              <span class="vs-text">VS</span>
+              <span class="ai-icon">⬡</span>
+            </div>
+            <div class="mode-card-body">
+              <span class="mode-card-title">PVE</span>
+              <span class="mode-card-sub">Player vs AI</span>
+            </div>
+          </button>
+
+          <button class="mode-card" id="onlineBtn" aria-label="Online multiplayer mode" aria-expanded="false" aria-controls="onlinePanel">
+            <div class="mode-card-icon">
+              <span class="symbol-x">X</span>
+              <span class="vs-text">⇄</span>
+              <span class="symbol-o">O</span>
+            </div>
+            <div class="mode-card-body">
+              <span class="mode-card-title">ONLINE</span>
+              <span class="mode-card-sub">Play over the network</span>
+            </div>
+          </button>
+
+          <button class="mode-card" id="tourneyBtn" aria-label="Local tournament" aria-expanded="false" aria-controls="tourneyPanel">
+            <div class="mode-card-icon">
+              <span class="trophy-icon">🏆</span>
+            </div>
+            <div class="mode-card-body">
+              <span class="mode-card-title">TOURNAMENT</span>
+              <span class="mode-card-sub" id="tourneySub">3–8 local players</span>
+            </div>
+          </button>
+
+          <button class="mode-card" id="arenaBtn" aria-label="AI versus AI arena" aria-expanded="false" aria-controls="arenaPanel">
+            <div class="mode-card-icon">
+              <span class="ai-icon ai-icon--x">⬡</span>
+              <span class="vs-text">VS</span>
+              <span class="ai-icon">⬡</span>
+            </div>
+            <div class="mode-card-body">
+              <span class="mode-card-title">ARENA</span>
+              <span class="mode-card-sub">AI vs AI</span>
+            </div>
+          </button>
+        </div>
+
+        <!-- Online room controls -->
+        <div class="online-panel" id="onlinePanel" hidden>
+          <label class="option-field option-field--wide">
+            <span class="option-label">Server</span>
+            <input class="option-input" id="serverInput" type="text" spellcheck="false" autocomplete="off" aria-label="Relay server address" />
+          </label>
+          <div class="online-actions">
+            <button class="pill-btn" id="createRoomBtn">Create room</button>
+            <input class="option-input room-input" id="roomInput" type="text" maxlength="4" placeholder="CODE" spellcheck="false" autocomplete="off" aria-label="Room code" />
+            <button class="pill-btn" id="joinRoomBtn">Join</button>
+            <button class="pill-btn" id="watchRoomBtn">Watch</button>
+          </div>
+          <p class="online-status" id="onlineStatus" role="status"></p>
+        </div>
+
+        <!-- Tournament setup -->
+        <div class="online-panel tourney-panel" id="tourneyPanel" hidden>
+          <div class="tourney-names" id="tourneyNames" role="group" aria-label="Player names">
+            <!-- one field per entrant, injected by JS -->
+          </div>
+          <div class="online-actions">
+            <label class="option-field">
+              <span class="option-label">Format</span>
+              <select class="option-select" id="tourneyFormat" aria-label="Tournament format">
+                <option value="round-robin" selected>Round robin</option>
+                <option value="knockout">Knockout</option>
+              </select>
+            </label>
+            <button class="pill-btn" id="tourneyStart">Start tournament</button>
+          </div>
+          <p class="online-status" id="tourneyStatus" role="status"></p>
+        </div>
+
+        <!-- AI-vs-AI arena -->
+        <div class="online-panel arena-panel" id="arenaPanel" hidden>
+          <div class="online-actions">
+            <label class="option-field">
+              <span class="option-label">Bot A</span>
+              <select class="option-select" id="arenaA" aria-label="Bot A"></select>
+            </label>
+            <label class="option-field">
+              <span class="option-label">Bot B</span>
+              <select class="option-select" id="arenaB" aria-label="Bot B"></select>
+            </label>
+          </div>
+          <div class="online-actions">
+            <label class="option-field">
+              <span class="option-label">Games</span>
+              <select class="option-select" id="arenaGames" aria-label="Games to play">
+                <option value="10">10</option>
+                <option value="50" selected>50</option>
+                <option value="100">100</option>
+                <option value="500">500</option>
+              </select>
+            </label>
+            <label class="option-field">
+              <span class="option-label">Watch</span>
+              <input class="option-check" id="arenaWatch" type="checkbox" aria-label="Watch the games on the board" />
+            </label>
+            <button class="pill-btn" id="arenaStart">Start</button>
+          </div>
+          <p class="online-status" id="arenaStatus" role="status"></p>
+          <table class="stats-table" id="arenaTable" hidden>
+            <thead>
+              <tr><th scope="col">Bot</th><th scope="col">W</th><th scope="col">D</th><th scope="col">L</th></tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+        </div>
+
+        <!-- Player names, match length and clock -->
+        <div class="mode-options">
+          <label class="option-field">
+            <span class="option-label">X</span>
+            <input class="option-input name-input" id="nameInputX" type="text" maxlength="20" placeholder="Player 1" spellcheck="false" autocomplete="off" aria-label="Name of player X" />
+          </label>
+          <label class="option-field">
+            <span class="option-label">O</span>
+            <input class="option-input name-input" id="nameInputO" type="text" maxlength="20" placeholder="Player 2" spellcheck="false" autocomplete="off" aria-label="Name of player O" />
+          </label>
+          <label class="option-field">
+            <span class="option-label">Match</span>
+            <select class="option-select" id="matchSelect" aria-label="Match length">
+              <option value="1" selected>Single games</option>
+              <option value="3">Best of 3</option>
+              <option value="5">Best of 5</option>
+              <option value="7">Best of 7</option>
+            </select>
+          </label>
+          <label class="option-field">
+            <span class="option-label">Clock</span>
+            <select class="option-select" id="clockSelect" aria-label="Time control"></select>
+          </label>
+          <label class="option-field" title="For two players facing each other across a flat tablet">
+            <span class="option-label">Tabletop</span>
+            <input class="option-check" id="tabletopCheck" type="checkbox" aria-label="Tabletop layout: turn O's side to face the other way in PvP" />
+          </label>
+        </div>
+
+        <!-- Board options -->
+        <div class="mode-options">
+          <label class="option-field">
+            <span class="option-label">Game</span>
+            <select class="option-select" id="variantSelect" aria-label="Game type">
+              <option value="classic" selected>Classic</option>
+              <option value="ultimate">Ultimate</option>
+              <option value="cube">3D Cube</option>
+              <option value="gravity">Gravity</option>
+            </select>
+          </label>
+          <label class="option-field">
+            <span class="option-label">Rules</span>
+            <select class="option-select" id="rulesSelect" aria-label="Rule set">
+              <option value="standard" selected>Standard</option>
+              <option value="misere">Misère</option>
+              <option value="wild">Wild</option>
+              <option value="numerical">Numerical</option>
+              <option value="rolling">Rolling</option>
+            </select>
+          </label>
+          <label class="option-field">
+            <span class="option-label">Board</span>
+            <select class="option-select" id="sizeSelect" aria-label="Board size"></select>
+          </label>
+          <label class="option-field">
+            <span class="option-label">To win</span>
+            <select class="option-select" id="winLenSelect" aria-label="Marks in a row needed to win"></select>
+          </label>
+          <label class="option-field">
+            <span class="option-label">AI</span>
+            <select class="option-select" id="levelSelect" aria-label="AI player"></select>
+          </label>
+        </div>
+        <p class="option-note" id="gravityNote" hidden>Gravity boards are always one row shorter than they are wide</p>
+
+        <button class="pill-btn stats-link" id="statsBtn" aria-label="Show player statistics">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><line x1="18" y1="20" x2="18" y2="10"></line><line x1="12" y1="20" x2="12" y2="4"></line><line x1="6" y1="20" x2="6" y2="14"></line></svg>
+          <span>Stats</span>
+        </button>
+      </section>
+
+      <!-- ── Stats dashboard ── -->
+      <section class="stats-screen" id="statsScreen" hidden aria-labelledby="statsTitle">
+        <h2 class="stats-title" id="statsTitle">Player Stats</h2>
+
+        <label class="option-field">
+          <span class="option-label">Player</span>
+          <select class="option-select" id="statsPlayer" aria-label="Player"></select>
+        </label>
+
+        <p class="stats-empty" id="statsEmpty" hidden>No games recorded yet — finish a game to start tracking.</p>
+
+        <div class="stats-tiles" id="statsTiles"></div>
+
+        <table class="stats-table" id="statsTable">
+          <thead>
+            <tr><th scope="col">Mode</th><th scope="col">W</th><th scope="col">L</th><th scope="col">D</th></tr>
+          </thead>
+          <tbody></tbody>
+        </table>
+
+        <!-- Learning AI (MENACE — learner.js) -->
+        <div class="learner-panel" role="group" aria-labelledby="learnerTitle">
+          <h3 class="learner-title" id="learnerTitle">Learning AI</h3>
+          <p class="learner-info" id="learnerInfo" role="status"></p>
+          <svg class="learner-chart" id="learnerChart" viewBox="0 0 300 100" preserveAspectRatio="none" role="img" aria-label="Win rate chart">
+            <line class="chart-grid" x1="0" y1="25" x2="300" y2="25"></line>
+            <line class="chart-grid" x1="0" y1="50" x2="300" y2="50"></line>
+            <line class="chart-grid" x1="0" y1="75" x2="300" y2="75"></line>
+            <polyline class="chart-line" id="learnerLine" points=""></polyline>
+          </svg>
+          <div class="learner-actions">
+            <button class="pill-btn" id="learnerTrain">Train (500 games)</button>
+            <button class="pill-btn" id="learnerForget">Forget</button>
+          </div>
+        </div>
+
+        <div class="action-row">
+          <button class="action-btn" id="statsExport">Export</button>
+          <button class="action-btn action-btn--danger" id="statsReset">Reset</button>
+          <button class="action-btn action-btn--menu" id="statsBack">Back</button>
+        </div>
+      </section>
+
+      <!-- ── Tournament standings ── -->
+      <section class="stats-screen tourney-screen" id="tourneyScreen" hidden aria-labelledby="tourneyTitle">
+        <h2 class="stats-title" id="tourneyTitle">Tournament</h2>
+        <p class="tourney-info" id="tourneyInfo"></p>
+
+        <table class="stats-table tourney-table" id="tourneyTable">
+          <thead>
+            <tr>
+              <th scope="col">#</th><th scope="col">Player</th><th scope="col">P</th>
+              <th scope="col">W</th><th scope="col">L</th><th scope="col">+/−</th>
+            </tr>
+          </thead>
+          <tbody></tbody>
+        </table>
+
+        <p class="tourney-next" id="tourneyNext" role="status"></p>
+
+        <div class="action-row">
+          <button class="action-btn" id="tourneyPlay">Play match</button>
+          <button class="action-btn action-btn--danger" id="tourneyEnd">End</button>
+          <button class="action-btn action-btn--menu" id="tourneyBack">Back</button>
+        </div>
+      </section>
+
+      <!-- ── Game arena ── -->
+      <section class="game-arena" id="gameArena" hidden aria-label="Game board">
+
+        <!-- Online room badge -->
+        <div class="room-badge" id="roomBadge" hidden>
+          <span class="room-badge-label">Room</span>
+          <span class="room-code" id="roomCode"></span>
+          <span class="room-presence" id="roomPresence" role="status"></span>
+        </div>
+
+        <!-- Shared-link banner -->
+        <div class="share-banner" id="shareBanner" role="status" hidden>
+          <span class="share-text" id="shareText">Shared game</span>
+          <button class="share-btn" id="shareResume">Keep playing</button>
+          <button class="share-btn share-btn--replay" id="shareReplay">Replay</button>
+        </div>
+
+        <!-- Match / tournament progress -->
+        <p class="match-info" id="matchInfo" role="status" hidden></p>
+
+        <!-- Turn / status bar -->
+        <div class="status-bar">
+          <div class="player-pill player-pill--x" id="pillX" aria-label="Player X">
+            <span class="pp-symbol">X</span>
+            <span class="pp-name" id="nameX">Player 1</span>
+            <span class="pp-clock" id="clockX" role="timer" aria-label="X's time left" hidden></span>
+          </div>
+
+          <div class="status-center">
+            <div class="turn-indicator" id="turnIndicator">
+              <span class="turn-dot" id="turnDot"></span>
+              <span class="turn-label" id="turnLabel">X's Turn</span>
+            </div>
+          </div>
+
+          <div class="player-pill player-pill--o" id="pillO" aria-label="Player O">
+            <span class="pp-clock" id="clockO" role="timer" aria-label="O's time left" hidden></span>
+            <span class="pp-name" id="nameO">Player 2</span>
+            <span class="pp-symbol">O</span>
+          </div>
+        </div>
+
+        <!-- Scoreboard -->
+        <div class="scoreboard">
+          <div class="score-block">
+            <span class="score-label" id="scoreLabelX">X</span>
+            <span class="score-value" id="scoreX">0</span>
+          </div>
+          <div class="score-block score-block--draw">
+            <span class="score-label">Draws</span>
+            <span class="score-value" id="scoreDraw">0</span>
+          </div>
+          <div class="score-block">
+            <span class="score-label" id="scoreLabelO">O</span>
+            <span class="score-value" id="scoreO">0</span>
+          </div>
+        </div>
+
+        <!-- Hints & analysis -->
+        <div class="assist-bar" id="assistBar">
+          <button class="assist-btn" id="hintBtn" aria-label="Show the best move">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M9 18h6"></path><path d="M10 22h4"></path><path d="M12 2a7 7 0 0 0-4 12.7V16h8v-1.3A7 7 0 0 0 12 2z"></path></svg>
+            Hint
+          </button>
+          <button class="assist-btn" id="analysisBtn" aria-pressed="false" aria-label="Show move analysis on the board">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><line x1="18" y1="20" x2="18" y2="10"></line><line x1="12" y1="20" x2="12" y2="4"></line><line x1="6" y1="20" x2="6" y2="14"></line></svg>
+            Analysis
+          </button>
+        </div>
+
+        <!-- What to place next, when the rules give a choice (wild, numerical) -->
+        <div class="mark-picker" id="markPicker" role="group" aria-label="Mark to place" hidden></div>
+
+        <!-- Game board -->
+        <div class="board-wrapper" id="boardWrapper">
+          <!-- SVG win-line overlay -->
+          <svg class="win-line-svg" id="winLineSvg" viewBox="0 0 300 300" aria-hidden="true">
+            <line id="winLine" x1="0" y1="0" x2="0" y2="0"
+                  stroke="url(#lineGrad)" stroke-width="6"
+                  stroke-linecap="round" class="win-line"/>
+            <defs>
+              <linearGradient class="line-grad" id="lineGrad" x1="0%" y1="0%" x2="100%" y2="0%">
+                <stop offset="0%"/>
+                <stop offset="100%"/>
+              </linearGradient>
+            </defs>
+          </svg>
+
+          <div class="board" id="board" role="grid" aria-label="Tic-Tac-Toe board">
+            <!-- size × size cells injected by JS -->
+          </div>
+        </div>
+
+        <!-- Replay controls (shown once the game is over) -->
+        <div class="replay-bar" id="replayBar" hidden role="toolbar" aria-label="Replay controls">
+          <button class="replay-btn" id="replayStart" aria-label="First move" title="First move">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><polyline points="17 18 11 12 17 6"></polyline><line x1="7" y1="6" x2="7" y2="18"></line></svg>
+          </button>
+          <button class="replay-btn" id="replayPrev" aria-label="Previous move" title="Previous move">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><polyline points="15 18 9 12 15 6"></polyline></svg>
+          </button>
+          <button class="replay-btn replay-btn--play" id="replayPlay" aria-label="Play or pause replay" title="Play / pause">
+            <svg class="icon-play" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><polygon points="7 4 20 12 7 20 7 4"></polygon></svg>
+            <svg class="icon-pause" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect></svg>
+          </button>
+          <button class="replay-btn" id="replayNext" aria-label="Next move" title="Next move">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><polyline points="9 18 15 12 9 6"></polyline></svg>
+          </button>
+          <button class="replay-btn" id="replayEnd" aria-label="Last move" title="Last move">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><polyline points="7 18 13 12 7 6"></polyline><line x1="17" y1="6" x2="17" y2="18"></line></svg>
+          </button>
+          <span class="replay-label" id="replayLabel" aria-live="polite">Move 0 / 0</span>
+        </div>
+
+        <!-- Action row -->
+        <div class="action-row">
+          <button class="action-btn action-btn--undo" id="undoBtn" aria-label="Undo move" disabled>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><polyline points="9 14 4 9 9 4"></polyline><path d="M20 20v-7a4 4 0 0 0-4-4H4"></path></svg>
+            <span class="action-label">Undo</span>
+          </button>
+          <button class="action-btn action-btn--redo" id="redoBtn" aria-label="Redo move" disabled>
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><polyline points="15 14 20 9 15 4"></polyline><path d="M4 20v-7a4 4 0 0 1 4-4h12"></path></svg>
+            <span class="action-label">Redo</span>
+          </button>
+          <button class="action-btn action-btn--reset" id="resetBtn" aria-label="Restart game">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" aria-hidden="true"><polyline points="1 4 1 10 7 10"></polyline><path d="M3.51 15a9 9 0 1 0 .49-4.5"></path></svg>
+            <span class="action-label">Restart</span>
+          </button>
+          <button class="action-btn action-btn--share" id="shareBtn" aria-label="Copy a link to this game">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path></svg>
+            <span class="action-label">Share</span>
+          </button>
+          <button class="action-btn action-btn--menu" id="menuBtn" aria-label="Back to menu">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" aria-hidden="true"><line x1="3" y1="12" x2="21" y2="12"></line><line x1="3" y1="6" x2="21" y2="6"></line><line x1="3" y1="18" x2="21" y2="18"></line></svg>
+            <span class="action-label">Menu</span>
+          </button>
+        </div>
+
+      </section>
+
+    </main>
+  </div>
+
+  <!-- Screen-reader announcements: moves, AI replies, results -->
+  <div class="sr-only" id="announcer" role="status" aria-live="polite" aria-atomic="true"></div>
+
+  <!-- ── Result Modal ── -->
+  <div class="modal-backdrop" id="modalBackdrop" aria-hidden="true">
+    <div class="modal" id="modal" role="dialog" aria-modal="true" aria-labelledby="modalTitle">
+      <div class="modal-glow" aria-hidden="true"></div>
+      <div class="modal-symbol" id="modalSymbol" aria-hidden="true"></div>
+      <div class="modal-confetti" id="modalConfetti" aria-hidden="true">
+        <!-- Confetti particles injected by JS -->
+      </div>
+      <h2 class="modal-title" id="modalTitle">Game Over</h2>
+      <p class="modal-sub" id="modalSub"></p>
+      <p class="modal-review" id="modalReview" hidden></p>
+      <div class="modal-actions">
+        <button class="modal-btn modal-btn--primary" id="playAgainBtn">Play Again</button>
+        <button class="modal-btn modal-btn--secondary" id="replayBtn">Replay</button>
+        <button class="modal-btn modal-btn--secondary" id="menuBtn2">Menu</button>
+      </div>
+      <div class="modal-export">
+        <button class="modal-export-toggle" id="exportBtn" aria-expanded="false" aria-controls="exportOptions">Export</button>
+        <div class="modal-export-options" id="exportOptions" hidden>
+          <button class="modal-btn modal-btn--secondary" id="exportPngBtn" title="Result card with the names and score">PNG</button>
+          <button class="modal-btn modal-btn--secondary" id="exportGifBtn" title="The game move by move, as an animated GIF">GIF</button>
+          <button class="modal-btn modal-btn--secondary" id="exportWebmBtn" title="The game move by move, as a WebM video">WebM</button>
+        </div>
+        <p class="modal-export-status" id="exportStatus" role="status"></p>
+      </div>
+    </div>
+  </div>
+`;
+
+/** Attributes that point at other elements by id */
+const ID_REFS = ['for', 'aria-controls', 'aria-labelledby', 'aria-describedby'];
+
+/**
+ * Build the game's elements inside `root`, replacing whatever it held.
+ * @param {HTMLElement} root
+ * @param {string} [prefix] - put before every id on the page
+ * @returns {Object<string, HTMLElement>} the elements by their unprefixed id
+ */
+export function mountMarkup(root, prefix = '') {
+  root.innerHTML = GAME_MARKUP;
+  const refs = {};
+  for (const el of root.querySelectorAll('[id]')) {
+    refs[el.id] = el;
+    el.id = prefix + el.id;
+  }
+  if (!prefix) return refs;
+
+  for (const attr of ID_REFS) {
+    for (const el of root.querySelectorAll(`[${attr}]`)) {
+      el.setAttribute(attr, el.getAttribute(attr).split(' ').map(id => prefix + id).join(' '));
+    }
+  }
+  for (const el of root.querySelectorAll('[stroke]')) {
+    el.setAttribute('stroke', el.getAttribute('stroke').replace(/^url\(#/, `url(#${prefix}`));
+  }
+  return refs;
+}
+
+/** Attributes whose text is shown or read out, and so gets translated */
+const TEXT_ATTRS = ['aria-label', 'title', 'placeholder'];
+
+/**
+ * The markup's English text: every text node and labelling attribute
+ * under `root`, outside translate="no". Collect it straight after
+ * mountMarkup(), before the game writes any text of its own.
+ * @param {HTMLElement} root
+ * @returns {Array<{node:Node, attr:string|null, source:string, pad:string[], shown:string}>}
+ */
+export function collectText(root) {
+  const texts = [];
+  const kept  = el => !el.closest('[translate="no"]');
+
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const [, lead, source, trail] = node.data.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (/\p{L}/u.test(source) && kept(node.parentElement)) texts.push({ node, attr: null, source, pad: [lead, trail], shown: node.data });
+  }
+  for (const attr of TEXT_ATTRS) {
+    for (const el of root.querySelectorAll(`[${attr}]`)) {
+      const source = el.getAttribute(attr);
+      if (/\p{L}/u.test(source) && kept(el)) texts.push({ node: el, attr, source, pad: ['', ''], shown: source });
+    }
+  }
+  return texts;
+}
+
+/**
+ * Put collected text into the translator's language. Anything the game has
+ * rewritten since is its own to translate, and left alone.
+ * @param {Array} texts - from collectText()
+ * @param {Function} t - a translator (see createTranslator in i18n.js)
+ */
+export function translateMarkup(texts, t) {
+  for (const text of texts) {
+    const { node, attr, source, pad } = text;
+    if ((attr ? node.getAttribute(attr) : node.data) !== text.shown) continue;
+    text.shown = pad[0] + t(source) + pad[1];
+    if (attr) node.setAttribute(attr, text.shown);
+    else node.data = text.shown;
+  }
+}
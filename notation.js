@@ -0,0 +1,185 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * notation.js
+ *
+ * Compact text notation for games: move lists a player can read or type,
+ * and the URL hash a shared or saved game is resumed from.
+ *
+ *  - Moves are written as the player and a 1-based cell number, read
+ *    left-to-right, top-to-bottom: "X5 O1 X9"
+ *  - When the rules let a player place something other than their own
+ *    letter (wild, numerical), it follows an "=": "X5=O O1=4"
+ *  - A whole game (mode, board, win length, AI level, moves) encodes to a
+ *    URL-hash friendly query string: "mode=pvai&board=3&k=3&level=hard&moves=X5+O1+X9",
+ *    with "rules=misere" (etc.) for anything but standard rules
+ *  - Ultimate games use the engine's board-by-board cell numbers (1–81)
+ *    and "game=ultimate" in place of the board size and win length
+ *  - Cube games number cells layer by layer (1–27 or 1–64) and write
+ *    "game=cube&board=3"; a cube is always won by a full line
+ *  - Gravity games write "game=gravity&board=7&k=4" (board is the width)
+ *    and number the cell each mark landed on, so "X39" is the bottom of
+ *    the middle column of a 7×6 board
+ */
+
+import {
+  createBoard,
+  generateWinCombos,
+  checkResult,
+  applyRuleMove,
+  RULE_SETS,
+  SMALL_BOARD_RULES,
+  createUltimate,
+  applyUltimateMove,
+  ultimateResult,
+  CUBE_SIZES,
+  createCube,
+  cubeCombos,
+  GRAVITY_SIZES,
+  gravityRows,
+  createGravity,
+  gravityCombos,
+  applyGravityMove,
+} from './engine.js';
+
+const MOVE_PATTERN = /^([XO])(\d+)(?:=([XO1-9]))?$/;
+const MODES        = ['pvp', 'pvai'];
+const MIN_SIZE     = 3;
+const MAX_SIZE     = 15;
+
+/** How each variant starts, plays and ends — enough to validate a move list */
+const VARIANTS = {
+  classic: (size, winLength, rules) => {
+    const combos = generateWinCombos(size, winLength);
+    return {
+      start: createBoard(size),
+      play:  (board, move, history) => applyRuleMove(board, move, rules, history),
+      over:  (board, moves) => checkResult(board, combos, rules, moves.length ? moves[0].player : 'X'),
+    };
+  },
+  ultimate: () => ({
+    start: createUltimate(),
+    play:  (game, { index, player, mark = player }) => {
+      if (mark !== player) throw new RangeError(`Illegal move: ${player} can't place ${mark}`);
+      return applyUltimateMove(game, index, player);
+    },
+    over:  ultimateResult,
+  }),
+  cube: (size) => {
+    const combos = cubeCombos(size);
+    return {
+      start: createCube(size),
+      play:  (board, move) => applyRuleMove(board, move),
+      over:  board => checkResult(board, combos),
+    };
+  },
+  gravity: (size, winLength) => {
+    const combos = gravityCombos(size, winLength);
+    return {
+      start: createGravity(size),
+      play:  (board, { index, player, mark = player }) => {
+        if (mark !== player) throw new RangeError(`Illegal move: ${player} can't place ${mark}`);
+        return applyGravityMove(board, index, player, size);
+      },
+      over:  board => checkResult(board, combos),
+    };
+  },
+};
+
+/**
+ * Write a move log as notation.
+ * @param {{index:number, player:'X'|'O', mark?:string|number}[]} moves
+ * @returns {string} e.g. "X5 O1 X9"
+ */
+export function formatMoves(moves) {
+  return moves
+    .map(({ index, player, mark = player }) => `${player}${index + 1}${mark === player ? '' : `=${mark}`}`)
+    .join(' ');
+}
+
+/**
+ * Read notation back into a move log, checking it is a playable game:
+ * cells on the board and free, players alternating (either may start),
+ * marks allowed by the rules, nothing after a win.
+ * @param {string} text
+ * @param {number} size
+ * @param {number} winLength
+ * @param {'classic'|'ultimate'|'cube'|'gravity'} [variant]
+ * @param {string} [rules] - one of RULE_SETS in engine.js (classic only)
+ * @returns {{index:number, player:'X'|'O', mark?:string|number}[]} mark only when it isn't the player's letter
+ * @throws {SyntaxError} on a malformed token
+ * @throws {RangeError} on an illegal move
+ */
+export function parseMoves(text, size, winLength, variant = 'classic', rules = 'standard') {
+  const game   = VARIANTS[variant](size, winLength, rules);
+  const tokens = text.trim().toUpperCase().split(/[\s,+_-]+/).filter(Boolean);
+  const moves  = [];
+  let board    = game.start;
+
+  for (const token of tokens) {
+    const match = MOVE_PATTERN.exec(token);
+    if (!match) throw new SyntaxError(`Bad move "${token}"`);
+
+    const player = match[1];
+    const index  = Number(match[2]) - 1;
+    const mark   = match[3] && (/\d/.test(match[3]) ? Number(match[3]) : match[3]);
+    const move   = mark && mark !== player ? { index, player, mark } : { index, player };
+    const last   = moves[moves.length - 1];
+    if (last && last.player === player) throw new RangeError(`${player} moved twice in a row at "${token}"`);
+    if (game.over(board, moves)) throw new RangeError(`Move "${token}" comes after the game ended`);
+
+    board = game.play(board, move, moves);
+    moves.push(move);
+  }
+  return moves;
+}
+
+/**
+ * Encode a game for the URL hash.
+ * @param {{mode:string, variant?:string, rules?:string, size:number, winLength:number, level?:string, moves:Array}} game
+ * @returns {string}
+ */
+export function encodeGame({ mode, variant = 'classic', rules = 'standard', size, winLength, level, moves }) {
+  const params = variant === 'ultimate' ? new URLSearchParams({ mode, game: variant })
+    : variant === 'cube' ? new URLSearchParams({ mode, game: variant, board: size })
+    : variant === 'gravity' ? new URLSearchParams({ mode, game: variant, board: size, k: winLength })
+    : new URLSearchParams({ mode, board: size, k: winLength });
+  if (variant === 'classic' && rules !== 'standard') params.set('rules', rules);
+  if (mode === 'pvai' && level) params.set('level', level);
+  params.set('moves', formatMoves(moves));
+  return params.toString();
+}
+
+/**
+ * Decode a URL hash (with or without the leading "#").
+ * @param {string} hash
+ * @returns {{mode:string, size:number, winLength:number, level:string|null, moves:Array, variant?:string, rules?:string} | null}
+ *          null when the hash isn't a valid game; variant is only set for
+ *          Ultimate (size 9 cells a side, 3 in a row), cubes (size on an
+ *          edge, a full line) and gravity boards (size columns), rules only
+ *          when they aren't standard
+ */
+export function decodeGame(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  if (!params.has('moves')) return null;
+
+  const mode      = MODES.includes(params.get('mode')) ? params.get('mode') : 'pvp';
+  const variant   = ['ultimate', 'cube', 'gravity'].includes(params.get('game')) ? params.get('game') : 'classic';
+  const ultimate  = variant === 'ultimate';
+  const rules     = variant === 'classic' ? params.get('rules') || 'standard' : 'standard';
+  const size      = ultimate ? 9 : Number(params.get('board') || MIN_SIZE);
+  const winLength = ultimate ? 3 : variant === 'cube' ? size : Number(params.get('k') || size);
+  if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) return null;
+  if (variant === 'cube' && !CUBE_SIZES.includes(size)) return null;
+  if (variant === 'gravity' && (!GRAVITY_SIZES.includes(size) || winLength > gravityRows(size))) return null;
+  if (!Number.isInteger(winLength) || winLength < MIN_SIZE || winLength > size) return null;
+  if (!RULE_SETS.includes(rules) || (SMALL_BOARD_RULES.includes(rules) && size !== 3)) return null;
+
+  try {
+    const moves = parseMoves(params.get('moves'), size, winLength, variant, rules);
+    const game  = { mode, size, winLength, level: params.get('level'), moves };
+    if (variant !== 'classic') return { ...game, variant };
+    return rules === 'standard' ? game : { ...game, rules };
+  } catch (_) {
+    return null;
+  }
+}
@@ -0,0 +1,370 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * recorder.js
+ *
+ * Finished games as pictures: a result card, and the frames of an animated
+ * GIF or a WebM recording of the game. It never makes a canvas of its
+ * own: drawing goes to whatever 2D context it is handed.
+ *
+ *  - A recording is a list of scenes: the empty board, one per move, then
+ *    the win line striking through (recordingScenes())
+ *  - drawScene() paints a scene on a CARD-sized canvas, with the result,
+ *    the players' names and the score around the board
+ *  - encodeGif() writes frames of palette indices as a looping GIF89a
+ *    (LZW compressed here, no library); quantize() turns canvas pixels
+ *    into those indices, against the theme's gifPalette()
+ */
+
+import { createBoard, createCube, createGravity, gravityRows, boardFromMoves } from './engine.js';
+
+/** Pixel size of a card, and of every recorded frame */
+export const CARD = { width: 480, height: 600 };
+
+/** Where the board sits on the card, and its padding around the cells */
+const BOARD = { x: 40, y: 120, size: 400, pad: 16 };
+
+/** How long each scene holds, in ms */
+const HOLD = { start: 600, move: 700, line: 60, end: 2500 };
+
+/** Steps the win line is drawn in */
+const LINE_STEPS = 6;
+
+/** Blend steps between a background and a foreground colour kept in the GIF palette */
+const BLENDS = [0.2, 0.4, 0.6, 0.8];
+
+/** Gap between small boards (Ultimate) or cube layers, as a fraction of the board */
+const GAP = 0.04;
+
+/* ═══════════════════════════════════════════════════════════
+   SCENES
+   ═══════════════════════════════════════════════════════════ */
+
+/**
+ * The scenes of a recording.
+ * @param {Array<{index:number, player:string, mark?:*}>} moves - in play order
+ * @param {{size:number, rules?:string, variant?:string, combo?:number[]|null}} game
+ *        size 9 for Ultimate; combo as the game's result has it
+ * @returns {Array<{board:Array, last:number|null, line:number, delay:number}>}
+ *          line is how much of the win line shows, 0–1; delay in ms
+ */
+export function recordingScenes(moves, { size, rules = 'standard', variant = 'classic', combo = null }) {
+  const start  = variant === 'cube' ? createCube(size) : variant === 'gravity' ? createGravity(size) : createBoard(size);
+  const scenes = [{ board: start.slice(), last: null, line: 0, delay: HOLD.start }];
+
+  moves.forEach((move, i) => {
+    const board = boardFromMoves(moves.slice(0, i + 1), size, rules, start.slice());
+    scenes.push({ board, last: move.index, line: 0, delay: HOLD.move });
+  });
+
+  const final = scenes[scenes.length - 1];
+  if (combo) {
+    for (let step = 1; step <= LINE_STEPS; step++) scenes.push({ ...final, line: step / LINE_STEPS, delay: HOLD.line });
+  }
+  scenes[scenes.length - 1] = { ...scenes[scenes.length - 1], delay: HOLD.end };
+  return scenes;
+}
+
+/**
+ * Every cell's square on the card's board, in pixels: a plain grid, nine
+ * small boards (Ultimate), a cube's layers side by side, or a gravity
+ * board's rows centred top to bottom.
+ * @param {string} variant
+ * @param {number} size
+ * @returns {Array<{x:number, y:number, s:number}>} by cell index
+ */
+export function cellBoxes(variant, size) {
+  const inner = BOARD.size - 2 * BOARD.pad;
+  const box   = (x, y, s) => ({ x: BOARD.x + BOARD.pad + x * inner, y: BOARD.y + BOARD.pad + y * inner, s: s * inner });
+
+  if (variant === 'ultimate') {
+    const s = (1 - 2 * GAP) / 9;
+    return Array.from({ length: 81 }, (_, i) => {
+      const b = Math.floor(i / 9);
+      const c = i % 9;
+      return box((b % 3) * (3 * s + GAP) + (c % 3) * s, Math.floor(b / 3) * (3 * s + GAP) + Math.floor(c / 3) * s, s);
+    });
+  }
+
+  if (variant === 'cube') {
+    const cols  = Math.ceil(Math.sqrt(size));
+    const rows  = Math.ceil(size / cols);
+    const layer = (1 - GAP * (cols - 1)) / cols;
+    const top   = (1 - rows * layer - (rows - 1) * GAP) / 2;
+    const s     = layer / size;
+    return Array.from({ length: size ** 3 }, (_, i) => {
+      const l = Math.floor(i / (size * size));
+      return box(
+        (l % cols) * (layer + GAP) + (i % size) * s,
+        top + Math.floor(l / cols) * (layer + GAP) + (Math.floor(i / size) % size) * s,
+        s,
+      );
+    });
+  }
+
+  if (variant === 'gravity') {
+    const top = (1 - gravityRows(size) / size) / 2;
+    return Array.from({ length: size * gravityRows(size) }, (_, i) => box((i % size) / size, top + Math.floor(i / size) / size, 1 / size));
+  }
+
+  return Array.from({ length: size * size }, (_, i) => box((i % size) / size, Math.floor(i / size) / size, 1 / size));
+}
+
+/* ═══════════════════════════════════════════════════════════
+   DRAWING
+   ═══════════════════════════════════════════════════════════ */
+
+/** "#rrggbb" → [r, g, b] */
+function channels(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [n >> 16, (n >> 8) & 255, n & 255];
+}
+
+const rgba = (hex, alpha) => `rgba(${channels(hex).join(', ')}, ${alpha})`;
+
+function roundRect(ctx, x, y, w, h, r) {
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + w, y, x + w, y + h, r);
+  ctx.arcTo(x + w, y + h, x, y + h, r);
+  ctx.arcTo(x, y + h, x, y, r);
+  ctx.arcTo(x, y, x + w, y, r);
+  ctx.closePath();
+}
+
+/**
+ * Paint one scene on a CARD-sized canvas.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{board:Array, last:number|null, line:number}} scene - from recordingScenes(), or the final position
+ * @param {object} card
+ * @param {string} card.variant
+ * @param {number} card.size
+ * @param {{bg:string, surface:string, text:string, x:string, o:string}} card.colors - "#rrggbb"
+ * @param {{X:string, O:string}} card.marks - how each mark is drawn (the skin)
+ * @param {{X:string, O:string}} card.names
+ * @param {{X:number, O:number, draw:number}} card.score
+ * @param {string} card.title - "X Wins!", "It's a Draw!"…
+ * @param {string} [card.subtitle]
+ * @param {{winner:string, combo?:number[]}} [card.result]
+ * @param {string} [card.font] - font family
+ */
+export function drawScene(ctx, scene, card) {
+  const { variant, size, colors, marks, names, score, title, subtitle = '', result = null, font = 'sans-serif' } = card;
+  const { width, height } = CARD;
+  const boxes  = cellBoxes(variant, size);
+  const accent = { X: colors.x, O: colors.o };
+  const won    = result && result.combo && scene.line > 0;
+
+  ctx.fillStyle = colors.bg;
+  ctx.fillRect(0, 0, width, height);
+  ctx.textAlign    = 'center';
+  ctx.textBaseline = 'middle';
+
+  // Result
+  ctx.fillStyle = result && accent[result.winner] ? accent[result.winner] : colors.text;
+  ctx.font      = `700 32px ${font}`;
+  ctx.fillText(title, width / 2, 56, width - 2 * BOARD.x);
+  ctx.fillStyle = rgba(colors.text, 0.6);
+  ctx.font      = `400 15px ${font}`;
+  ctx.fillText(subtitle, width / 2, 94, width - 2 * BOARD.x);
+
+  // Board
+  ctx.fillStyle = colors.surface;
+  roundRect(ctx, BOARD.x, BOARD.y, BOARD.size, BOARD.size, 18);
+  ctx.fill();
+
+  const winning = new Set(won && variant !== 'ultimate' ? result.combo : []);
+  scene.board.forEach((mark, i) => {
+    const { x, y, s } = boxes[i];
+    const inset = Math.max(1, s * 0.05);
+    const owner = i === scene.last || winning.has(i) ? accent[mark] || colors.text : null;
+    ctx.fillStyle = owner ? rgba(owner, 0.16) : rgba(colors.text, 0.05);
+    roundRect(ctx, x + inset, y + inset, s - 2 * inset, s - 2 * inset, Math.min(10, s * 0.15));
+    ctx.fill();
+
+    if (mark === null) return;
+    ctx.fillStyle = accent[mark] || colors.text;
+    ctx.font      = `700 ${Math.round(s * 0.55)}px ${font}`;
+    ctx.fillText(marks[mark] || String(mark), x + s / 2, y + s / 2 + s * 0.03);
+  });
+
+  // Win line — across small boards in Ultimate, from centre cell to centre cell
+  if (won) {
+    const cell   = variant === 'ultimate' ? b => boxes[b * 9 + 4] : i => boxes[i];
+    const center = ({ x, y, s }) => [x + s / 2, y + s / 2];
+    const [x1, y1] = center(cell(result.combo[0]));
+    const [x2, y2] = center(cell(result.combo[result.combo.length - 1]));
+    ctx.strokeStyle = accent[result.winner];
+    ctx.lineWidth   = Math.max(3, (BOARD.size - 2 * BOARD.pad) * Math.max(2, 18 / (variant === 'ultimate' ? 3 : size)) / 300);
+    ctx.lineCap     = 'round';
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x1 + (x2 - x1) * scene.line, y1 + (y2 - y1) * scene.line);
+    ctx.stroke();
+  }
+
+  // Players and score
+  const footer = BOARD.y + BOARD.size + 40;
+  ctx.font      = `600 17px ${font}`;
+  ctx.textAlign = 'left';
+  ctx.fillStyle = colors.x;
+  ctx.fillText(`${marks.X}  ${names.X}`, BOARD.x, footer, 150);
+  ctx.textAlign = 'right';
+  ctx.fillStyle = colors.o;
+  ctx.fillText(`${names.O}  ${marks.O}`, width - BOARD.x, footer, 150);
+  ctx.textAlign = 'center';
+  ctx.fillStyle = colors.text;
+  ctx.font      = `700 24px ${font}`;
+  ctx.fillText(`${score.X} – ${score.O}`, width / 2, footer);
+  ctx.fillStyle = rgba(colors.text, 0.4);
+  ctx.font      = `400 12px ${font}`;
+  ctx.fillText(score.draw ? `${score.draw} drawn · NEXUS` : 'NEXUS', width / 2, footer + 28);
+}
+
+/* ═══════════════════════════════════════════════════════════
+   GIF
+   ═══════════════════════════════════════════════════════════ */
+
+/**
+ * 256 colours to draw a card with: the theme's own five, blends of the
+ * board's background and surface with each foreground colour (so
+ * anti-aliased edges stay smooth), then a 6×6×6 cube for anything else
+ * (emoji marks).
+ * @param {{bg:string, surface:string, text:string, x:string, o:string}} colors
+ * @returns {number[][]} [r, g, b] × 256
+ */
+export function gifPalette(colors) {
+  const { bg, surface, text, x, o } = colors;
+  const palette = [bg, surface, text, x, o].map(channels);
+  for (const back of [bg, surface]) {
+    for (const fore of [text, x, o]) {
+      const [a, b] = [channels(back), channels(fore)];
+      for (const t of BLENDS) palette.push(a.map((c, i) => Math.round(c + (b[i] - c) * t)));
+    }
+  }
+  const steps = [0, 51, 102, 153, 204, 255];
+  for (const r of steps) for (const g of steps) for (const b of steps) palette.push([r, g, b]);
+  while (palette.length < 256) palette.push([0, 0, 0]);
+  return palette.slice(0, 256);
+}
+
+/**
+ * Map RGBA pixels to their nearest palette entry. Pass the same `cache`
+ * for every frame of a recording: cards have few distinct colours.
+ * @param {Uint8ClampedArray|Uint8Array} rgba - 4 bytes per pixel, as getImageData() gives
+ * @param {number[][]} palette
+ * @param {Map<number, number>} [cache] - rgb → index
+ * @returns {Uint8Array} one palette index per pixel
+ */
+export function quantize(rgba, palette, cache = new Map()) {
+  const indices = new Uint8Array(rgba.length / 4);
+  for (let p = 0; p < indices.length; p++) {
+    const r = rgba[p * 4], g = rgba[p * 4 + 1], b = rgba[p * 4 + 2];
+    const key = (r << 16) | (g << 8) | b;
+    let index = cache.get(key);
+    if (index === undefined) {
+      let best = Infinity;
+      palette.forEach(([pr, pg, pb], i) => {
+        const d = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+        if (d < best) [best, index] = [d, i];
+      });
+      cache.set(key, index);
+    }
+    indices[p] = index;
+  }
+  return indices;
+}
+
+/** Variable-width LZW codes of 8-bit indices, as GIF image data wants them */
+function lzw(indices) {
+  const clear = 256;
+  const end   = 257;
+  const bytes = [];
+  let width = 9, next = end + 1, acc = 0, bits = 0;
+  let table = new Map();
+
+  const write = (code) => {
+    acc |= code << bits;
+    bits += width;
+    while (bits >= 8) {
+      bytes.push(acc & 255);
+      acc >>>= 8;
+      bits -= 8;
+    }
+  };
+
+  write(clear);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const key  = (prefix << 8) | indices[i];
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    write(prefix);
+    if (next === 4096) {
+      // Table full: start over
+      write(clear);
+      table = new Map();
+      next  = end + 1;
+      width = 9;
+    } else {
+      if (next >= 1 << width) width++;
+      table.set(key, next++);
+    }
+    prefix = indices[i];
+  }
+  write(prefix);
+  write(end);
+  if (bits > 0) bytes.push(acc & 255);
+  return bytes;
+}
+
+/**
+ * An animated GIF that loops forever.
+ * @param {{width:number, height:number, palette:number[][], frames:Array<{indices:Uint8Array, delay:number}>}} gif
+ *        palette of 256 colours; each frame one index per pixel, shown for `delay` ms
+ * @returns {Uint8Array}
+ * @throws {RangeError} if there are no frames, or a frame is the wrong size
+ */
+export function encodeGif({ width, height, palette, frames }) {
+  if (!frames.length) throw new RangeError('A GIF needs at least one frame');
+  const out = [];
+  const u16 = n => out.push(n & 255, (n >> 8) & 255);
+  const ascii = s => out.push(...[...s].map(ch => ch.charCodeAt(0)));
+
+  ascii('GIF89a');
+  u16(width);
+  u16(height);
+  out.push(0xf7, 0, 0); // global 256-colour table; background 0; square pixels
+  for (let i = 0; i < 256; i++) out.push(...(palette[i] || [0, 0, 0]));
+
+  // Loop forever (the NETSCAPE2.0 extension)
+  out.push(0x21, 0xff, 11);
+  ascii('NETSCAPE2.0');
+  out.push(3, 1, 0, 0, 0);
+
+  for (const { indices, delay } of frames) {
+    if (indices.length !== width * height) throw new RangeError(`A frame must have ${width * height} pixels`);
+    out.push(0x21, 0xf9, 4, 0);
+    u16(Math.round(delay / 10)); // centiseconds
+    out.push(0, 0);
+
+    out.push(0x2c);
+    u16(0);
+    u16(0);
+    u16(width);
+    u16(height);
+    out.push(0, 8); // no local colour table; 8-bit codes
+
+    const data = lzw(indices);
+    for (let i = 0; i < data.length; i += 255) {
+      const block = data.slice(i, i + 255);
+      out.push(block.length, ...block);
+    }
+    out.push(0);
+  }
+
+  out.push(0x3b);
+  return Uint8Array.from(out);
+}
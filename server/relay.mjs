@@ -0,0 +1,382 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * server/relay.mjs
+ *
+ * Small WebSocket relay for online play. No dependencies:
+ *
+ *   node server/relay.mjs            # listens on ws://localhost:8787
+ *   PORT=9000 node server/relay.mjs
+ *
+ * The server owns each room's board: it checks turn order and cell
+ * legality before relaying a move, keeps seats for players who drop so
+ * they can rejoin with their token, and lets any number of spectators watch.
+ *
+ * Client → server:  create { size, winLength } | join { room, spectate? }
+ *                   rejoin { room, token } | move { index } | restart | leave
+ * Server → client:  joined { room, seat, token, game } | move { index, player }
+ *                   restart { game } | presence { X, O, spectators } | error { message }
+ */
+
+import { createServer } from 'node:http';
+import { createHash, randomBytes } from 'node:crypto';
+
+import { createBoard, generateWinCombos, applyMove, checkResult } from '../engine.js';
+
+/* ═══════════════════════════════════════════════════════════
+   CONSTANTS
+   ═══════════════════════════════════════════════════════════ */
+
+const PORT          = Number(process.env.PORT) || 8787;
+const WS_GUID       = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD   = 64 * 1024;
+const PING_INTERVAL = 30_000;
+const ROOM_TTL      = 10 * 60_000; // empty rooms are dropped after this long
+const CODE_CHARS    = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const MIN_SIZE      = 3;
+const MAX_SIZE      = 15;
+
+/* ═══════════════════════════════════════════════════════════
+   WEBSOCKET  (RFC 6455 — just the parts we need)
+   ═══════════════════════════════════════════════════════════ */
+
+const OPCODE = { continuation: 0x0, text: 0x1, close: 0x8, ping: 0x9, pong: 0xA };
+
+/** Encode one unmasked server frame */
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode; header[1] = 126;
+    header.writeUInt16BE(len, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode; header[1] = 127;
+    header.writeBigUInt64BE(BigInt(len), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Wrap an upgraded socket as a minimal message-oriented client.
+ * @param {import('node:net').Socket} socket
+ * @param {(client:object, message:object) => void} onMessage
+ * @param {(client:object) => void} onClose
+ */
+function createClient(socket, onMessage, onClose) {
+  let buffer    = Buffer.alloc(0);
+  let fragments = [];
+  let closed    = false;
+
+  const client = {
+    alive: true,
+    room:  null,
+    seat:  null, // 'X' | 'O' | 'spectator'
+
+    send(message) {
+      if (!closed) socket.write(encodeFrame(OPCODE.text, Buffer.from(JSON.stringify(message))));
+    },
+    ping() {
+      if (!closed) socket.write(encodeFrame(OPCODE.ping));
+    },
+    close(code = 1000) {
+      if (closed) return;
+      const payload = Buffer.alloc(2);
+      payload.writeUInt16BE(code);
+      socket.end(encodeFrame(OPCODE.close, payload));
+      finish();
+    },
+  };
+
+  function finish() {
+    if (closed) return;
+    closed = true;
+    onClose(client);
+  }
+
+  /** Pull every complete frame out of the buffer */
+  function drain() {
+    while (buffer.length >= 2) {
+      const fin    = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let len      = buffer[1] & 0x7f;
+      let offset   = 2;
+
+      if (len === 126) {
+        if (buffer.length < 4) return;
+        len = buffer.readUInt16BE(2); offset = 4;
+      } else if (len === 127) {
+        if (buffer.length < 10) return;
+        len = Number(buffer.readBigUInt64BE(2)); offset = 10;
+      }
+      if (!masked || len > MAX_PAYLOAD) return client.close(1002);
+      if (buffer.length < offset + 4 + len) return;
+
+      const mask    = buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + len));
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      buffer = buffer.subarray(offset + 4 + len);
+
+      switch (opcode) {
+        case OPCODE.text:
+        case OPCODE.continuation:
+          fragments.push(payload);
+          if (!fin) break;
+          handleText(Buffer.concat(fragments).toString('utf8'));
+          fragments = [];
+          break;
+        case OPCODE.ping:
+          socket.write(encodeFrame(OPCODE.pong, payload));
+          break;
+        case OPCODE.pong:
+          client.alive = true;
+          break;
+        case OPCODE.close:
+          client.close();
+          return;
+        default:
+          return client.close(1003); // binary frames are not part of the protocol
+      }
+    }
+  }
+
+  function handleText(text) {
+    let message;
+    try { message = JSON.parse(text); } catch (_) { return client.send({ type: 'error', message: 'Malformed message' }); }
+    if (message && typeof message.type === 'string') onMessage(client, message);
+  }
+
+  socket.on('data', chunk => { buffer = Buffer.concat([buffer, chunk]); drain(); });
+  socket.on('close', finish);
+  socket.on('error', finish);
+
+  return client;
+}
+
+/* ═══════════════════════════════════════════════════════════
+   ROOMS
+   ═══════════════════════════════════════════════════════════ */
+
+/** @type {Map<string, object>} */
+const rooms = new Map();
+
+function newRoomCode() {
+  let code;
+  do {
+    code = Array.from(randomBytes(4), b => CODE_CHARS[b % CODE_CHARS.length]).join('');
+  } while (rooms.has(code));
+  return code;
+}
+
+const newToken = () => randomBytes(12).toString('hex');
+
+function createRoom(size, winLength) {
+  size      = Math.min(MAX_SIZE, Math.max(MIN_SIZE, Number(size) || MIN_SIZE));
+  winLength = Math.min(size, Math.max(MIN_SIZE, Number(winLength) || size));
+
+  const room = {
+    code:       newRoomCode(),
+    size,
+    winLength,
+    combos:     generateWinCombos(size, winLength),
+    board:      createBoard(size),
+    starter:    'X',  // who opens the current game — alternates after each finished one
+    current:    'X',
+    moves:      [],
+    result:     null,
+    score:      { X: 0, O: 0, draw: 0 },
+    seats:      { X: null, O: null }, // { token, client }
+    spectators: new Set(),
+    expiry:     null,
+  };
+  rooms.set(room.code, room);
+  return room;
+}
+
+/** Everything a (re)joining client needs to rebuild the game */
+function snapshot(room) {
+  return {
+    size:      room.size,
+    winLength: room.winLength,
+    moves:     room.moves,
+    current:   room.current,
+    result:    room.result,
+    score:     room.score,
+  };
+}
+
+function broadcast(room, message) {
+  for (const seat of Object.values(room.seats)) seat?.client?.send(message);
+  for (const spectator of room.spectators) spectator.send(message);
+}
+
+function broadcastPresence(room) {
+  broadcast(room, {
+    type:       'presence',
+    X:          Boolean(room.seats.X?.client),
+    O:          Boolean(room.seats.O?.client),
+    spectators: room.spectators.size,
+  });
+}
+
+/** Put a client into a room as a player or spectator */
+function seatClient(client, room, seat, token) {
+  leaveRoom(client);
+  clearTimeout(room.expiry);
+  client.room = room;
+  client.seat = seat;
+
+  if (seat === 'spectator') room.spectators.add(client);
+  else room.seats[seat] = { token, client };
+
+  client.send({ type: 'joined', room: room.code, seat, token, game: snapshot(room) });
+  broadcastPresence(room);
+}
+
+/** Detach a client; players keep their seat (and token) for a rejoin */
+function leaveRoom(client, { forfeitSeat = false } = {}) {
+  const room = client.room;
+  if (!room) return;
+
+  if (client.seat === 'spectator') {
+    room.spectators.delete(client);
+  } else if (room.seats[client.seat]?.client === client) {
+    if (forfeitSeat) room.seats[client.seat] = null;
+    else room.seats[client.seat].client = null;
+  }
+  client.room = null;
+  client.seat = null;
+
+  const occupied = room.spectators.size || Object.values(room.seats).some(s => s?.client);
+  if (occupied) broadcastPresence(room);
+  else room.expiry = setTimeout(() => rooms.delete(room.code), ROOM_TTL);
+}
+
+/* ═══════════════════════════════════════════════════════════
+   MESSAGE HANDLERS
+   ═══════════════════════════════════════════════════════════ */
+
+const handlers = {
+  create(client, { size, winLength }) {
+    const room = createRoom(size, winLength);
+    seatClient(client, room, 'X', newToken());
+  },
+
+  join(client, { room: code, spectate }) {
+    const room = rooms.get(String(code || '').toUpperCase());
+    if (!room) return client.send({ type: 'error', message: 'Room not found' });
+
+    const seat = spectate ? 'spectator'
+      : !room.seats.X ? 'X'
+      : !room.seats.O ? 'O'
+      : 'spectator';
+    seatClient(client, room, seat, seat === 'spectator' ? null : newToken());
+  },
+
+  rejoin(client, { room: code, token }) {
+    const room = rooms.get(String(code || '').toUpperCase());
+    if (!room) return client.send({ type: 'error', message: 'Room not found' });
+
+    const seat = ['X', 'O'].find(s => room.seats[s] && room.seats[s].token === token);
+    if (!seat) return handlers.join(client, { room: code });
+
+    room.seats[seat].client?.close();
+    seatClient(client, room, seat, token);
+  },
+
+  move(client, { index }) {
+    const room = client.room;
+    if (!room) return client.send({ type: 'error', message: 'Not in a room' });
+    if (client.seat !== room.current) return client.send({ type: 'error', message: 'Not your turn' });
+    if (room.result) return client.send({ type: 'error', message: 'Game is over' });
+    if (!room.seats.X?.client || !room.seats.O?.client) {
+      return client.send({ type: 'error', message: 'Waiting for opponent' });
+    }
+
+    const player = room.current;
+    try {
+      room.board = applyMove(room.board, index, player);
+    } catch (_) {
+      return client.send({ type: 'error', message: 'Illegal move' });
+    }
+    room.moves.push({ index, player });
+    room.result = checkResult(room.board, room.combos);
+    if (room.result) room.score[room.result.winner]++;
+    else room.current = player === 'X' ? 'O' : 'X';
+
+    broadcast(room, { type: 'move', index, player });
+  },
+
+  restart(client) {
+    const room = client.room;
+    if (!room || client.seat === 'spectator') return;
+
+    if (room.result) room.starter = room.starter === 'X' ? 'O' : 'X';
+    room.board   = createBoard(room.size);
+    room.current = room.starter;
+    room.moves   = [];
+    room.result  = null;
+    broadcast(room, { type: 'restart', game: snapshot(room) });
+  },
+
+  leave(client) {
+    leaveRoom(client, { forfeitSeat: true });
+  },
+};
+
+function onMessage(client, message) {
+  const handler = Object.hasOwn(handlers, message.type) && handlers[message.type];
+  if (handler) handler(client, message);
+  else client.send({ type: 'error', message: `Unknown message type "${message.type}"` });
+}
+
+/* ═══════════════════════════════════════════════════════════
+   SERVER
+   ═══════════════════════════════════════════════════════════ */
+
+const clients = new Set();
+
+const server = createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/plain' });
+  res.end(`NEXUS relay — ${rooms.size} room(s)\n`);
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', '',
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  const client = createClient(socket, onMessage, c => {
+    clients.delete(c);
+    leaveRoom(c);
+  });
+  clients.add(client);
+});
+
+// Drop connections that stop answering pings
+setInterval(() => {
+  for (const client of clients) {
+    if (!client.alive) { client.close(1001); continue; }
+    client.alive = false;
+    client.ping();
+  }
+}, PING_INTERVAL).unref();
+
+server.listen(PORT, () => {
+  console.log(`NEXUS relay listening on ws://localhost:${PORT}`);
+});
@@ -0,0 +1,371 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * strategies.js
+ *
+ * AI players behind one interface, and an arena to pit them against each
+ * other. Arena games are played on plain positions, never the page's board,
+ * so they run the same in the page and in tests.
+ *
+ * A strategy is { id, label, move(position, tools) }:
+ *  - position: { variant, rules, size, winLength, starter, board, player,
+ *    history, lastIndex } — the game so far and the side to move
+ *  - tools: { search, deadline } — search runs one engine task (runTask
+ *    by default; the page passes its worker); deadline caps thinking time
+ *  - move returns (or resolves to) { index, mark? }, or null to give up
+ *    quietly (the page cancelled the search)
+ *
+ * Bring your own from the console or another module:
+ *
+ *   const { registerStrategy } = await import('./strategies.js');
+ *   registerStrategy({ id: 'first', label: 'First free cell',
+ *     move: ({ board }) => ({ index: board.indexOf(null) }) });
+ *
+ * A strategy that throws or plays an illegal move forfeits the game.
+ */
+
+import {
+  createBoard,
+  generateWinCombos,
+  checkResult,
+  candidateMoves,
+  legalMarks,
+  applyRuleMove,
+  runTask,
+  ultimateGame,
+  ultimateMoves,
+  applyUltimateMove,
+  ultimateResult,
+  CUBE_SIZES,
+  createCube,
+  cubeCombos,
+  gravityShape,
+  createGravity,
+  gravityCombos,
+  gravityMoves,
+  applyGravityMove,
+} from './engine.js';
+
+/** Deepest Ultimate search, in plies — deeper stalls on positions with a free choice of board */
+export const ULTIMATE_MAX_DEPTH = 6;
+
+/** Deepest cube search, by edge — 27 or 64 open cells make every extra ply costly */
+export const CUBE_MAX_DEPTH = { 3: 4, 4: 3 };
+
+/** Deepest gravity search up to 7 columns; wider boards go two plies shallower */
+export const GRAVITY_MAX_DEPTH = 8;
+
+/** Rolling games never fill up, so even a full-strength search has a fixed horizon */
+export const ROLLING_MAX_DEPTH = 10;
+
+/** Plies after which an arena game is called a draw (rolling games can go on forever) */
+export const ARENA_MAX_PLIES = 200;
+
+/* ═══════════════════════════════════════════════════════════
+   REGISTRY
+   ═══════════════════════════════════════════════════════════ */
+
+const registry = new Map();
+
+/**
+ * Add a strategy, or replace the one with the same id.
+ * @param {{id:string, label?:string, move:Function}} strategy
+ * @param {Map} [into] - where to keep it: the shared registry, or a game's own map
+ *        (which that game looks in first, leaving every other game's list alone)
+ * @returns {object} the strategy
+ * @throws {TypeError} if it has no id or no move()
+ */
+export function registerStrategy(strategy, into = registry) {
+  if (!strategy || typeof strategy.id !== 'string' || !strategy.id || typeof strategy.move !== 'function') {
+    throw new TypeError('A strategy needs an id and a move() function');
+  }
+  const entry = { label: strategy.id, ...strategy };
+  into.set(entry.id, entry);
+  return entry;
+}
+
+/** The strategy registered under `id`, or null */
+export const getStrategy = id => registry.get(id) || null;
+
+/** Every registered strategy, in the order they were first added */
+export const listStrategies = () => [...registry.values()];
+
+/* ═══════════════════════════════════════════════════════════
+   BUILT-IN STRATEGIES
+   ═══════════════════════════════════════════════════════════ */
+
+const pick = list => list[Math.floor(Math.random() * list.length)];
+
+/** Any legal move, uniformly at random */
+export const randomStrategy = {
+  id:    'random',
+  label: 'Random',
+  move:  position => pick(positionMoves(position)),
+};
+
+/**
+ * How deep a search goes on the position's board: `levelDepth`, further
+ * capped on larger boards so it stays interactive. 3×3 can be solved
+ * outright; Ultimate, cubes, gravity boards and rolling games can't, so they
+ * get a fixed horizon.
+ * @param {number} levelDepth - plies (Infinity for full strength)
+ * @param {{variant:string, rules:string, size:number}} position
+ * @returns {number}
+ */
+export function searchDepth(levelDepth, { variant, rules, size }) {
+  if (variant === 'ultimate') return Math.min(levelDepth, ULTIMATE_MAX_DEPTH);
+  if (variant === 'cube') return Math.min(levelDepth, CUBE_MAX_DEPTH[size]);
+  if (variant === 'gravity') return Math.min(levelDepth, size <= 7 ? GRAVITY_MAX_DEPTH : GRAVITY_MAX_DEPTH - 2);
+  if (rules === 'rolling') return Math.min(levelDepth, ROLLING_MAX_DEPTH);
+  if (size === 3) return levelDepth;
+  if (size <= 4) return Math.min(levelDepth, 4);
+  return Math.min(levelDepth, size <= 6 ? 3 : 2);
+}
+
+/**
+ * Alpha-beta minimax from engine.js at a given strength.
+ * @param {{id:string, label:string, depth:number, mistakeRate?:number}} options
+ *        depth in plies (capped by searchDepth()); mistakeRate is the chance
+ *        of playing a random nearby cell instead of searching
+ * @returns {object} strategy
+ */
+export function minimaxStrategy({ id, label, depth, mistakeRate = 0 }) {
+  return {
+    id,
+    label,
+    async move(position, { search = runTask, deadline = Infinity } = {}) {
+      const { variant, board, player, size } = position;
+      const horizon = searchDepth(depth, position);
+
+      if (Math.random() < mistakeRate) {
+        const cells = variant === 'ultimate' ? ultimateMoves(ultimateGame(board, position.lastIndex))
+          : variant === 'gravity' ? gravityMoves(board, size)
+          : candidateMoves(board, size);
+        return { index: pick(cells), mark: pick(legalMarksFor(position)) };
+      }
+
+      if (variant === 'ultimate') {
+        const index = await search({ task: 'ultimate', board: board.slice(), lastIndex: position.lastIndex, depth: horizon, player, deadline });
+        return index === null ? null : { index, mark: player };
+      }
+
+      if (variant === 'cube') {
+        const index = await search({ task: 'cube', board: board.slice(), size, depth: horizon, player, deadline });
+        return index === null ? null : { index, mark: player };
+      }
+
+      if (variant === 'gravity') {
+        const index = await search({ task: 'gravity', board: board.slice(), size, winLength: position.winLength, depth: horizon, player, deadline });
+        return index === null ? null : { index, mark: player };
+      }
+
+      return search({
+        task:      'play',
+        board:     board.slice(),
+        size,
+        winLength: position.winLength,
+        rules:     position.rules,
+        history:   position.history.slice(),
+        depth:     horizon,
+        player,
+        deadline,
+      });
+    },
+  };
+}
+
+/* ═══════════════════════════════════════════════════════════
+   POSITIONS
+   ═══════════════════════════════════════════════════════════ */
+
+const comboCache = new Map();
+
+/** Win lines for a board, generated once per size and win length */
+function combosFor(size, winLength) {
+  const key = `${size}:${winLength}`;
+  if (!comboCache.has(key)) comboCache.set(key, generateWinCombos(size, winLength));
+  return comboCache.get(key);
+}
+
+/**
+ * A game before the first move.
+ * @param {{variant?:string, rules?:string, size?:number, winLength?:number, starter?:'X'|'O'}} [config]
+ *        Ultimate is always nine 3×3 boards under standard rules; a cube is
+ *        3 or 4 on an edge, a full line to win, under standard rules; a
+ *        gravity board is whatever gravityShape() in engine.js makes of the
+ *        size and win length, under standard rules
+ * @returns {object} position
+ */
+export function startPosition({ variant = 'classic', rules = 'standard', size = 3, winLength = size, starter = 'X' } = {}) {
+  if (variant === 'gravity') {
+    const shape = gravityShape(size, winLength);
+    return {
+      variant,
+      rules:     'standard',
+      size:      shape.size,
+      winLength: shape.winLength,
+      starter,
+      board:     createGravity(shape.size),
+      player:    starter,
+      history:   [],
+      lastIndex: null,
+    };
+  }
+
+  const ultimate = variant === 'ultimate';
+  const cube     = variant === 'cube';
+  const edge     = cube && !CUBE_SIZES.includes(size) ? CUBE_SIZES[0] : size;
+  return {
+    variant:   ultimate || cube ? variant : 'classic',
+    rules:     ultimate || cube ? 'standard' : rules,
+    size:      ultimate ? 9 : edge,
+    winLength: ultimate ? 3 : cube ? edge : winLength,
+    starter,
+    board:     cube ? createCube(edge) : createBoard(ultimate ? 9 : size),
+    player:    starter,
+    history:   [],
+    lastIndex: null,
+  };
+}
+
+/** The marks the side to move may place (only wild and numerical rules offer a choice) */
+function legalMarksFor({ variant, board, player, rules, starter }) {
+  return variant === 'ultimate' ? [player] : legalMarks(board, player, rules, starter);
+}
+
+/**
+ * Every legal move for the side to move.
+ * @param {object} position
+ * @returns {{index:number, mark:string|number}[]}
+ */
+export function positionMoves(position) {
+  const cells = position.variant === 'ultimate' ? ultimateMoves(ultimateGame(position.board, position.lastIndex))
+    : position.variant === 'gravity' ? gravityMoves(position.board, position.size)
+    : position.board.flatMap((cell, i) => (cell === null ? [i] : []));
+  const marks = legalMarksFor(position);
+  return cells.flatMap(index => marks.map(mark => ({ index, mark })));
+}
+
+/**
+ * The position after the side to move plays `move`. The input is not modified.
+ * @param {object} position
+ * @param {{index:number, mark?:string|number}} move
+ * @returns {object} position
+ * @throws {RangeError} if the move is illegal
+ */
+export function playMove(position, { index, mark = position.player }) {
+  const { player, board, rules, history } = position;
+  if (!legalMarksFor(position).includes(mark)) throw new RangeError(`Illegal move: ${player} can't place ${mark}`);
+
+  const next = position.variant === 'ultimate' ? applyUltimateMove(ultimateGame(board, position.lastIndex), index, player).board
+    : position.variant === 'gravity' ? applyGravityMove(board, index, player, position.size)
+    : applyRuleMove(board, { index, player, mark }, rules, history);
+  return {
+    ...position,
+    board:     next,
+    player:    player === 'X' ? 'O' : 'X',
+    history:   [...history, mark === player ? { index, player } : { index, player, mark }],
+    lastIndex: index,
+  };
+}
+
+/**
+ * The result once the game is over, or null while it is open.
+ * @param {object} position
+ * @returns {null | {winner:'X'|'O'|'draw', combo?:number[]}}
+ */
+export function positionResult({ variant, board, size, winLength, rules, starter }) {
+  if (variant === 'ultimate') return ultimateResult(ultimateGame(board, null));
+  if (variant === 'cube') return checkResult(board, cubeCombos(size));
+  if (variant === 'gravity') return checkResult(board, gravityCombos(size, winLength));
+  return checkResult(board, combosFor(size, winLength), rules, starter);
+}
+
+/* ═══════════════════════════════════════════════════════════
+   ARENA
+   ═══════════════════════════════════════════════════════════ */
+
+/**
+ * Play one game between two strategies.
+ * @param {{X:object, O:object}} seats - strategies
+ * @param {object} [config] - as for startPosition()
+ * @param {{search?:Function, deadline?:number}} [tools] - passed to every move()
+ * @returns {Promise<{winner:'X'|'O'|'draw', combo?:number[], reason?:string, moves:Array} | null>}
+ *          reason is 'forfeit' (the loser threw or played an illegal move) or
+ *          'move-limit' (a drawn game that ran past ARENA_MAX_PLIES); null if a
+ *          strategy gave up (a cancelled search)
+ */
+export async function playGame(seats, config = {}, tools = {}) {
+  let position = startPosition(config);
+  const forfeit = () => ({ winner: position.player === 'X' ? 'O' : 'X', combo: null, reason: 'forfeit', moves: position.history });
+
+  for (let ply = 0; ply < ARENA_MAX_PLIES; ply++) {
+    const result = positionResult(position);
+    if (result) return { ...result, moves: position.history };
+
+    let move;
+    try {
+      move = await seats[position.player].move(position, tools);
+    } catch (_) {
+      return forfeit();
+    }
+    if (move === null) return null;
+
+    try {
+      position = playMove(position, move || {});
+    } catch (err) {
+      if (!(err instanceof RangeError)) throw err;
+      return forfeit();
+    }
+  }
+  return { winner: 'draw', combo: null, reason: 'move-limit', moves: position.history };
+}
+
+/** Win / draw / loss totals for both bots of an arena, from each one's side */
+export function createTally() {
+  return { played: 0, a: { win: 0, draw: 0, loss: 0 }, b: { win: 0, draw: 0, loss: 0 } };
+}
+
+/**
+ * Count one finished arena game.
+ * @param {object} tally - from createTally(), updated in place
+ * @param {'X'|'O'} aSeat - the side bot A played
+ * @param {'X'|'O'|'draw'} winner
+ * @returns {object} tally
+ */
+export function tallyGame(tally, aSeat, winner) {
+  tally.played++;
+  if (winner === 'draw') {
+    tally.a.draw++;
+    tally.b.draw++;
+  } else if (winner === aSeat) {
+    tally.a.win++;
+    tally.b.loss++;
+  } else {
+    tally.a.loss++;
+    tally.b.win++;
+  }
+  return tally;
+}
+
+/** The side bot A plays in game `n` (0-based): X first, then swapping every game */
+export const arenaSeat = n => (n % 2 ? 'O' : 'X');
+
+/**
+ * Play `games` games between two strategies, swapping X and O every game.
+ * @param {{a:object, b:object, games:number, signal?:AbortSignal, onGame?:Function}} arena
+ *        a and b are strategies; onGame({ game, aSeat, result, tally }) runs after each game
+ * @param {object} [config] - board and rules, as for startPosition() (X always starts)
+ * @param {{search?:Function, deadline?:number}} [tools]
+ * @returns {Promise<object>} the tally (see createTally()), short if stopped early
+ */
+export async function runArena({ a, b, games, signal, onGame }, config = {}, tools = {}) {
+  const tally = createTally();
+  for (let n = 0; n < games && !(signal && signal.aborted); n++) {
+    const aSeat  = arenaSeat(n);
+    const result = await playGame(aSeat === 'X' ? { X: a, O: b } : { X: b, O: a }, { ...config, starter: 'X' }, tools);
+    if (!result || (signal && signal.aborted)) break;
+    tallyGame(tally, aSeat, result.winner);
+    if (onGame) onGame({ game: n + 1, aSeat, result, tally });
+  }
+  return tally;
+}
@@ -0,0 +1,112 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * sw.js
+ *
+ * Service worker: makes the game installable and playable offline.
+ *
+ *  - Every file the game needs is precached into a cache named after
+ *    VERSION, so a reload works with no connection at all
+ *  - Bump VERSION whenever a precached file changes. The browser then
+ *    installs the new worker alongside the old one; it waits until the page
+ *    accepts the "update available" prompt (a 'skip-waiting' message), then
+ *    takes over and drops the old version's cache
+ *  - Web fonts are cached as they are first fetched, and kept across
+ *    versions; without them the page falls back to system fonts
+ */
+
+const VERSION = 'v9';
+const CACHE   = `nexus-${VERSION}`;
+const FONTS   = 'nexus-fonts';
+
+/** The whole game, relative to the worker's scope */
+const ASSETS = [
+  './',
+  'index.html',
+  'style.css',
+  'script.js',
+  'game.js',
+  'markup.js',
+  'events.js',
+  'engine.js',
+  'notation.js',
+  'tournament.js',
+  'learner.js',
+  'strategies.js',
+  'themes.js',
+  'audio.js',
+  'recorder.js',
+  'i18n.js',
+  'locales/es.json',
+  'locales/ar.json',
+  'ai-worker.js',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-180.png',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+/* ═══════════════════════════════════════════════════════════
+   LIFECYCLE
+   ═══════════════════════════════════════════════════════════ */
+
+// Precache this version — straight from the network, not the HTTP cache
+self.addEventListener('install', (e) => {
+  e.waitUntil(caches.open(CACHE).then(cache => cache.addAll(ASSETS.map(url => new Request(url, { cache: 'reload' })))));
+});
+
+// Drop caches left by older versions, and serve open pages straight away
+self.addEventListener('activate', (e) => {
+  e.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(key => key.startsWith('nexus-') && key !== CACHE && key !== FONTS).map(key => caches.delete(key)));
+    await self.clients.claim();
+  })());
+});
+
+// The page has accepted the update prompt
+self.addEventListener('message', (e) => {
+  if (e.data && e.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+/* ═══════════════════════════════════════════════════════════
+   FETCH
+   ═══════════════════════════════════════════════════════════ */
+
+self.addEventListener('fetch', (e) => {
+  const { request } = e;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (FONT_HOSTS.includes(url.hostname)) e.respondWith(fromFontCache(request));
+  else if (url.origin === location.origin) e.respondWith(fromCache(request));
+});
+
+/**
+ * Cache first, then the network. Page loads ignore the query string, and
+ * fall back to the cached game when offline.
+ */
+async function fromCache(request) {
+  const navigate = request.mode === 'navigate';
+  const cached   = await caches.match(request, { cacheName: CACHE, ignoreSearch: navigate });
+  if (cached) return cached;
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const page = navigate && await caches.match('index.html', { cacheName: CACHE });
+    if (page) return page;
+    throw err;
+  }
+}
+
+/** Fonts: the cached copy when there is one, otherwise fetch it and keep it */
+async function fromFontCache(request) {
+  const cache  = await caches.open(FONTS);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+  return response;
+}
@@ -0,0 +1,138 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * test/audio.test.js
+ *
+ * Unit tests for the audio engine, against a stand-in AudioContext.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SOUND_EVENTS, SOUND_PACKS, DEFAULT_AUDIO, audioSettings, createAudioEngine } from '../audio.js';
+
+/** An AudioParam that just keeps the last value it was set to */
+function fakeParam(value = 0) {
+  const set = v => { param.value = v; };
+  const param = {
+    value,
+    setValueAtTime: set,
+    setTargetAtTime: set,
+    exponentialRampToValueAtTime: set,
+    cancelScheduledValues: () => {},
+  };
+  return param;
+}
+
+/** Enough of an AudioContext for the engine, counting the nodes it makes */
+function fakeContext() {
+  const node = extra => ({ connect: () => {}, ...extra });
+  const ctx = {
+    state:       'running',
+    currentTime: 0,
+    destination: node(),
+    made:        { oscillators: [], gains: 0, filters: 0 },
+    createGain() { ctx.made.gains++; return node({ gain: fakeParam(1) }); },
+    createBiquadFilter() { ctx.made.filters++; return node({ frequency: fakeParam() }); },
+    createOscillator() {
+      const osc = node({ type: 'sine', frequency: fakeParam(440), started: false, stopped: false });
+      osc.start = () => { osc.started = true; };
+      osc.stop  = () => { osc.stopped = true; };
+      ctx.made.oscillators.push(osc);
+      return osc;
+    },
+    suspend() { ctx.state = 'suspended'; },
+    resume() { ctx.state = 'running'; },
+    close() { ctx.state = 'closed'; },
+  };
+  return ctx;
+}
+
+/** An engine plus a handle on the context it creates (once it does) */
+function setup(settings) {
+  const made = {};
+  const engine = createAudioEngine({ settings, createContext: () => (made.ctx = fakeContext()) });
+  return { engine, made };
+}
+
+describe('audioSettings', () => {
+  it('defaults everything missing or invalid', () => {
+    assert.deepEqual(audioSettings(), DEFAULT_AUDIO);
+    assert.deepEqual(audioSettings({ master: 2, sfx: -1, music: '0.5', pack: 'polka', enabled: 'yes' }), DEFAULT_AUDIO);
+    assert.deepEqual(audioSettings({ master: 0, music: 0.5, pack: 'mellow', enabled: false }), { ...DEFAULT_AUDIO, master: 0, music: 0.5, pack: 'mellow', enabled: false });
+  });
+});
+
+describe('sound packs', () => {
+  it('give every event at least one note, and the music a three-note chord', () => {
+    for (const pack of Object.values(SOUND_PACKS)) {
+      for (const event of SOUND_EVENTS) assert.ok(pack.sounds[event].length > 0, `${pack.label} ${event}`);
+      for (const chord of pack.music.chords) assert.equal(chord.length, 3);
+    }
+  });
+});
+
+describe('createAudioEngine', () => {
+  it('makes no context before the first sound', () => {
+    const { engine, made } = setup();
+    engine.update({ master: 0.5 });
+    assert.equal(made.ctx, undefined);
+    engine.play('click');
+    assert.ok(made.ctx);
+  });
+
+  it('reuses its oscillators instead of making one per sound', () => {
+    const { engine, made } = setup();
+    for (let n = 0; n < 50; n++) {
+      engine.play('click');
+      made.ctx.currentTime += 1;
+    }
+    assert.equal(made.ctx.made.oscillators.length, 1);
+
+    engine.play('win'); // three overlapping notes need three voices
+    engine.play('win');
+    assert.ok(made.ctx.made.oscillators.length <= 6);
+    assert.ok(made.ctx.made.oscillators.every(osc => osc.started));
+  });
+
+  it('stays silent when off or muted, and for unknown events', () => {
+    const { engine, made } = setup({ enabled: false });
+    engine.play('click');
+    engine.update({ enabled: true, sfx: 0 });
+    engine.play('click');
+    engine.update({ sfx: 1 });
+    engine.play('kazoo');
+    assert.equal(made.ctx, undefined);
+  });
+
+  it('suspends the context while off', () => {
+    const { engine, made } = setup();
+    engine.play('click');
+    engine.update({ enabled: false });
+    assert.equal(made.ctx.state, 'suspended');
+    engine.update({ enabled: true });
+    assert.equal(made.ctx.state, 'running');
+  });
+
+  it('plays music only once unlocked, and only with music volume up', () => {
+    const { engine, made } = setup({ music: 0.5 });
+    assert.equal(made.ctx, undefined);
+    engine.unlock();
+    const pad = made.ctx.made.oscillators.slice();
+    assert.equal(pad.length, 3);
+    assert.ok(pad.every(osc => osc.started && osc.type === 'sine'));
+
+    engine.update({ pack: 'chiptune' }); // restarts in the new pack's sound
+    assert.ok(pad.every(osc => osc.stopped));
+    assert.ok(made.ctx.made.oscillators.slice(3).every(osc => osc.type === 'square' && !osc.stopped));
+
+    engine.update({ music: 0 });
+    assert.ok(made.ctx.made.oscillators.every(osc => osc.stopped));
+    engine.close();
+  });
+
+  it('reports its settings, corrected', () => {
+    const { engine } = setup();
+    assert.deepEqual(engine.update({ sfx: 0.25, pack: 'nope' }), { ...DEFAULT_AUDIO, sfx: 0.25 });
+    assert.equal(engine.settings().sfx, 0.25);
+  });
+});
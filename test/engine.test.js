@@ -0,0 +1,733 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * test/engine.test.js
+ *
+ * Unit tests for the DOM-free engine. Run with `npm test`.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createBoard,
+  legalMoves,
+  applyMove,
+  generateWinCombos,
+  checkResult,
+  boardSymmetries,
+  positionKey,
+  searchBestMove,
+  analyzeMoves,
+  gradeMove,
+  reviewGame,
+  runTask,
+  createUltimate,
+  ultimateGame,
+  ultimateMoves,
+  applyUltimateMove,
+  ultimateResult,
+  searchUltimateMove,
+  legalMarks,
+  applyRuleMove,
+  boardFromMoves,
+  searchMove,
+  createCube,
+  cubeCombos,
+  searchCubeMove,
+  gravityRows,
+  gravityShape,
+  createGravity,
+  gravityCombos,
+  dropIndex,
+  gravityMoves,
+  applyGravityMove,
+  searchGravityMove,
+} from '../engine.js';
+
+const other = player => (player === 'X' ? 'O' : 'X');
+
+/** Build a board from a string like 'XO.\n.X.\n..O' (whitespace ignored) */
+function parseBoard(text) {
+  return [...text.replace(/\s/g, '')].map(c => (c === '.' ? null : c));
+}
+
+/* ═══════════════════════════════════════════════════════════
+   BOARD
+   ═══════════════════════════════════════════════════════════ */
+
+describe('createBoard / legalMoves / applyMove', () => {
+  it('creates an empty size×size board', () => {
+    assert.deepEqual(createBoard(3), Array(9).fill(null));
+    assert.equal(createBoard(15).length, 225);
+  });
+
+  it('lists every empty cell as legal', () => {
+    assert.deepEqual(legalMoves(createBoard(3)), [0, 1, 2, 3, 4, 5, 6, 7, 8]);
+    assert.deepEqual(legalMoves(parseBoard('XO. .X. ..O')), [2, 3, 5, 6, 7]);
+  });
+
+  it('applies a move without mutating the input', () => {
+    const board = createBoard(3);
+    const next  = applyMove(board, 4, 'X');
+    assert.equal(next[4], 'X');
+    assert.equal(board[4], null);
+  });
+
+  it('rejects occupied and off-board cells', () => {
+    const board = applyMove(createBoard(3), 4, 'X');
+    assert.throws(() => applyMove(board, 4, 'O'), RangeError);
+    assert.throws(() => applyMove(board, 9, 'O'), RangeError);
+    assert.throws(() => applyMove(board, -1, 'O'), RangeError);
+    assert.throws(() => applyMove(board, 1.5, 'O'), RangeError);
+  });
+});
+
+/* ═══════════════════════════════════════════════════════════
+   WIN LINES
+   ═══════════════════════════════════════════════════════════ */
+
+describe('generateWinCombos', () => {
+  it('produces the 8 classic lines on 3×3', () => {
+    const combos = generateWinCombos(3, 3).map(c => c.join(','));
+    assert.deepEqual(combos.sort(), [
+      '0,1,2', '0,3,6', '0,4,8', '1,4,7', '2,4,6', '2,5,8', '3,4,5', '6,7,8',
+    ]);
+  });
+
+  it('counts 2·N·(N−K+1) straight and 2·(N−K+1)² diagonal lines', () => {
+    for (let size = 3; size <= 15; size++) {
+      for (let k = 3; k <= size; k++) {
+        const free = size - k + 1;
+        assert.equal(generateWinCombos(size, k).length, 2 * size * free + 2 * free * free, `${size}×${size}, K=${k}`);
+      }
+    }
+  });
+
+  it('only produces K consecutive, in-bounds, collinear cells', () => {
+    for (const [size, k] of [[4, 3], [5, 4], [7, 5]]) {
+      for (const combo of generateWinCombos(size, k)) {
+        assert.equal(combo.length, k);
+        const points = combo.map(i => [Math.floor(i / size), i % size]);
+        const dr = points[1][0] - points[0][0];
+        const dc = points[1][1] - points[0][1];
+        assert.ok(Math.abs(dr) <= 1 && Math.abs(dc) <= 1);
+        points.forEach(([r, c], step) => {
+          assert.equal(r, points[0][0] + dr * step);
+          assert.equal(c, points[0][1] + dc * step);
+        });
+      }
+    }
+  });
+});
+
+/* ═══════════════════════════════════════════════════════════
+   RESULT DETECTION
+   ═══════════════════════════════════════════════════════════ */
+
+describe('checkResult', () => {
+  for (const [size, k] of [[3, 3], [4, 4], [5, 4], [7, 5]]) {
+    it(`detects every win line for both players on ${size}×${size}, K=${k}`, () => {
+      const combos = generateWinCombos(size, k);
+      for (const combo of combos) {
+        for (const player of ['X', 'O']) {
+          const board = createBoard(size);
+          combo.forEach(i => { board[i] = player; });
+          const result = checkResult(board, combos);
+          assert.equal(result.winner, player);
+          assert.deepEqual(result.combo.slice().sort((a, b) => a - b), combo.slice().sort((a, b) => a - b));
+        }
+      }
+    });
+  }
+
+  it('does not award a line that is one short', () => {
+    const combos = generateWinCombos(5, 4);
+    assert.equal(checkResult(parseBoard('XXX.. ..... ..... ..... .....'), combos), null);
+  });
+
+  it('returns null while the game is still open', () => {
+    const combos = generateWinCombos(3, 3);
+    assert.equal(checkResult(createBoard(3), combos), null);
+    assert.equal(checkResult(parseBoard('XO. .X. ..O'), combos), null);
+  });
+
+  it('detects a draw on a full board with no line', () => {
+    const combos = generateWinCombos(3, 3);
+    assert.deepEqual(checkResult(parseBoard('XOX XOO OXX'), combos), { winner: 'draw' });
+    assert.deepEqual(checkResult(parseBoard('XXO OOX XOX'), combos), { winner: 'draw' });
+  });
+
+  it('prefers a win over a draw when the last move fills the board', () => {
+    const combos = generateWinCombos(3, 3);
+    assert.equal(checkResult(parseBoard('XOX OXO OXX'), combos).winner, 'X');
+  });
+});
+
+/* ═══════════════════════════════════════════════════════════
+   SYMMETRY
+   ═══════════════════════════════════════════════════════════ */
+
+describe('positionKey', () => {
+  it('gives all rotations and reflections the same key', () => {
+    const symmetries = boardSymmetries(4);
+    const board = createBoard(4);
+    board[1] = 'X'; board[6] = 'O'; board[11] = 'X';
+
+    const key = positionKey(board, symmetries);
+    for (const map of symmetries) {
+      const image = createBoard(4);
+      map.forEach((to, from) => { image[to] = board[from]; });
+      assert.equal(positionKey(image, symmetries), key);
+    }
+  });
+
+  it('tells different positions apart', () => {
+    const symmetries = boardSymmetries(3);
+    assert.notEqual(
+      positionKey(parseBoard('X.. ... ...'), symmetries),
+      positionKey(parseBoard('.X. ... ...'), symmetries),
+    );
+  });
+});
+
+/* ═══════════════════════════════════════════════════════════
+   SEARCH
+   ═══════════════════════════════════════════════════════════ */
+
+/**
+ * Exact game value for the side to move (+1 win, 0 draw, −1 loss), by
+ * plain negamax with no pruning or symmetry — an independent oracle.
+ */
+function solve(board, toMove, combos, memo) {
+  const key = toMove + board.map(c => c || '.').join('');
+  if (memo.has(key)) return memo.get(key);
+
+  const result = checkResult(board, combos);
+  let value;
+  if (result) {
+    value = result.winner === 'draw' ? 0 : result.winner === toMove ? 1 : -1;
+  } else {
+    value = -Infinity;
+    for (const i of legalMoves(board)) {
+      board[i] = toMove;
+      value = Math.max(value, -solve(board, other(toMove), combos, memo));
+      board[i] = null;
+    }
+  }
+  memo.set(key, value);
+  return value;
+}
+
+/** Every position reachable from the empty 3×3 board, with X moving first */
+function reachablePositions(combos) {
+  const seen = new Map();
+  (function walk(board, toMove) {
+    const key = board.map(c => c || '.').join('');
+    if (seen.has(key)) return;
+    seen.set(key, { board: board.slice(), toMove });
+    if (checkResult(board, combos)) return;
+    for (const i of legalMoves(board)) {
+      board[i] = toMove;
+      walk(board, other(toMove));
+      board[i] = null;
+    }
+  })(createBoard(3), 'X');
+  return [...seen.values()];
+}
+
+describe('searchBestMove', () => {
+  const combos  = generateWinCombos(3, 3);
+  const options = player => ({ size: 3, winLength: 3, depth: Infinity, player });
+
+  it('takes an immediate win', () => {
+    assert.equal(searchBestMove(parseBoard('OO. XX. X..'), options('O')), 2);
+  });
+
+  it('blocks an immediate loss', () => {
+    assert.equal(searchBestMove(parseBoard('XX. .O. ...'), options('O')), 2);
+  });
+
+  it('never loses from any reachable 3×3 position', () => {
+    const memo      = new Map();
+    const positions = reachablePositions(combos).filter(p => !checkResult(p.board, combos));
+    assert.equal(positions.length, 4520); // 5478 reachable, minus 958 finished
+
+    for (const { board, toMove } of positions) {
+      const value = solve(board, toMove, combos, memo);
+      const index = searchBestMove(board, options(toMove));
+      assert.equal(board[index], null, 'search must return an empty cell');
+
+      const after = applyMove(board, index, toMove);
+      assert.equal(-solve(after, other(toMove), combos, memo), value,
+        `move ${index} throws away the game value for ${toMove} on ${board.map(c => c || '.').join('')}`);
+    }
+  });
+
+  it('never loses a whole game against every possible opponent', () => {
+    for (const ai of ['X', 'O']) {
+      (function play(board, toMove) {
+        const result = checkResult(board, combos);
+        if (result) {
+          assert.notEqual(result.winner, other(ai));
+          return;
+        }
+        if (toMove === ai) {
+          play(applyMove(board, searchBestMove(board, options(ai)), ai), other(ai));
+        } else {
+          for (const i of legalMoves(board)) play(applyMove(board, i, toMove), ai);
+        }
+      })(createBoard(3), 'X');
+    }
+  });
+
+  it('returns a legal move on large boards within the horizon', () => {
+    const board = createBoard(15);
+    board[112] = 'X';
+    const index = searchBestMove(board, { size: 15, winLength: 5, depth: 2, player: 'O' });
+    assert.equal(board[index], null);
+    assert.ok(index >= 0 && index < 225);
+  });
+
+  it('returns -1 on a full board', () => {
+    assert.equal(searchBestMove(parseBoard('XOX XOO OXX'), options('O')), -1);
+  });
+});
+
+/* ═══════════════════════════════════════════════════════════
+   ANALYSIS
+   ═══════════════════════════════════════════════════════════ */
+
+describe('analyzeMoves', () => {
+  const options = player => ({ size: 3, winLength: 3, depth: Infinity, player });
+
+  it('labels each move with its outcome and distance, best first', () => {
+    const evaluations = analyzeMoves(parseBoard('XX. .O. ...'), options('O'));
+    assert.deepEqual(evaluations[0], { index: 2, score: 0, outcome: 'draw', distance: null });
+    for (const e of evaluations.slice(1)) {
+      assert.equal(e.outcome, 'loss');
+      assert.equal(e.distance, 2); // X completes the row on the next ply
+    }
+  });
+
+  it('scores from the mover\'s point of view for both players', () => {
+    const [win] = analyzeMoves(parseBoard('OO. XX. X..'), options('O'));
+    assert.deepEqual([win.index, win.outcome, win.distance], [2, 'win', 1]);
+
+    const [block] = analyzeMoves(parseBoard('XO. .X. ...'), options('O'));
+    assert.deepEqual([block.index, block.outcome, block.distance], [8, 'loss', 4]);
+  });
+
+  it('calls every opening a draw on 3×3', () => {
+    const evaluations = analyzeMoves(createBoard(3), options('X'));
+    assert.equal(evaluations.length, 9);
+    assert.ok(evaluations.every(e => e.outcome === 'draw' && Object.is(e.score, 0)));
+  });
+
+  it('leaves the outcome open when the horizon cuts the search short', () => {
+    const board = createBoard(7);
+    board[24] = 'X';
+    const evaluations = analyzeMoves(board, { size: 7, winLength: 5, depth: 2, player: 'O' });
+    assert.equal(evaluations.length, 8);
+    assert.ok(evaluations.every(e => e.outcome === null));
+  });
+
+  it('only evaluates the moves asked for', () => {
+    const evaluations = analyzeMoves(createBoard(3), { ...options('X'), moves: [0, 4] });
+    assert.deepEqual(evaluations.map(e => e.index).sort(), [0, 4]);
+  });
+});
+
+describe('gradeMove / reviewGame', () => {
+  const options = player => ({ size: 3, winLength: 3, depth: Infinity, player });
+
+  it('grades best, inaccuracy and blunder', () => {
+    assert.equal(gradeMove(parseBoard('XO. .X. ...'), 8, options('O')).grade, 'best');
+    assert.equal(gradeMove(parseBoard('XO. .X. ...'), 2, options('O')).grade, 'inaccuracy'); // loses sooner
+    assert.equal(gradeMove(parseBoard('X.. ... ...'), 1, options('O')).grade, 'blunder');    // draw → loss
+    assert.equal(gradeMove(parseBoard('XO. ... ...'), 2, options('X')).grade, 'blunder');    // win → draw
+  });
+
+  it('grades a move outside the candidate list on big boards', () => {
+    const board = createBoard(7);
+    board[24] = 'X';
+    const { played } = gradeMove(board, 0, { size: 7, winLength: 5, depth: 2, player: 'O' });
+    assert.equal(played.index, 0);
+  });
+
+  it('reviews only the requested players', () => {
+    const moves = [[0, 'X'], [1, 'O'], [4, 'X'], [2, 'O'], [8, 'X']].map(([index, player]) => ({ index, player }));
+    assert.deepEqual(
+      reviewGame(moves, { size: 3, winLength: 3, depth: Infinity, players: ['O'] }),
+      [null, 'blunder', null, 'inaccuracy', null],
+    );
+    assert.equal(reviewGame(moves, { size: 3, winLength: 3, depth: Infinity }).filter(Boolean).length, 5);
+  });
+});
+
+describe('runTask', () => {
+  it('dispatches by task name, defaulting to a move search', () => {
+    const request = { board: parseBoard('OO. XX. X..'), size: 3, winLength: 3, depth: Infinity, player: 'O' };
+    assert.equal(runTask(request), 2);
+    assert.equal(runTask({ task: 'analyze', ...request })[0].index, 2);
+  });
+
+  it('rejects unknown tasks', () => {
+    assert.throws(() => runTask({ task: 'constructor' }), TypeError);
+  });
+});
+
+/* ═══════════════════════════════════════════════════════════
+   ULTIMATE
+   ═══════════════════════════════════════════════════════════ */
+
+/** An 81-cell board with the given marks: { X: [...indices], O: [...] } */
+function ultimateBoard(marks) {
+  const board = Array(81).fill(null);
+  for (const [player, cells] of Object.entries(marks)) cells.forEach(i => { board[i] = player; });
+  return board;
+}
+
+describe('ultimate rules', () => {
+  it('starts with every cell playable', () => {
+    const game = createUltimate();
+    assert.equal(game.board.length, 81);
+    assert.equal(game.target, null);
+    assert.equal(ultimateMoves(game).length, 81);
+  });
+
+  it('sends the opponent to the small board matching the cell played', () => {
+    const game = applyUltimateMove(createUltimate(), 40, 'X'); // centre of the centre board
+    assert.equal(game.target, 4);
+    assert.deepEqual(ultimateMoves(game), [36, 37, 38, 39, 41, 42, 43, 44]);
+    assert.throws(() => applyUltimateMove(game, 0, 'O'), RangeError);
+    assert.throws(() => applyUltimateMove(game, 40, 'O'), RangeError);
+  });
+
+  it('frees the choice of board when sent to a decided one', () => {
+    // X has won board 0; O's last move (cell 0 of board 3) points back at it
+    const game = ultimateGame(ultimateBoard({ X: [0, 1, 2], O: [27] }), 27);
+    assert.deepEqual(game.boards.slice(0, 2), ['X', null]);
+    assert.equal(game.target, null);
+    assert.ok(ultimateMoves(game).every(i => i >= 9));
+  });
+
+  it('wins the big board with three small boards in a line', () => {
+    const game = ultimateGame(ultimateBoard({ O: [0, 1, 2, 9, 10, 11, 18, 19, 20] }), 20);
+    assert.deepEqual(ultimateResult(game), { winner: 'O', combo: [0, 1, 2] });
+    assert.throws(() => applyUltimateMove(game, 30, 'X'), RangeError);
+  });
+
+  it('gives drawn small boards to nobody', () => {
+    const drawn = 'XOXXOOOXX'; // a full small board with no line
+    const board = Array(81).fill(null);
+    [0, 1, 2].forEach(b => [...drawn].forEach((p, c) => { board[b * 9 + c] = p; }));
+    const game = ultimateGame(board, 0);
+    assert.deepEqual(game.boards.slice(0, 3), ['draw', 'draw', 'draw']);
+    assert.equal(ultimateResult(game), null);
+  });
+
+  it('is a draw once every small board is decided without a line', () => {
+    const game = ultimateGame(ultimateBoard({}), null);
+    game.boards = ['X', 'O', 'X', 'X', 'O', 'O', 'O', 'X', 'draw'];
+    assert.deepEqual(ultimateResult(game), { winner: 'draw' });
+  });
+});
+
+describe('searchUltimateMove', () => {
+  // O holds boards 0 and 1 and two cells of board 2; X's last move sends O to board 2
+  const board = ultimateBoard({ O: [0, 1, 2, 9, 10, 11, 18, 19], X: [29, 40, 50, 60, 70, 4, 13] });
+
+  it('takes the big-board win', () => {
+    assert.equal(searchUltimateMove(ultimateGame(board, 29), { depth: 3, player: 'O' }), 20);
+  });
+
+  it('blocks it for X', () => {
+    const game = ultimateGame(board, 11); // O's move in cell 2 of board 1 sends X to board 2
+    assert.equal(game.target, 2);
+    assert.equal(searchUltimateMove(game, { depth: 3, player: 'X' }), 20);
+  });
+
+  it('always returns a legal move', () => {
+    let game = createUltimate();
+    let player = 'X';
+    for (let ply = 0; ply < 12 && !ultimateResult(game); ply++) {
+      const index = searchUltimateMove(game, { depth: 2, player });
+      assert.ok(ultimateMoves(game).includes(index));
+      game = applyUltimateMove(game, index, player);
+      player = other(player);
+    }
+  });
+});
+
+/* ═══════════════════════════════════════════════════════════
+   CUBE
+   ═══════════════════════════════════════════════════════════ */
+
+/** A cube with marks on the given cells */
+function cubeBoard(size, marks) {
+  const board = createCube(size);
+  for (const [player, cells] of Object.entries(marks)) for (const i of cells) board[i] = player;
+  return board;
+}
+
+describe('cubeCombos', () => {
+  it('finds 49 lines on 3×3×3 and 76 on 4×4×4, none twice', () => {
+    for (const [size, count] of [[3, 49], [4, 76]]) {
+      const lines = cubeCombos(size);
+      assert.equal(lines.length, count);
+      assert.equal(new Set(lines.map(line => [...line].sort((a, b) => a - b).join())).size, count);
+      assert.ok(lines.every(line => line.length === size));
+    }
+  });
+
+  it('runs lines through the layers, pillars and space diagonals included', () => {
+    const keys = new Set(cubeCombos(3).map(line => [...line].sort((a, b) => a - b).join()));
+    assert.ok(keys.has('4,13,22'));  // straight down through the middle
+    assert.ok(keys.has('0,13,26'));  // corner to corner
+    assert.ok(keys.has('0,12,24'));  // down a side, diagonally
+    assert.ok(keys.has('0,1,2'));    // a row within one layer
+  });
+
+  it('finds a win across layers with checkResult', () => {
+    const board = cubeBoard(3, { X: [2, 13, 24], O: [0, 1] });
+    assert.deepEqual(checkResult(board, cubeCombos(3)), { winner: 'X', combo: [2, 13, 24] });
+  });
+});
+
+describe('searchCubeMove', () => {
+  // X holds three of a 4×4×4 space diagonal (0, 21, 42, 63)
+  const board = cubeBoard(4, { X: [0, 21, 42], O: [5, 10] });
+
+  it('takes a win in one', () => {
+    assert.equal(searchCubeMove(board, { size: 4, depth: 2, player: 'X' }), 63);
+  });
+
+  it('blocks one', () => {
+    assert.equal(searchCubeMove(board, { size: 4, depth: 2, player: 'O' }), 63);
+  });
+
+  it('always returns a free cell, even out of time', () => {
+    const cube = cubeBoard(3, { X: [13] });
+    const index = searchCubeMove(cube, { size: 3, depth: 6, player: 'O', deadline: Date.now() - 1 });
+    assert.ok(legalMoves(cube).includes(index));
+    assert.equal(searchCubeMove(cubeBoard(3, { X: Array.from({ length: 27 }, (_, i) => i) }), { size: 3, depth: 2, player: 'O' }), -1);
+  });
+
+  it('runs as an engine task', () => {
+    assert.equal(runTask({ task: 'cube', board, size: 4, depth: 2, player: 'X' }), 63);
+  });
+});
+
+/* ═══════════════════════════════════════════════════════════
+   GRAVITY
+   ═══════════════════════════════════════════════════════════ */
+
+describe('gravity boards', () => {
+  it('is one row shorter than it is wide', () => {
+    assert.equal(gravityRows(7), 6);
+    assert.equal(createGravity(7).length, 42);
+  });
+
+  it('plays only widths on offer, to a line that fits down a column', () => {
+    assert.deepEqual(gravityShape(9, 5), { size: 9, winLength: 5 });
+    assert.deepEqual(gravityShape(5, 5), { size: 5, winLength: 4 });
+    assert.deepEqual(gravityShape(3, 3), { size: 7, winLength: 4 });
+  });
+
+  it('finds the 69 lines of Connect Four, none running off the bottom', () => {
+    const lines = gravityCombos(7, 4);
+    assert.equal(lines.length, 69);
+    assert.ok(lines.every(line => line.every(i => i < 42)));
+    assert.deepEqual(generateWinCombos(3, 3, 2), [[0, 1, 2], [3, 4, 5]]);
+  });
+
+  it('drops a mark to the lowest empty cell of its column', () => {
+    let board = createGravity(7);
+    assert.equal(dropIndex(board, 3, 7), 38);
+    board = applyGravityMove(board, 38, 'X', 7);
+    assert.equal(dropIndex(board, 3, 7), 31);
+    for (const i of [31, 24, 17, 10, 3]) board[i] = 'O';
+    assert.equal(dropIndex(board, 3, 7), -1);
+    assert.deepEqual(gravityMoves(board, 7), [35, 36, 37, 39, 40, 41]);
+  });
+
+  it('only lets a mark land where it would fall', () => {
+    const board = createGravity(7);
+    assert.throws(() => applyGravityMove(board, 3, 'X', 7), RangeError);
+    assert.throws(() => applyGravityMove(board, 42, 'X', 7), RangeError);
+    assert.equal(applyGravityMove(board, 41, 'X', 7)[41], 'X');
+    assert.equal(board[41], null);
+  });
+});
+
+describe('searchGravityMove', () => {
+  // X holds three of the bottom row; O has stacked two in column 0
+  const board = createGravity(7);
+  for (const i of [36, 37, 38]) board[i] = 'X';
+  for (const i of [35, 28]) board[i] = 'O';
+
+  it('takes a win in one', () => {
+    assert.equal(searchGravityMove(board, { size: 7, winLength: 4, depth: 2, player: 'X' }), 39);
+  });
+
+  it('blocks one', () => {
+    assert.equal(searchGravityMove(board, { size: 7, winLength: 4, depth: 2, player: 'O' }), 39);
+  });
+
+  it('only plays where a mark can land, even out of time', () => {
+    const index = searchGravityMove(board, { size: 7, winLength: 4, depth: 8, player: 'O', deadline: Date.now() - 1 });
+    assert.ok(gravityMoves(board, 7).includes(index));
+    assert.equal(searchGravityMove(Array(42).fill('X'), { size: 7, winLength: 4, depth: 2, player: 'O' }), -1);
+  });
+
+  it('runs as an engine task', () => {
+    assert.equal(runTask({ task: 'gravity', board, size: 7, winLength: 4, depth: 2, player: 'X' }), 39);
+  });
+});
+
+/* ═══════════════════════════════════════════════════════════
+   RULE SETS
+   ═══════════════════════════════════════════════════════════ */
+
+/** A move log from [index, player, mark?] triples */
+const log = (...moves) => moves.map(([index, player, mark]) => (mark === undefined ? { index, player } : { index, player, mark }));
+
+describe('checkResult under other rules', () => {
+  const combos = generateWinCombos(3, 3);
+
+  it('hands a misère line to the other player', () => {
+    assert.deepEqual(checkResult(parseBoard('XXX OO. ...'), combos, 'misere'), { winner: 'O', combo: [0, 1, 2] });
+  });
+
+  it('gives a wild line to whoever completed it', () => {
+    assert.equal(checkResult(parseBoard('OOO X.. X..'), combos, 'wild').winner, 'X');
+    assert.equal(checkResult(parseBoard('XXX O.. O.X'), combos, 'wild').winner, 'O');
+  });
+
+  it('wins numerical lines that sum to 15', () => {
+    const board = [8, 1, 6, null, 2, null, null, null, null];
+    assert.deepEqual(checkResult(board, combos, 'numerical'), { winner: 'O', combo: [0, 1, 2] });
+    assert.equal(checkResult([8, 1, 4, null, null, null, null, null, null], combos, 'numerical'), null);
+    assert.deepEqual(checkResult([1, 2, 4, 3, 5, 6, 8, 9, 7], combos, 'numerical'), { winner: 'draw' });
+  });
+});
+
+describe('legalMarks / applyRuleMove', () => {
+  it('lists what each player may place', () => {
+    assert.deepEqual(legalMarks(createBoard(3), 'O'), ['O']);
+    assert.deepEqual(legalMarks(createBoard(3), 'O', 'wild'), ['X', 'O']);
+    assert.deepEqual(legalMarks([1, 4, null, null, null, null, null, null, null], 'X', 'numerical'), [3, 5, 7, 9]);
+    assert.deepEqual(legalMarks([1, 4, null, null, null, null, null, null, null], 'O', 'numerical'), [2, 6, 8]);
+  });
+
+  it('rejects a mark the player may not place', () => {
+    assert.throws(() => applyRuleMove(createBoard(3), { index: 0, player: 'X', mark: 'O' }), RangeError);
+    assert.throws(() => applyRuleMove(createBoard(3), { index: 0, player: 'X', mark: 2 }, 'numerical'), RangeError);
+    assert.equal(applyRuleMove(createBoard(3), { index: 0, player: 'X', mark: 'O' }, 'wild')[0], 'O');
+  });
+
+  it("removes a rolling player's oldest mark when they place a fourth", () => {
+    const moves = log([0, 'X'], [3, 'O'], [1, 'X'], [4, 'O'], [6, 'X'], [8, 'O'], [2, 'X']);
+    const board = boardFromMoves(moves, 3, 'rolling');
+    assert.deepEqual(board, parseBoard('.XX OO. X.O'));
+    assert.equal(checkResult(board, generateWinCombos(3, 3), 'rolling'), null); // 0 went before 2 landed
+  });
+});
+
+describe('search under other rules', () => {
+  const options = (player, rules, extra) => ({ size: 3, winLength: 3, depth: Infinity, player, rules, ...extra });
+
+  it('avoids completing a misère line', () => {
+    const board = parseBoard('XX. OO. ...');
+    assert.notEqual(searchBestMove(board, options('X', 'misere')), 2);
+    const evaluations = analyzeMoves(board, options('X', 'misere'));
+    assert.equal(evaluations.find(e => e.index === 2).outcome, 'loss');
+  });
+
+  it('completes a wild line with the other letter', () => {
+    assert.deepEqual(searchMove(parseBoard('OO. X.. X..'), options('X', 'wild')), { index: 2, mark: 'O' });
+  });
+
+  it('finds the number that makes 15', () => {
+    const board = [2, 4, null, null, null, null, null, 3, 1];
+    assert.deepEqual(searchMove(board, options('X', 'numerical')), { index: 2, mark: 9 });
+    assert.ok(analyzeMoves(board, options('X', 'numerical')).every(e => typeof e.mark === 'number'));
+  });
+
+  it('plays rolling lines that rely on the oldest mark going', () => {
+    const history = log([6, 'X'], [3, 'O'], [0, 'X'], [4, 'O'], [1, 'X'], [7, 'O']);
+    const board   = boardFromMoves(history, 3, 'rolling');
+    assert.equal(searchBestMove(board, options('X', 'rolling', { depth: 3, history })), 2);
+
+    // With 0 as the oldest mark, 2 no longer completes the row
+    const later = log([0, 'X'], [3, 'O'], [1, 'X'], [4, 'O'], [6, 'X'], [8, 'O']);
+    const [top] = analyzeMoves(boardFromMoves(later, 3, 'rolling'), options('X', 'rolling', { depth: 1, history: later }));
+    assert.equal(top.outcome, null);
+  });
+
+  it('reviews a wild game by the marks actually placed', () => {
+    const moves = log([4, 'X', 'O'], [0, 'O'], [8, 'X'], [2, 'O', 'X']);
+    assert.equal(reviewGame(moves, { size: 3, winLength: 3, depth: Infinity, rules: 'wild' }).length, 4);
+  });
+});
+
+describe('games O starts', () => {
+  const combos = generateWinCombos(3, 3);
+
+  it('names the last mover from whoever started', () => {
+    assert.equal(checkResult(parseBoard('OOO X.. X..'), combos, 'wild', 'O').winner, 'O');
+    assert.equal(checkResult([8, 1, 6, null, 2, null, null, null, null], combos, 'numerical', 'O').winner, 'X');
+    assert.equal(checkResult(parseBoard('XXX OO. ...'), combos, 'standard', 'O').winner, 'X');
+  });
+
+  it('gives the odd numbers to the starter', () => {
+    assert.deepEqual(legalMarks(createBoard(3), 'O', 'numerical', 'O'), [1, 3, 5, 7, 9]);
+    assert.deepEqual(legalMarks([1, null, null, null, null, null, null, null, null], 'X', 'numerical', 'O'), [2, 4, 6, 8]);
+    const board = applyRuleMove(createBoard(3), { index: 4, player: 'O', mark: 5 }, 'numerical');
+    assert.throws(() => applyRuleMove(board, { index: 0, player: 'X', mark: 3 }, 'numerical'), RangeError);
+    assert.equal(applyRuleMove(board, { index: 0, player: 'X', mark: 2 }, 'numerical')[0], 2);
+  });
+
+  it('searches from O\'s side of the numbers', () => {
+    const board = [2, 4, null, null, null, null, null, 3, 1];
+    assert.deepEqual(
+      searchMove(board, { size: 3, winLength: 3, depth: Infinity, player: 'O', rules: 'numerical' }),
+      { index: 2, mark: 9 },
+    );
+  });
+});
+
+/* ═══════════════════════════════════════════════════════════
+   DEADLINES
+   ═══════════════════════════════════════════════════════════ */
+
+describe('searching against a deadline', () => {
+  it('still finds a win in one when time is already up', () => {
+    const board = parseBoard('XX. OO. ...');
+    assert.equal(searchMove(board, { size: 3, winLength: 3, depth: Infinity, player: 'X', deadline: Date.now() - 1 }).index, 2);
+    assert.equal(searchMove(board, { size: 3, winLength: 3, depth: Infinity, player: 'O', deadline: Date.now() - 1 }).index, 5);
+  });
+
+  it('answers with a legal move on a big board soon after the deadline', () => {
+    const board = createBoard(15);
+    board[112] = 'X';
+    const started = Date.now();
+    const { index } = searchMove(board, { size: 15, winLength: 5, depth: Infinity, player: 'O', deadline: started + 150 });
+    assert.ok(legalMoves(board).includes(index));
+    assert.ok(Date.now() - started < 2000);
+  });
+
+  it('matches the full search when there is time to finish', () => {
+    const board = parseBoard('X.. .O. ..X');
+    const options = { size: 3, winLength: 3, depth: Infinity, player: 'O' };
+    assert.deepEqual(searchMove(board, { ...options, deadline: Date.now() + 60000 }), searchMove(board, options));
+  });
+
+  it('limits Ultimate searches too', () => {
+    const game = createUltimate();
+    const started = Date.now();
+    const index = searchUltimateMove(game, { depth: 12, player: 'X', deadline: started + 150 });
+    assert.ok(ultimateMoves(game).includes(index));
+    assert.ok(Date.now() - started < 2000);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * test/events.test.js
+ *
+ * Unit tests for the game component's event emitter.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createEmitter } from '../events.js';
+
+describe('createEmitter', () => {
+  it('calls handlers in order with the detail', () => {
+    const events = createEmitter();
+    const calls  = [];
+    events.on('move', detail => calls.push(['a', detail]));
+    events.on('move', detail => calls.push(['b', detail]));
+    events.on('turn', () => calls.push(['turn']));
+    events.emit('move', { index: 4 });
+    assert.deepEqual(calls, [['a', { index: 4 }], ['b', { index: 4 }]]);
+  });
+
+  it('stops calling a handler once removed, either way', () => {
+    const events = createEmitter();
+    let count = 0;
+    const handler = () => count++;
+    const remove  = events.on('move', handler);
+    events.emit('move');
+    remove();
+    events.emit('move');
+    events.on('move', handler);
+    events.off('move', handler);
+    events.off('nothing', handler);
+    events.emit('move');
+    assert.equal(count, 1);
+  });
+
+  it('keeps going past a handler that throws', () => {
+    const errors = [];
+    const events = createEmitter({ onError: err => errors.push(err.message) });
+    let reached = false;
+    events.on('gameover', () => { throw new Error('boom'); });
+    events.on('gameover', () => { reached = true; });
+    events.emit('gameover', { winner: 'X' });
+    assert.equal(reached, true);
+    assert.deepEqual(errors, ['boom']);
+  });
+
+  it('lets handlers unsubscribe while an event is running', () => {
+    const events = createEmitter();
+    const calls  = [];
+    const first  = events.on('turn', () => { calls.push(1); first(); });
+    events.on('turn', () => calls.push(2));
+    events.emit('turn');
+    events.emit('turn');
+    assert.deepEqual(calls, [1, 2, 2]);
+  });
+
+  it('rejects a handler that is not a function, and clears', () => {
+    const events = createEmitter();
+    assert.throws(() => events.on('move', 'nope'), TypeError);
+    let count = 0;
+    events.on('move', () => count++);
+    events.clear();
+    events.emit('move');
+    assert.equal(count, 0);
+  });
+});
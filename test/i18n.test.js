@@ -0,0 +1,93 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * test/i18n.test.js
+ *
+ * Unit tests for translations: placeholders, plurals, language matching,
+ * and the locale bundles shipped in locales/.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { LOCALES, DEFAULT_LOCALE, matchLocale, interpolate, createTranslator, checkBundle } from '../i18n.js';
+
+const bundle = id => JSON.parse(readFileSync(new URL(`../locales/${id}.json`, import.meta.url), 'utf8'));
+
+describe('interpolate', () => {
+  it('fills the placeholders it has values for, and leaves the rest', () => {
+    assert.equal(interpolate('{name} Wins!', { name: 'Ada' }), 'Ada Wins!');
+    assert.equal(interpolate('{a} and {b}', { a: 0 }), '0 and {b}');
+    assert.equal(interpolate("It's a Draw!"), "It's a Draw!");
+  });
+});
+
+describe('matchLocale', () => {
+  it('takes the first supported language, ignoring region', () => {
+    assert.equal(matchLocale(['fr-FR', 'es-MX', 'ar']), 'es');
+    assert.equal(matchLocale(['AR-EG']), 'ar');
+  });
+
+  it('falls back to English', () => {
+    assert.equal(matchLocale(['fr', 'de']), DEFAULT_LOCALE);
+    assert.equal(matchLocale(), DEFAULT_LOCALE);
+  });
+});
+
+describe('createTranslator', () => {
+  it('translates, and keeps the English for anything the bundle leaves out', () => {
+    const t = createTranslator('es', { '{name} Wins!': '¡Gana {name}!' });
+    assert.equal(t('{name} Wins!', { name: 'Ada' }), '¡Gana Ada!');
+    assert.equal(t('Well played by both sides.'), 'Well played by both sides.');
+    assert.equal(createTranslator()('{n} in a row', { n: 4 }), '4 in a row');
+  });
+
+  it('picks the English plural form without a bundle', () => {
+    const t = createTranslator();
+    assert.equal(t.plural(1, '{count} move', '{count} moves'), '1 move');
+    assert.equal(t.plural(0, '{count} move', '{count} moves'), '0 moves');
+    assert.equal(t.plural(2, '{score} after {count} game.', '{score} after {count} games.', { score: '2–0' }), '2–0 after 2 games.');
+  });
+
+  it("picks the language's own plural category, falling back to other", () => {
+    const t = createTranslator('ar', { '{count} moves': { one: 'نقلة واحدة', two: 'نقلتان', few: '{count} نقلات', other: '{count} نقلة' } });
+    assert.equal(t.plural(1, '{count} move', '{count} moves'), 'نقلة واحدة');
+    assert.equal(t.plural(2, '{count} move', '{count} moves'), 'نقلتان');
+    assert.equal(t.plural(5, '{count} move', '{count} moves'), '5 نقلات');
+    assert.equal(t.plural(11, '{count} move', '{count} moves'), '11 نقلة'); // "many", missing here
+  });
+
+  it('knows the writing direction', () => {
+    assert.equal(createTranslator('ar').dir, 'rtl');
+    assert.equal(createTranslator('es').dir, 'ltr');
+    assert.equal(createTranslator('es').locale, 'es');
+  });
+});
+
+describe('checkBundle', () => {
+  it('flags non-text, a plural without other, and unknown placeholders', () => {
+    assert.deepEqual(checkBundle({
+      'Undo':            'Deshacer',
+      '{count} moves':   { one: '{count} jugada', other: '{count} jugadas' },
+      'Hint':            3,
+      '{count} games':   { one: 'una partida' },
+      '{name} Wins!':    '¡Gana {player}!',
+    }), [
+      '"Hint" is not translated to text',
+      '"{count} games" has no "other" form',
+      '"{name} Wins!" brings in {player}',
+    ]);
+  });
+
+  for (const id of Object.keys(LOCALES).filter(id => id !== DEFAULT_LOCALE)) {
+    it(`passes the shipped ${id} bundle`, () => {
+      assert.deepEqual(checkBundle(bundle(id)), []);
+    });
+  }
+
+  it('ships bundles that translate the same keys', () => {
+    const [first, ...rest] = Object.keys(LOCALES).filter(id => id !== DEFAULT_LOCALE);
+    const keys = Object.keys(bundle(first)).sort();
+    for (const id of rest) assert.deepEqual(Object.keys(bundle(id)).sort(), keys, `${id} and ${first} differ`);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * test/learner.test.js
+ *
+ * Unit tests for the MENACE learning opponent.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createBoard, applyMove, legalMoves, generateWinCombos, checkResult } from '../engine.js';
+import { createMenace, menaceMove, learnFromGame, selfPlay, winRates, REWARDS } from '../learner.js';
+
+/** Deterministic 0 ≤ n < 1 sequence (mulberry32) */
+function seeded(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Games MENACE (as O, X starting) loses against a random mover */
+function lossesToRandom(menace, games, random) {
+  const combos = generateWinCombos(3, 3);
+  let losses = 0;
+  for (let n = 0; n < games; n++) {
+    let board = createBoard(3);
+    let player = 'X';
+    let result;
+    while (!(result = checkResult(board, combos))) {
+      const free  = legalMoves(board);
+      const index = player === 'O' ? menaceMove(menace, board, 'O', random) : free[Math.floor(random() * free.length)];
+      board  = applyMove(board, index, player);
+      player = player === 'X' ? 'O' : 'X';
+    }
+    if (result.winner === 'X') losses++;
+  }
+  return losses;
+}
+
+describe('menaceMove', () => {
+  it('always picks a free cell', () => {
+    const menace = createMenace();
+    const random = seeded(1);
+    const board  = [null, 'X', null, 'O', 'X', null, null, 'O', null];
+    for (let n = 0; n < 50; n++) assert.ok(legalMoves(board).includes(menaceMove(menace, board, 'X', random)));
+  });
+
+  it('shares one box between symmetric positions and between seats', () => {
+    const menace = createMenace();
+    menaceMove(menace, ['X', null, null, null, null, null, null, null, null], 'O');
+    menaceMove(menace, [null, null, null, null, null, null, null, null, 'X'], 'O'); // rotated
+    menaceMove(menace, ['O', null, null, null, null, null, null, null, null], 'X'); // colours swapped
+    assert.equal(Object.keys(menace.boxes).length, 1);
+  });
+
+  it('refills a box it has emptied instead of resigning', () => {
+    const menace = createMenace();
+    const board  = ['X', 'O', 'X', 'X', 'O', 'O', 'O', 'X', null];
+    menaceMove(menace, board, 'X');
+    for (const key of Object.keys(menace.boxes)) menace.boxes[key].fill(0);
+    assert.equal(menaceMove(menace, board, 'X'), 8);
+  });
+});
+
+describe('learnFromGame', () => {
+  // X wins down the left column; O (MENACE) played 1 then 2
+  const moves = [
+    { index: 0, player: 'X' }, { index: 1, player: 'O' },
+    { index: 3, player: 'X' }, { index: 2, player: 'O' },
+    { index: 6, player: 'X' },
+  ];
+
+  it('takes a bead from every move of a lost game, and pays out wins and draws', () => {
+    const beads = menace => Object.values(menace.boxes).flat().reduce((sum, n) => sum + n, 0);
+    // O's boxes open with 8 × 4 and 6 × 3 beads; X's with 9 × 4, 7 × 3 and 5 × 2
+    assert.equal(beads(learnFromGame(createMenace(), moves, 'O', 'X')), 32 + 18 + 2 * REWARDS.loss);
+    assert.equal(beads(learnFromGame(createMenace(), moves, 'X', 'X')), 36 + 21 + 10 + 3 * REWARDS.win);
+    assert.equal(beads(learnFromGame(createMenace(), moves, 'X', 'draw')), 36 + 21 + 10 + 3 * REWARDS.draw);
+  });
+
+  it('keeps the record of games against people', () => {
+    const menace = createMenace();
+    learnFromGame(menace, moves, 'O', 'X');
+    learnFromGame(menace, moves, 'X', 'X');
+    learnFromGame(menace, moves, 'X', 'draw');
+    assert.equal(menace.games, 3);
+    assert.equal(menace.results, 'LWD');
+    assert.equal(menace.trained, 0);
+  });
+});
+
+describe('selfPlay', () => {
+  it('learns to stop losing to a random player', () => {
+    const random  = seeded(7);
+    const menace  = createMenace();
+    const before  = lossesToRandom(structuredClone(menace), 300, random);
+    selfPlay(menace, 3000, random);
+    const after   = lossesToRandom(menace, 300, random);
+    assert.equal(menace.trained, 3000);
+    assert.equal(menace.games, 0);
+    assert.ok(after < before / 2, `${after} losses after training vs ${before} before`);
+  });
+});
+
+describe('winRates', () => {
+  it('averages over a sliding window', () => {
+    const menace = { ...createMenace(), results: 'WLWWDL' };
+    assert.deepEqual(winRates(menace, 2), [1, 0.5, 0.5, 1, 0.5, 0]);
+    assert.deepEqual(winRates(createMenace()), []);
+  });
+});
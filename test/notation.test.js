@@ -0,0 +1,193 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * test/notation.test.js
+ *
+ * Unit tests for the move notation and URL-hash encoding.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatMoves, parseMoves, encodeGame, decodeGame } from '../notation.js';
+
+const moves = [
+  { index: 4, player: 'X' },
+  { index: 0, player: 'O' },
+  { index: 8, player: 'X' },
+];
+
+describe('formatMoves / parseMoves', () => {
+  it('writes 1-based cells after the player', () => {
+    assert.equal(formatMoves(moves), 'X5 O1 X9');
+    assert.equal(formatMoves([]), '');
+  });
+
+  it('round-trips a move log', () => {
+    assert.deepEqual(parseMoves('X5 O1 X9', 3, 3), moves);
+  });
+
+  it('accepts lower case and other separators', () => {
+    assert.deepEqual(parseMoves(' x5,o1+x9 ', 3, 3), moves);
+    assert.deepEqual(parseMoves('X5-O1-X9', 3, 3), moves);
+  });
+
+  it('handles multi-digit cells on big boards', () => {
+    assert.deepEqual(parseMoves('X113 O225', 15, 5), [
+      { index: 112, player: 'X' },
+      { index: 224, player: 'O' },
+    ]);
+  });
+
+  it('rejects malformed tokens', () => {
+    assert.throws(() => parseMoves('X5 Q1', 3, 3), SyntaxError);
+    assert.throws(() => parseMoves('X', 3, 3), SyntaxError);
+  });
+
+  it('rejects illegal moves', () => {
+    assert.throws(() => parseMoves('X5 O5', 3, 3), RangeError);   // cell taken
+    assert.throws(() => parseMoves('X10', 3, 3), RangeError);     // off the board
+    assert.throws(() => parseMoves('X0', 3, 3), RangeError);
+    assert.throws(() => parseMoves('X5 X1', 3, 3), RangeError);   // same player twice
+  });
+
+  it('rejects moves after the game is won', () => {
+    assert.doesNotThrow(() => parseMoves('X1 O4 X2 O5 X3', 3, 3));
+    assert.throws(() => parseMoves('X1 O4 X2 O5 X3 O6', 3, 3), RangeError);
+  });
+});
+
+describe('encodeGame / decodeGame', () => {
+  it('round-trips a game through the hash', () => {
+    const game = { mode: 'pvai', size: 3, winLength: 3, level: 'hard', moves };
+    const hash = encodeGame(game);
+    assert.equal(hash, 'mode=pvai&board=3&k=3&level=hard&moves=X5+O1+X9');
+    assert.deepEqual(decodeGame(`#${hash}`), game);
+  });
+
+  it('omits the level outside PvAI', () => {
+    const hash = encodeGame({ mode: 'pvp', size: 5, winLength: 4, level: 'hard', moves: [] });
+    assert.equal(hash, 'mode=pvp&board=5&k=4&moves=');
+    assert.deepEqual(decodeGame(hash), { mode: 'pvp', size: 5, winLength: 4, level: null, moves: [] });
+  });
+
+  it('defaults to PvP on a 3×3 board', () => {
+    assert.deepEqual(decodeGame('#moves=X5'), {
+      mode: 'pvp', size: 3, winLength: 3, level: null, moves: [{ index: 4, player: 'X' }],
+    });
+  });
+
+  it('returns null for anything that is not a valid game', () => {
+    assert.equal(decodeGame(''), null);
+    assert.equal(decodeGame('#section-2'), null);
+    assert.equal(decodeGame('#board=3&moves=X5+O5'), null);
+    assert.equal(decodeGame('#board=20&moves=X1'), null);
+    assert.equal(decodeGame('#board=4&k=5&moves=X1'), null);
+  });
+});
+
+describe('ultimate games', () => {
+  const game = {
+    mode: 'pvai', variant: 'ultimate', size: 9, winLength: 3, level: 'hard',
+    moves: [{ index: 40, player: 'X' }, { index: 36, player: 'O' }, { index: 0, player: 'X' }],
+  };
+
+  it('round-trips through the hash', () => {
+    const hash = encodeGame(game);
+    assert.equal(hash, 'mode=pvai&game=ultimate&level=hard&moves=X41+O37+X1');
+    assert.deepEqual(decodeGame(hash), game);
+  });
+
+  it('checks moves against the Ultimate rules', () => {
+    assert.throws(() => parseMoves('X41 O1', 9, 3, 'ultimate'), RangeError); // O must play in board 5
+    assert.equal(decodeGame('#game=ultimate&moves=X41+O1'), null);
+  });
+});
+
+describe('cube games', () => {
+  const game = {
+    mode: 'pvp', variant: 'cube', size: 3, winLength: 3, level: null,
+    moves: [{ index: 13, player: 'X' }, { index: 0, player: 'O' }, { index: 26, player: 'X' }],
+  };
+
+  it('round-trips through the hash', () => {
+    const hash = encodeGame(game);
+    assert.equal(hash, 'mode=pvp&game=cube&board=3&moves=X14+O1+X27');
+    assert.deepEqual(decodeGame(hash), game);
+  });
+
+  it('numbers every cell of the cube, and only cube sizes', () => {
+    assert.deepEqual(parseMoves('X64', 4, 4, 'cube'), [{ index: 63, player: 'X' }]);
+    assert.throws(() => parseMoves('X28', 3, 3, 'cube'), RangeError);
+    assert.equal(decodeGame('#game=cube&board=5&moves=X1'), null);
+  });
+
+  it('ends the game on a line through the layers', () => {
+    assert.throws(() => parseMoves('X1 O2 X14 O3 X27 O4', 3, 3, 'cube'), RangeError);
+  });
+});
+
+describe('gravity games', () => {
+  const game = {
+    mode: 'pvai', variant: 'gravity', size: 7, winLength: 4, level: 'hard',
+    moves: [{ index: 38, player: 'X' }, { index: 31, player: 'O' }, { index: 39, player: 'X' }],
+  };
+
+  it('round-trips through the hash', () => {
+    const hash = encodeGame(game);
+    assert.equal(hash, 'mode=pvai&game=gravity&board=7&k=4&level=hard&moves=X39+O32+X40');
+    assert.deepEqual(decodeGame(hash), game);
+  });
+
+  it('only takes cells a mark could have fallen to', () => {
+    assert.throws(() => parseMoves('X4', 7, 4, 'gravity'), RangeError);
+    assert.throws(() => parseMoves('X39 O39', 7, 4, 'gravity'), RangeError);
+    assert.equal(decodeGame('#game=gravity&board=7&k=7&moves=X39'), null); // longer than a column
+    assert.equal(decodeGame('#game=gravity&board=12&k=4&moves=X1'), null);
+  });
+});
+
+describe('other rule sets', () => {
+  it('writes a placed mark after "=" when it is not the player\'s letter', () => {
+    const wild = [{ index: 4, player: 'X', mark: 'O' }, { index: 0, player: 'O' }];
+    assert.equal(formatMoves(wild), 'X5=O O1');
+    assert.deepEqual(parseMoves('X5=O O1', 3, 3, 'classic', 'wild'), wild);
+    assert.deepEqual(parseMoves('x5=x', 3, 3, 'classic', 'wild'), [{ index: 4, player: 'X' }]);
+  });
+
+  it('reads numbers and checks them against the rules', () => {
+    assert.deepEqual(parseMoves('X5=5 O1=8', 3, 3, 'classic', 'numerical'), [
+      { index: 4, player: 'X', mark: 5 },
+      { index: 0, player: 'O', mark: 8 },
+    ]);
+    assert.throws(() => parseMoves('X5=2', 3, 3, 'classic', 'numerical'), RangeError);   // even is O's
+    assert.throws(() => parseMoves('X5=5 O1=8 X9=5', 3, 3, 'classic', 'numerical'), RangeError); // 5 is used
+    assert.throws(() => parseMoves('X5', 3, 3, 'classic', 'numerical'), RangeError);     // needs a number
+    assert.throws(() => parseMoves('X5=O', 3, 3), RangeError);                           // standard rules
+  });
+
+  it('replays rolling games, where cells come free again', () => {
+    assert.equal(parseMoves('X1 O4 X2 O5 X7 O9 X8 O1', 3, 3, 'classic', 'rolling').length, 8);
+    assert.throws(() => parseMoves('X1 O4 X2 O5 X7 O9 X8 O2', 3, 3, 'classic', 'rolling'), RangeError);
+  });
+
+  it('round-trips the rules through the hash', () => {
+    const game = { mode: 'pvp', size: 3, winLength: 3, level: null, rules: 'misere', moves };
+    const hash = encodeGame(game);
+    assert.equal(hash, 'mode=pvp&board=3&k=3&rules=misere&moves=X5+O1+X9');
+    assert.deepEqual(decodeGame(hash), game);
+    assert.equal(encodeGame({ ...game, rules: 'standard' }), 'mode=pvp&board=3&k=3&moves=X5+O1+X9');
+  });
+
+  it('lets O start, with the odd numbers under numerical rules', () => {
+    assert.deepEqual(parseMoves('O5 X1', 3, 3), [{ index: 4, player: 'O' }, { index: 0, player: 'X' }]);
+    assert.equal(parseMoves('O5=5 X1=8', 3, 3, 'classic', 'numerical').length, 2);
+    assert.throws(() => parseMoves('O5=4', 3, 3, 'classic', 'numerical'), RangeError);
+    assert.throws(() => parseMoves('O1=1 X2=8 O5=3 X3=6 O9=5', 3, 3, 'classic', 'numerical'), RangeError); // 1+8+6 ended it
+  });
+
+  it('rejects unknown rules and numerical or rolling boards beyond 3×3', () => {
+    assert.equal(decodeGame('#rules=chess&moves=X5'), null);
+    assert.equal(decodeGame('#board=4&rules=rolling&moves=X5'), null);
+    assert.equal(decodeGame('#board=4&rules=wild&moves=X5=O').rules, 'wild');
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * test/recorder.test.js
+ *
+ * Unit tests for game recordings: scenes, layout, drawing and the GIF
+ * encoder (decoded back here to check it).
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CARD, recordingScenes, cellBoxes, drawScene, gifPalette, quantize, encodeGif } from '../recorder.js';
+
+const COLORS = { bg: '#080c14', surface: '#0e1420', text: '#e8edf7', x: '#f0a500', o: '#00c9b1' };
+
+/** Read a GIF back: its size, palette, delays and every frame's indices */
+function decodeGif(bytes) {
+  let p = 0;
+  const u16 = () => bytes[p++] | (bytes[p++] << 8);
+  const header = String.fromCharCode(...bytes.slice(0, 6));
+  p = 6;
+  const width = u16(), height = u16();
+  const packed = bytes[p++];
+  p += 2;
+  const palette = [];
+  for (let i = 0; i < 2 << (packed & 7); i++) palette.push([bytes[p++], bytes[p++], bytes[p++]]);
+
+  const frames = [];
+  let loops = false, delay = 0;
+  const blocks = () => {
+    const data = [];
+    for (let n = bytes[p++]; n; n = bytes[p++]) data.push(...bytes.slice(p, (p += n)));
+    return data;
+  };
+
+  while (bytes[p] !== 0x3b) {
+    const kind = bytes[p++];
+    if (kind === 0x21) {
+      const label = bytes[p++];
+      const data  = blocks();
+      if (label === 0xf9) delay = (data[1] | (data[2] << 8)) * 10;
+      if (label === 0xff) loops = String.fromCharCode(...data.slice(0, 11)) === 'NETSCAPE2.0';
+    } else {
+      p += 9;
+      const min = bytes[p++];
+      frames.push({ indices: unlzw(blocks(), min), delay });
+    }
+  }
+  return { header, width, height, palette, frames, loops };
+}
+
+function unlzw(data, min) {
+  const clear = 1 << min, end = clear + 1;
+  let width = min + 1, pos = 0, table = [], prev = null;
+  const out = [];
+  const read = () => {
+    let code = 0;
+    for (let i = 0; i < width; i++, pos++) code |= ((data[pos >> 3] >> (pos & 7)) & 1) << i;
+    return code;
+  };
+  const reset = () => {
+    table = Array.from({ length: clear + 2 }, (_, i) => [i]);
+    width = min + 1;
+    prev  = null;
+  };
+  reset();
+  for (;;) {
+    const code = read();
+    if (code === clear) { reset(); continue; }
+    if (code === end) break;
+    const entry = code < table.length ? table[code] : [...table[prev], table[prev][0]];
+    out.push(...entry);
+    if (prev !== null && table.length < 4096) table.push([...table[prev], entry[0]]);
+    if (table.length === 1 << width && width < 12) width++;
+    prev = code;
+  }
+  return out;
+}
+
+/** Enough of a 2D context to record what gets written */
+function fakeContext() {
+  const texts = [];
+  const noop  = () => {};
+  return {
+    texts,
+    fillText: text => texts.push(text),
+    fillRect: noop, beginPath: noop, moveTo: noop, lineTo: noop, arcTo: noop, closePath: noop, fill: noop, stroke: noop,
+  };
+}
+
+describe('recordingScenes', () => {
+  const moves = [0, 3, 1, 4, 2].map((index, i) => ({ index, player: i % 2 ? 'O' : 'X' }));
+
+  it('starts empty, adds a move a scene, then strikes the line through', () => {
+    const scenes = recordingScenes(moves, { size: 3, combo: [0, 1, 2] });
+    assert.equal(scenes.length, 1 + moves.length + 6);
+    assert.deepEqual(scenes[0].board, Array(9).fill(null));
+    assert.deepEqual(scenes[2].board, ['X', null, null, 'O', null, null, null, null, null]);
+    assert.equal(scenes[2].last, 3);
+    assert.deepEqual(scenes.slice(-6).map(s => s.line), [1, 2, 3, 4, 5, 6].map(n => n / 6));
+    assert.ok(scenes[scenes.length - 1].delay > scenes[1].delay);
+  });
+
+  it('ends on the last move for a draw, and follows the rules and the variant', () => {
+    assert.equal(recordingScenes(moves.slice(0, 2), { size: 3 }).length, 3);
+    const rolling = [0, 1, 2, 3, 4, 5, 6].map((index, i) => ({ index, player: i % 2 ? 'O' : 'X' }));
+    assert.equal(recordingScenes(rolling, { size: 3, rules: 'rolling' }).pop().board[0], null);
+    assert.equal(recordingScenes([{ index: 63, player: 'X' }], { size: 4, variant: 'cube' })[1].board.length, 64);
+    assert.equal(recordingScenes([{ index: 38, player: 'X' }], { size: 7, variant: 'gravity' })[1].board[38], 'X');
+  });
+});
+
+describe('cellBoxes', () => {
+  const inside = ({ x, y, s }) => x >= 40 && y >= 120 && x + s <= 440.001 && y + s <= 520.001;
+
+  it('keeps every cell on the board, none overlapping', () => {
+    for (const [variant, size, count] of [['classic', 3, 9], ['classic', 15, 225], ['ultimate', 9, 81], ['cube', 3, 27], ['cube', 4, 64], ['gravity', 7, 42]]) {
+      const boxes = cellBoxes(variant, size);
+      assert.equal(boxes.length, count);
+      assert.ok(boxes.every(inside), variant);
+      const overlap = boxes.some((a, i) => boxes.some((b, j) => i !== j && Math.abs(a.x - b.x) < a.s - 0.001 && Math.abs(a.y - b.y) < a.s - 0.001));
+      assert.equal(overlap, false, `${variant} ${size}`);
+    }
+  });
+
+  it('lays Ultimate out board by board', () => {
+    const boxes = cellBoxes('ultimate', 9);
+    assert.ok(boxes[9].x > boxes[2].x + boxes[2].s); // board 2 starts right of board 1, past the gap
+    assert.equal(boxes[27].x, boxes[0].x);
+  });
+});
+
+describe('drawScene', () => {
+  it('draws the result, every mark in its skin, the names and the score', () => {
+    const ctx = fakeContext();
+    const board = ['X', 'X', 'X', 'O', 'O', null, null, null, null];
+    drawScene(ctx, { board, last: 2, line: 1 }, {
+      variant: 'classic', size: 3, colors: COLORS, marks: { X: '✕', O: '◯' },
+      names: { X: 'Ada', O: 'Bob' }, score: { X: 2, O: 1, draw: 0 },
+      title: 'X Wins!', subtitle: '3×3 · 5 moves', result: { winner: 'X', combo: [0, 1, 2] },
+    });
+    assert.deepEqual(ctx.texts, ['X Wins!', '3×3 · 5 moves', '✕', '✕', '✕', '◯', '◯', '✕  Ada', 'Bob  ◯', '2 – 1', 'NEXUS']);
+  });
+});
+
+describe('gifPalette / quantize', () => {
+  it('holds 256 colours, the theme first', () => {
+    const palette = gifPalette(COLORS);
+    assert.equal(palette.length, 256);
+    assert.deepEqual(palette[0], [8, 12, 20]);
+    assert.deepEqual(palette[3], [240, 165, 0]);
+  });
+
+  it('maps pixels to their nearest colour', () => {
+    const palette = gifPalette(COLORS);
+    const pixels  = Uint8Array.from([8, 12, 20, 255, 241, 166, 1, 255, 255, 255, 255, 255]);
+    const indices = quantize(pixels, palette);
+    assert.deepEqual([...indices.slice(0, 2)], [0, 3]);
+    assert.deepEqual(palette[indices[2]], [255, 255, 255]);
+  });
+});
+
+describe('encodeGif', () => {
+  it('round-trips its frames, delays and palette, and loops', () => {
+    const palette = gifPalette(COLORS);
+    const width = 37, height = 23;
+    const noise = Uint8Array.from({ length: width * height }, (_, i) => (i * 7919) % 256);
+    const flat  = new Uint8Array(width * height).fill(4);
+    const gif   = decodeGif(encodeGif({ width, height, palette, frames: [{ indices: noise, delay: 700 }, { indices: flat, delay: 2500 }] }));
+
+    assert.equal(gif.header, 'GIF89a');
+    assert.deepEqual([gif.width, gif.height, gif.loops], [width, height, true]);
+    assert.deepEqual(gif.palette, palette);
+    assert.deepEqual(gif.frames.map(f => f.delay), [700, 2500]);
+    assert.deepEqual(gif.frames[0].indices, [...noise]);
+    assert.deepEqual(gif.frames[1].indices, [...flat]);
+  });
+
+  it('survives the code table filling up', () => {
+    const indices = Uint8Array.from({ length: CARD.width * CARD.height }, (_, i) => (i * i + (i >> 5)) % 251);
+    const [frame] = decodeGif(encodeGif({ width: CARD.width, height: CARD.height, palette: [], frames: [{ indices, delay: 100 }] })).frames;
+    assert.deepEqual(frame.indices, [...indices]);
+  });
+
+  it('rejects no frames, or frames of the wrong size', () => {
+    assert.throws(() => encodeGif({ width: 2, height: 2, palette: [], frames: [] }), RangeError);
+    assert.throws(() => encodeGif({ width: 2, height: 2, palette: [], frames: [{ indices: new Uint8Array(3), delay: 0 }] }), RangeError);
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * test/strategies.test.js
+ *
+ * Unit tests for the strategy registry, positions and the AI-vs-AI arena.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  registerStrategy,
+  getStrategy,
+  listStrategies,
+  randomStrategy,
+  minimaxStrategy,
+  searchDepth,
+  startPosition,
+  positionMoves,
+  playMove,
+  positionResult,
+  playGame,
+  runArena,
+  createTally,
+  tallyGame,
+} from '../strategies.js';
+
+/** Always plays the first free cell */
+const firstFree = { id: 'first', label: 'First free cell', move: ({ board }) => ({ index: board.indexOf(null) }) };
+
+const perfect = minimaxStrategy({ id: 'perfect', label: 'Perfect', depth: Infinity });
+
+describe('registry', () => {
+  it('adds, finds and replaces strategies by id', () => {
+    registerStrategy(randomStrategy);
+    registerStrategy(firstFree);
+    assert.equal(getStrategy('first').label, 'First free cell');
+    assert.equal(getStrategy('missing'), null);
+
+    registerStrategy({ ...firstFree, label: 'Leftmost' });
+    assert.equal(getStrategy('first').label, 'Leftmost');
+    assert.deepEqual(listStrategies().map(s => s.id).filter(id => id === 'random' || id === 'first'), ['random', 'first']);
+  });
+
+  it('keeps a strategy in a map of its own without touching the registry', () => {
+    const own = new Map();
+    registerStrategy(randomStrategy);
+    assert.equal(registerStrategy({ ...firstFree, id: 'random', label: 'Mine' }, own).label, 'Mine');
+    assert.equal(own.get('random').label, 'Mine');
+    assert.equal(getStrategy('random').label, randomStrategy.label);
+  });
+
+  it('labels a strategy by its id when it has no label', () => {
+    assert.equal(registerStrategy({ id: 'plain', move: () => null }).label, 'plain');
+  });
+
+  it('rejects anything without an id and a move()', () => {
+    assert.throws(() => registerStrategy({ id: 'x' }), TypeError);
+    assert.throws(() => registerStrategy({ move: () => null }), TypeError);
+    assert.throws(() => registerStrategy(null), TypeError);
+  });
+});
+
+describe('positions', () => {
+  it('plays moves in turn and finds the result', () => {
+    let position = startPosition();
+    for (const index of [0, 3, 1, 4]) position = playMove(position, { index });
+    assert.equal(position.player, 'X');
+    assert.equal(positionResult(position), null);
+    position = playMove(position, { index: 2 });
+    assert.equal(positionResult(position).winner, 'X');
+    assert.deepEqual(position.history.map(m => m.index), [0, 3, 1, 4, 2]);
+  });
+
+  it('lists every legal move, marks included', () => {
+    assert.equal(positionMoves(startPosition()).length, 9);
+    assert.equal(positionMoves(startPosition({ rules: 'wild' })).length, 18);
+    assert.equal(positionMoves(startPosition({ variant: 'ultimate' })).length, 81);
+    const ultimate = playMove(startPosition({ variant: 'ultimate' }), { index: 40 });
+    assert.equal(positionMoves(ultimate).length, 8); // sent back to the middle board
+    assert.equal(positionMoves(startPosition({ variant: 'cube', size: 4 })).length, 64);
+    assert.deepEqual(positionMoves(startPosition({ variant: 'gravity', size: 5 })).map(m => m.index), [15, 16, 17, 18, 19]);
+  });
+
+  it('plays a cube to a win through the layers', () => {
+    let position = startPosition({ variant: 'cube', size: 3, winLength: 2, rules: 'wild' });
+    assert.equal(position.winLength, 3);
+    assert.equal(position.rules, 'standard');
+    for (const index of [0, 1, 13, 2]) position = playMove(position, { index });
+    assert.equal(positionResult(position), null);
+    position = playMove(position, { index: 26 });
+    assert.deepEqual(positionResult(position), { winner: 'X', combo: [0, 13, 26] });
+  });
+
+  it('drops gravity marks to a four in a row', () => {
+    let position = startPosition({ variant: 'gravity' });
+    assert.equal(position.size, 7);
+    assert.equal(position.winLength, 4);
+    assert.throws(() => playMove(position, { index: 3 }), RangeError); // would float at the top
+    for (const index of [38, 31, 39, 32, 40, 33]) position = playMove(position, { index });
+    assert.equal(positionResult(position), null);
+    position = playMove(position, { index: 41 });
+    assert.deepEqual(positionResult(position), { winner: 'X', combo: [38, 39, 40, 41] });
+  });
+
+  it('rejects illegal moves', () => {
+    const position = playMove(startPosition(), { index: 4 });
+    assert.throws(() => playMove(position, { index: 4 }), RangeError);
+    assert.throws(() => playMove(position, { index: 0, mark: 'X' }), RangeError);
+  });
+
+  it('caps search depth on big boards', () => {
+    assert.equal(searchDepth(Infinity, startPosition()), Infinity);
+    assert.equal(searchDepth(Infinity, startPosition({ size: 9, winLength: 5 })), 2);
+    assert.equal(searchDepth(1, startPosition({ variant: 'ultimate' })), 1);
+    assert.equal(searchDepth(Infinity, startPosition({ variant: 'cube', size: 4 })), 3);
+    assert.equal(searchDepth(Infinity, startPosition({ variant: 'gravity', size: 9 })), 6);
+  });
+});
+
+describe('built-in strategies', () => {
+  it('random plays a legal move', () => {
+    const position = playMove(startPosition({ rules: 'numerical' }), { index: 4, mark: 5 });
+    for (let n = 0; n < 20; n++) {
+      assert.doesNotThrow(() => playMove(position, randomStrategy.move(position)));
+    }
+  });
+
+  it('minimax takes a win in one', async () => {
+    let position = startPosition();
+    for (const index of [0, 3, 1, 4]) position = playMove(position, { index });
+    assert.equal((await perfect.move(position)).index, 2);
+  });
+
+  it('minimax goes through the search it is given', async () => {
+    const requests = [];
+    const search = request => { requests.push(request); return { index: 8, mark: 'X' }; };
+    assert.deepEqual(await perfect.move(startPosition(), { search, deadline: 5 }), { index: 8, mark: 'X' });
+    assert.equal(requests[0].task, 'play');
+    assert.equal(requests[0].deadline, 5);
+  });
+
+  it('minimax searches cubes with the cube task', async () => {
+    const requests = [];
+    const search = request => { requests.push(request); return 13; };
+    assert.deepEqual(await perfect.move(startPosition({ variant: 'cube' }), { search }), { index: 13, mark: 'X' });
+    assert.equal(requests[0].task, 'cube');
+    assert.equal(requests[0].depth, 4);
+  });
+
+  it('minimax drops into gravity boards with the gravity task', async () => {
+    let position = startPosition({ variant: 'gravity' });
+    for (const index of [35, 28, 36, 29, 37, 30]) position = playMove(position, { index });
+    assert.deepEqual(await perfect.move(position), { index: 38, mark: 'X' });
+    const requests = [];
+    await perfect.move(position, { search: request => { requests.push(request); return 38; } });
+    assert.equal(requests[0].task, 'gravity');
+    assert.equal(requests[0].winLength, 4);
+  });
+});
+
+describe('playGame / runArena', () => {
+  it('perfect play is a draw', async () => {
+    const result = await playGame({ X: perfect, O: perfect });
+    assert.equal(result.winner, 'draw');
+    assert.equal(result.moves.length, 9);
+  });
+
+  it('forfeits a game for an illegal move or an error', async () => {
+    const cheat  = { id: 'cheat', move: () => ({ index: 0 }) };
+    const broken = { id: 'broken', move: () => { throw new Error('oops'); } };
+    assert.deepEqual(
+      await playGame({ X: firstFree, O: cheat }),
+      { winner: 'X', combo: null, reason: 'forfeit', moves: [{ index: 0, player: 'X' }] },
+    );
+    assert.equal((await playGame({ X: broken, O: firstFree })).winner, 'O');
+  });
+
+  it('stops when a strategy gives up', async () => {
+    assert.equal(await playGame({ X: firstFree, O: { id: 'quit', move: () => null } }), null);
+  });
+
+  it('swaps sides every game and totals the results from both sides', async () => {
+    const seats = [];
+    const tally = await runArena({
+      a: perfect,
+      b: firstFree,
+      games: 4,
+      onGame: ({ aSeat }) => seats.push(aSeat),
+    });
+    assert.deepEqual(seats, ['X', 'O', 'X', 'O']);
+    assert.equal(tally.played, 4);
+    assert.deepEqual(tally.a, { win: 4, draw: 0, loss: 0 });
+    assert.deepEqual(tally.b, { win: 0, draw: 0, loss: 4 });
+  });
+
+  it('stops early when aborted', async () => {
+    const controller = new AbortController();
+    const tally = await runArena({ a: firstFree, b: firstFree, games: 10, signal: controller.signal, onGame: () => controller.abort() });
+    assert.equal(tally.played, 1);
+  });
+
+  it('mirrors wins and losses in the tally', () => {
+    const tally = createTally();
+    tallyGame(tally, 'X', 'X');
+    tallyGame(tally, 'O', 'X');
+    tallyGame(tally, 'O', 'draw');
+    assert.deepEqual(tally, { played: 3, a: { win: 1, draw: 1, loss: 1 }, b: { win: 1, draw: 1, loss: 1 } });
+  });
+});
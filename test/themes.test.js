@@ -0,0 +1,89 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * test/themes.test.js
+ *
+ * Unit tests for palettes, skins and theme import / export.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PALETTE_COLORS, SKINS, isLight, customVars, skinVars, exportTheme, parseTheme } from '../themes.js';
+
+const DARK  = { bg: '#080c14', surface: '#0e1420', text: '#e8edf7', x: '#f0a500', o: '#00c9b1' };
+const PAPER = { bg: '#f4efe4', surface: '#fffdf7', text: '#2b2418', x: '#c0392b', o: '#1f4e79' };
+
+describe('customVars', () => {
+  it('sets the five colours it is given as they are', () => {
+    const vars = customVars(DARK);
+    for (const [key, name] of Object.entries(PALETTE_COLORS)) assert.equal(vars[name], DARK[key]);
+  });
+
+  it('derives glows, borders and soft accents', () => {
+    const vars = customVars(DARK);
+    assert.equal(vars['--accent-x-glow'], 'rgba(240, 165, 0, 0.35)');
+    assert.equal(vars['--border'], 'rgba(232, 237, 247, 0.08)');
+    assert.equal(vars['--accent-o-soft'], '#59dccc');
+  });
+
+  it('tones glows down on a light background', () => {
+    assert.equal(customVars(PAPER)['--accent-x-glow'], 'rgba(192, 57, 43, 0.2)');
+  });
+});
+
+describe('isLight', () => {
+  it('tells light backgrounds from dark ones', () => {
+    assert.equal(isLight(PAPER.bg), true);
+    assert.equal(isLight(DARK.bg), false);
+    assert.equal(isLight('#ffff00'), true);
+    assert.equal(isLight('#0000ff'), false);
+  });
+});
+
+describe('skinVars', () => {
+  it('quotes the marks for CSS content', () => {
+    assert.deepEqual(skinVars('emoji'), { '--mark-x': '"❌"', '--mark-o': '"⭕"' });
+    assert.deepEqual(skinVars('nonsense'), skinVars('letters'));
+  });
+
+  it('gives every skin both marks', () => {
+    for (const skin of Object.values(SKINS)) assert.ok(skin.X && skin.O && skin.X !== skin.O);
+  });
+});
+
+describe('exportTheme / parseTheme', () => {
+  it('round-trips a theme', () => {
+    const theme = { name: 'Paper', colors: PAPER, skin: 'shapes' };
+    assert.deepEqual(parseTheme(exportTheme(theme)), theme);
+  });
+
+  it('exports only the palette colours', () => {
+    const data = JSON.parse(exportTheme({ name: 'x', colors: { ...DARK, extra: '#000000' }, skin: 'letters' }));
+    assert.deepEqual(Object.keys(data.colors), Object.keys(PALETTE_COLORS));
+  });
+
+  it('fills in a missing name and skin, and lower-cases colours', () => {
+    const text = JSON.stringify({ format: 'nexus-theme', colors: { ...DARK, x: '#F0A500' } });
+    assert.deepEqual(parseTheme(text), { name: 'Imported', colors: DARK, skin: 'letters' });
+  });
+
+  it('rejects anything that is not a theme', () => {
+    assert.throws(() => parseTheme('not json'), SyntaxError);
+    assert.throws(() => parseTheme('{"colors": {}}'), SyntaxError);
+    assert.throws(() => parseTheme(JSON.stringify({ format: 'nexus-theme', colors: { ...DARK, o: 'teal' } })), RangeError);
+    assert.throws(() => parseTheme(JSON.stringify({ format: 'nexus-theme', colors: DARK, skin: 'plaid' })), RangeError);
+  });
+
+  it('keeps the text and params of its errors for translation', () => {
+    assert.throws(() => parseTheme(JSON.stringify({ format: 'nexus-theme', colors: { ...DARK, o: 'teal' } })), {
+      message: 'Colour "o" must be #rrggbb',
+      text:    'Colour "{key}" must be #rrggbb',
+      params:  { key: 'o' },
+    });
+    assert.throws(() => parseTheme(JSON.stringify({ format: 'nexus-theme', colors: DARK, skin: 'plaid' })), {
+      message: 'Unknown mark skin "plaid"',
+      text:    'Unknown mark skin "{skin}"',
+      params:  { skin: 'plaid' },
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * test/tournament.test.js
+ *
+ * Unit tests for round-robin and knockout scheduling and standings.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  createTournament,
+  nextMatch,
+  recordMatch,
+  standings,
+  tournamentWinner,
+  winsNeeded,
+} from '../tournament.js';
+
+const names = count => ['Ann', 'Bob', 'Cat', 'Dan', 'Eve', 'Fay', 'Gus', 'Hal'].slice(0, count);
+
+/** Play every match out, the lower-numbered player winning 2–0 (or 2–1 when `upsets` says so) */
+function playOut(tournament, upsets = () => false) {
+  let match;
+  while ((match = nextMatch(tournament))) {
+    const favourite = match.a < match.b ? 'a' : 'b';
+    const winner    = upsets(match) ? (favourite === 'a' ? 'b' : 'a') : favourite;
+    tournament = recordMatch(tournament, match.id, winner === 'a' ? { a: 2, b: 1 } : { a: 1, b: 2 });
+  }
+  return tournament;
+}
+
+describe('createTournament', () => {
+  it('checks the players, format and match length', () => {
+    assert.throws(() => createTournament(names(2)), RangeError);
+    assert.throws(() => createTournament([...names(8), 'Ivy']), RangeError);
+    assert.throws(() => createTournament(['Ann', 'Bob', 'Ann']), RangeError);
+    assert.throws(() => createTournament(['Ann', 'Bob', ' ']), RangeError);
+    assert.throws(() => createTournament(names(3), { format: 'swiss' }), RangeError);
+    assert.throws(() => createTournament(names(3), { bestOf: 4 }), RangeError);
+  });
+
+  it('needs a majority of a best-of-N to win a match', () => {
+    assert.equal(winsNeeded(1), 1);
+    assert.equal(winsNeeded(3), 2);
+    assert.equal(winsNeeded(7), 4);
+  });
+});
+
+describe('round robin', () => {
+  it('pairs everyone with everyone once', () => {
+    for (let count = 3; count <= 8; count++) {
+      const { matches } = createTournament(names(count));
+      const pairs = new Set(matches.map(m => [m.a, m.b].sort().join('-')));
+      assert.equal(matches.length, count * (count - 1) / 2);
+      assert.equal(pairs.size, matches.length);
+    }
+  });
+
+  it('keeps each player to one match a round', () => {
+    const { matches } = createTournament(names(6));
+    for (let round = 1; round <= 5; round++) {
+      const players = matches.filter(m => m.round === round).flatMap(m => [m.a, m.b]);
+      assert.equal(new Set(players).size, 6);
+    }
+  });
+
+  it('ranks by matches won, then game difference', () => {
+    let tournament = createTournament(names(3));
+    const [first, second, third] = tournament.matches;
+    tournament = recordMatch(tournament, first.id, { a: 2, b: 0 });
+    tournament = recordMatch(tournament, second.id, { a: 2, b: 1, draws: 1 });
+    assert.equal(tournamentWinner(tournament), null);
+    tournament = recordMatch(tournament, third.id, { a: 2, b: 0 });
+
+    const table = standings(tournament);
+    assert.ok(table.every(row => row.played === 2 && row.won === 1));
+    assert.deepEqual(table.map(row => row.gamesWon - row.gamesLost), [1, 0, -1]);
+    assert.equal(tournamentWinner(tournament), table[0].player);
+  });
+
+  it('rejects scores that do not decide the match, and matches already played', () => {
+    const tournament = createTournament(names(3), { bestOf: 5 });
+    const { id } = nextMatch(tournament);
+    assert.throws(() => recordMatch(tournament, id, { a: 2, b: 2 }), RangeError);
+    assert.throws(() => recordMatch(tournament, id, { a: 2, b: 1 }), RangeError);
+    const played = recordMatch(tournament, id, { a: 3, b: 1 });
+    assert.equal(nextMatch(tournament).id, id); // the input is untouched
+    assert.throws(() => recordMatch(played, id, { a: 3, b: 0 }), RangeError);
+  });
+});
+
+describe('knockout', () => {
+  it('gives the top seeds a bye and seeds the bracket', () => {
+    const { matches } = createTournament(names(5), { format: 'knockout' });
+    assert.deepEqual(matches.map(({ a, b, round }) => [a, b, round]), [[3, 4, 1], [1, 2, 2]]); // 1 and 2 both had byes
+
+    const full = createTournament(names(8), { format: 'knockout' });
+    assert.deepEqual(full.matches.map(({ a, b }) => [a, b]), [[0, 7], [3, 4], [1, 6], [2, 5]]);
+  });
+
+  it('schedules a pairing as soon as both players are known', () => {
+    let tournament = createTournament(names(6), { format: 'knockout' });
+    assert.equal(tournament.matches.length, 2);
+    tournament = recordMatch(tournament, 0, { a: 2, b: 0 });
+    assert.equal(tournament.matches.length, 3); // seed 1 meets the winner
+    assert.deepEqual(tournament.matches.map(m => m.round), [1, 1, 2]);
+  });
+
+  it('plays down to one winner and knocks out the rest', () => {
+    for (let count = 3; count <= 8; count++) {
+      const done = playOut(createTournament(names(count), { format: 'knockout' }));
+      assert.equal(done.matches.length, count - 1);
+      assert.equal(tournamentWinner(done), 0);
+      assert.deepEqual(standings(done).filter(row => !row.out).map(row => row.player), [0]);
+    }
+  });
+
+  it('crowns whoever survives an upset', () => {
+    const done = playOut(createTournament(names(4), { format: 'knockout' }), m => m.round === 2);
+    assert.equal(tournamentWinner(done), 1);
+    assert.equal(nextMatch(done), null);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * themes.js
+ *
+ * Colour palettes and mark skins, worked out here as CSS variable values
+ * that game.js sets on the page.
+ *
+ *  - The built-in palettes are styled in style.css ([data-palette] blocks);
+ *    here they only get a name and a light or dark base
+ *  - A custom palette is five colours (background, surface, text, X, O).
+ *    customVars() derives every other CSS variable the page uses from
+ *    them: glass, borders, glows, background orbs
+ *  - Skins change what the marks look like. The board draws them from
+ *    the --mark-x / --mark-o variables that skinVars() sets
+ *  - A theme is a palette's colours plus a skin. It travels as JSON,
+ *    through exportTheme() and parseTheme()
+ */
+
+import { interpolate } from './i18n.js';
+
+/** Built-in palettes, by the id style.css knows them by */
+export const PALETTES = {
+  dark:       { label: 'Dark',            base: 'dark'  },
+  light:      { label: 'Light',           base: 'light' },
+  contrast:   { label: 'High contrast',   base: 'dark'  },
+  colorblind: { label: 'Colorblind-safe', base: 'dark'  },
+  neon:       { label: 'Neon',            base: 'dark'  },
+  paper:      { label: 'Paper',           base: 'light' },
+};
+
+/** Mark skins: what X and O look like on the board */
+export const SKINS = {
+  letters: { label: 'Letters', X: 'X',  O: 'O'  },
+  shapes:  { label: 'Shapes',  X: '✕',  O: '◯' },
+  emoji:   { label: 'Emoji',   X: '❌', O: '⭕' },
+  animals: { label: 'Animals', X: '🐱', O: '🐶' },
+};
+
+/** The colours a palette is made of, and the CSS variable each one sets */
+export const PALETTE_COLORS = {
+  bg:      '--bg',
+  surface: '--bg-elevated',
+  text:    '--text-1',
+  x:       '--accent-x',
+  o:       '--accent-o',
+};
+
+const FORMAT   = 'nexus-theme';
+const HEX      = /^#[0-9a-f]{6}$/i;
+const MAX_NAME = 40;
+
+/* ═══════════════════════════════════════════════════════════
+   COLOURS
+   ═══════════════════════════════════════════════════════════ */
+
+/** "#rrggbb" → [r, g, b] */
+function channels(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  return [n >> 16, (n >> 8) & 255, n & 255];
+}
+
+const rgba = (hex, alpha) => `rgba(${channels(hex).join(', ')}, ${alpha})`;
+
+/** `hex` blended a fraction `t` of the way towards `other` */
+function mix(hex, other, t) {
+  const a = channels(hex);
+  const b = channels(other);
+  return `#${a.map((c, i) => Math.round(c + (b[i] - c) * t).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/** Whether a colour is light enough to want dark text on it */
+export function isLight(hex) {
+  const [r, g, b] = channels(hex);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b > 127.5;
+}
+
+/**
+ * Every CSS variable of a custom palette. Borders, glass and cell shading
+ * are the text colour at low opacity; glows and orbs come from X and O.
+ * @param {{bg:string, surface:string, text:string, x:string, o:string}} colors - "#rrggbb"
+ * @returns {Object<string, string>} variable name → value
+ */
+export function customVars({ bg, surface, text, x, o }) {
+  const light = isLight(bg);
+  const glow  = light ? 0.2 : 0.35;
+  const orb   = light ? 0.08 : 0.12;
+  return {
+    '--bg':            bg,
+    '--bg-elevated':   surface,
+    '--bg-glass':      rgba(surface, light ? 0.8 : 0.72),
+    '--bg-glass-l':    rgba(text, light ? 0.03 : 0.04),
+    '--border':        rgba(text, 0.08),
+    '--border-mid':    rgba(text, 0.14),
+    '--border-hi':     rgba(text, 0.24),
+    '--text-1':        text,
+    '--text-2':        rgba(text, 0.55),
+    '--text-3':        rgba(text, light ? 0.35 : 0.3),
+    '--accent-x':      x,
+    '--accent-x-soft': mix(x, '#ffffff', 0.35),
+    '--accent-x-glow': rgba(x, glow),
+    '--accent-o':      o,
+    '--accent-o-soft': mix(o, '#ffffff', 0.35),
+    '--accent-o-glow': rgba(o, glow),
+    '--accent-draw':   rgba(text, 0.3),
+    '--cell-bg':       rgba(text, light ? 0.02 : 0.03),
+    '--cell-hover-bg': rgba(text, light ? 0.05 : 0.07),
+    '--cell-border':   rgba(text, light ? 0.08 : 0.09),
+    '--orb-1':         rgba(x, orb),
+    '--orb-2':         rgba(o, orb),
+    '--orb-3':         rgba(mix(x, o, 0.5), orb * 0.75),
+    '--orb-4':         rgba(text, orb * 0.5),
+  };
+}
+
+/**
+ * The variables that draw a skin's marks (as CSS strings, for `content`).
+ * @param {string} id - a key of SKINS
+ * @returns {Object<string, string>}
+ */
+export function skinVars(id) {
+  const skin = SKINS[id] || SKINS.letters;
+  return { '--mark-x': JSON.stringify(skin.X), '--mark-o': JSON.stringify(skin.O) };
+}
+
+/* ═══════════════════════════════════════════════════════════
+   IMPORT / EXPORT
+   ═══════════════════════════════════════════════════════════ */
+
+/**
+ * A theme as JSON, for download.
+ * @param {{name:string, colors:object, skin:string}} theme
+ * @returns {string}
+ */
+export function exportTheme({ name, colors, skin }) {
+  const palette = Object.fromEntries(Object.keys(PALETTE_COLORS).map(key => [key, colors[key]]));
+  return JSON.stringify({ format: FORMAT, version: 1, name, colors: palette, skin }, null, 2);
+}
+
+/**
+ * A RangeError in English, which keeps its text and params so the page
+ * can show it translated: t(err.text, err.params).
+ */
+function themeError(text, params) {
+  return Object.assign(new RangeError(interpolate(text, params)), { text, params });
+}
+
+/**
+ * Read an exported theme back. A missing skin means letters; a missing
+ * name, "Imported".
+ * @param {string} text
+ * @returns {{name:string, colors:object, skin:string}} colours lower-cased
+ * @throws {SyntaxError} if it isn't JSON, or isn't a theme
+ * @throws {RangeError} on a colour that isn't "#rrggbb", or an unknown skin (see themeError())
+ */
+export function parseTheme(text) {
+  const data = JSON.parse(text);
+  if (!data || data.format !== FORMAT || !data.colors || typeof data.colors !== 'object') {
+    throw new SyntaxError('Not a NEXUS theme');
+  }
+
+  const colors = {};
+  for (const key of Object.keys(PALETTE_COLORS)) {
+    const value = data.colors[key];
+    if (typeof value !== 'string' || !HEX.test(value)) throw themeError('Colour "{key}" must be #rrggbb', { key });
+    colors[key] = value.toLowerCase();
+  }
+
+  const skin = data.skin === undefined ? 'letters' : data.skin;
+  if (!Object.hasOwn(SKINS, skin)) throw themeError('Unknown mark skin "{skin}"', { skin });
+
+  const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim().slice(0, MAX_NAME) : 'Imported';
+  return { name, colors, skin };
+}
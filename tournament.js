@@ -0,0 +1,195 @@
+/**
+ * NEXUS — Tic-Tac-Toe
+ * tournament.js
+ *
+ * Local tournaments for 3–8 players: the schedule or bracket and the
+ * standings. game.js plays each match and reports its result back here.
+ *
+ *  - Round robin: everyone meets everyone once, scheduled round by round
+ *    with the circle method (a player sits a round out when the count is odd)
+ *  - Knockout: a seeded bracket; when the field isn't a power of two the
+ *    top seeds get a bye through the first round
+ *
+ * Players are referred to by their index in `players`. Every match is a
+ * best-of-N between `a` (who plays X) and `b` (O); drawn games don't
+ * count, so a match always has a winner.
+ */
+
+export const TOURNAMENT_FORMATS = ['round-robin', 'knockout'];
+export const MIN_PLAYERS        = 3;
+export const MAX_PLAYERS        = 8;
+
+/**
+ * Set up a tournament and schedule its first matches.
+ * @param {string[]} players - unique, non-empty names
+ * @param {{format?:'round-robin'|'knockout', bestOf?:number}} [options] - bestOf is odd: 1, 3, 5, 7…
+ * @returns {{format:string, bestOf:number, players:string[], bracket:Array<number|null>|null, matches:object[]}}
+ *          matches are {id, round, a, b, winner, score}; winner is a player index, or null until played
+ * @throws {RangeError} on a bad player list, format or match length
+ */
+export function createTournament(players, { format = 'round-robin', bestOf = 3 } = {}) {
+  const names = players.map(name => String(name).trim());
+  if (names.length < MIN_PLAYERS || names.length > MAX_PLAYERS) {
+    throw new RangeError(`A tournament needs ${MIN_PLAYERS}–${MAX_PLAYERS} players`);
+  }
+  if (names.some(name => !name) || new Set(names).size !== names.length) {
+    throw new RangeError('Player names must be filled in and different');
+  }
+  if (!TOURNAMENT_FORMATS.includes(format)) throw new RangeError(`Unknown format "${format}"`);
+  if (!Number.isInteger(bestOf) || bestOf < 1 || bestOf % 2 === 0) throw new RangeError(`Bad match length ${bestOf}`);
+
+  const tournament = { format, bestOf, players: names, bracket: null, matches: [] };
+  if (format === 'round-robin') {
+    tournament.matches = roundRobinMatches(names.length);
+  } else {
+    tournament.bracket = bracketOrder(names.length);
+    scheduleKnockout(tournament);
+  }
+  return tournament;
+}
+
+/** Games a player must win to take a best-of-N match */
+export const winsNeeded = bestOf => Math.ceil(bestOf / 2);
+
+/**
+ * The next match to play: the earliest unplayed one.
+ * @param {object} tournament
+ * @returns {object|null} null once the tournament is over
+ */
+export function nextMatch(tournament) {
+  return tournament.matches.find(m => m.winner === null) || null;
+}
+
+/**
+ * Record a finished match. The input is not modified.
+ * @param {object} tournament
+ * @param {number} id - match id
+ * @param {{a:number, b:number, draws?:number}} score - games won by each side
+ * @returns {object} the updated tournament, with the next knockout round scheduled when one is due
+ * @throws {RangeError} if the match is unknown or played, or the score doesn't decide it
+ */
+export function recordMatch(tournament, id, { a, b, draws = 0 }) {
+  const match = tournament.matches.find(m => m.id === id);
+  if (!match || match.winner !== null) throw new RangeError(`No match ${id} waiting to be played`);
+  if (Math.max(a, b) !== winsNeeded(tournament.bestOf) || a === b) {
+    throw new RangeError(`${a}–${b} doesn't decide a best of ${tournament.bestOf}`);
+  }
+
+  const next = {
+    ...tournament,
+    matches: tournament.matches.map(m => (m === match
+      ? { ...m, winner: a > b ? m.a : m.b, score: { a, b, draws } }
+      : m)),
+  };
+  if (next.format === 'knockout') scheduleKnockout(next);
+  return next;
+}
+
+/**
+ * Standings, best first: most matches won, then game difference, then
+ * games won. Knockout players are marked once they are out.
+ * @param {object} tournament
+ * @returns {{player:number, name:string, played:number, won:number, lost:number,
+ *            gamesWon:number, gamesLost:number, out:boolean}[]}
+ */
+export function standings(tournament) {
+  const rows = tournament.players.map((name, player) => ({
+    player, name, played: 0, won: 0, lost: 0, gamesWon: 0, gamesLost: 0, out: false,
+  }));
+
+  for (const { a, b, winner, score } of tournament.matches) {
+    if (winner === null) continue;
+    const [home, away] = [rows[a], rows[b]];
+    home.played++; away.played++;
+    home.gamesWon += score.a; home.gamesLost += score.b;
+    away.gamesWon += score.b; away.gamesLost += score.a;
+
+    const [champ, beaten] = winner === a ? [home, away] : [away, home];
+    champ.won++;
+    beaten.lost++;
+    if (tournament.format === 'knockout') beaten.out = true;
+  }
+
+  return rows.sort((x, y) => (y.won - x.won)
+    || ((y.gamesWon - y.gamesLost) - (x.gamesWon - x.gamesLost))
+    || (y.gamesWon - x.gamesWon)
+    || (x.player - y.player));
+}
+
+/**
+ * The tournament winner, once every match has been played.
+ * @param {object} tournament
+ * @returns {number|null} player index
+ */
+export function tournamentWinner(tournament) {
+  if (nextMatch(tournament)) return null;
+  if (tournament.format === 'knockout') return standings(tournament).find(row => !row.out).player;
+  return standings(tournament)[0].player;
+}
+
+/* ═══════════════════════════════════════════════════════════
+   SCHEDULING
+   ═══════════════════════════════════════════════════════════ */
+
+/**
+ * Every round-robin pairing, round by round (circle method: player 0
+ * stays put while the rest rotate). With an odd count a phantom player
+ * fills the circle and whoever meets it sits the round out.
+ */
+function roundRobinMatches(count) {
+  const circle  = Array.from({ length: count + (count % 2) }, (_, i) => (i < count ? i : null));
+  const half    = circle.length / 2;
+  const matches = [];
+
+  for (let round = 1; round < circle.length; round++) {
+    for (let i = 0; i < half; i++) {
+      const a = circle[i];
+      const b = circle[circle.length - 1 - i];
+      if (a === null || b === null) continue;
+      // Swap sides on alternate rounds so nobody always plays X
+      const [x, o] = round % 2 ? [a, b] : [b, a];
+      matches.push({ id: matches.length, round, a: x, b: o, winner: null, score: null });
+    }
+    circle.splice(1, 0, circle.pop());
+  }
+  return matches;
+}
+
+/**
+ * First-round bracket positions for `count` seeds, padded with byes (null)
+ * to a power of two so the top seeds can only meet in the late rounds:
+ * 8 slots are seeded 1 v 8, 4 v 5, 2 v 7, 3 v 6.
+ */
+function bracketOrder(count) {
+  let order = [0];
+  while (order.length < count) {
+    const slots = order.length * 2;
+    order = order.flatMap(seed => [seed, slots - 1 - seed]);
+  }
+  return order.map(seed => (seed < count ? seed : null));
+}
+
+/**
+ * Walk the bracket from the first round, adding a match for every pairing
+ * whose two players are known and not yet scheduled. Byes pass straight
+ * through; an unplayed match leaves its slot open (undefined) above it.
+ */
+function scheduleKnockout(tournament) {
+  let field = tournament.bracket;
+  for (let round = 1; field.length > 1; round++) {
+    const winners = [];
+    for (let i = 0; i < field.length; i += 2) {
+      const [a, b] = [field[i], field[i + 1]];
+      if (a === undefined || b === undefined) { winners.push(undefined); continue; }
+      if (a === null || b === null) { winners.push(a ?? b); continue; }
+
+      let match = tournament.matches.find(m => m.round === round && m.a === a && m.b === b);
+      if (!match) {
+        match = { id: tournament.matches.length, round, a, b, winner: null, score: null };
+        tournament.matches.push(match);
+      }
+      winners.push(match.winner ?? undefined);
+    }
+    field = winners;
+  }
+}